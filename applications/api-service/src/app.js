@@ -12,8 +12,15 @@ const logger = require('./utils/logger');
 const healthCheck = require('./routes/health');
 const apiRoutes = require('./routes/api');
 const userRoutes = require('./routes/users');
-const errorHandler = require('./middleware/errorHandler');
+const wellKnownRoutes = require('./routes/wellKnown');
+const apiKeyRoutes = require('./routes/apiKeys');
+const roleRoutes = require('./routes/roles');
+const oauthRoutes = require('./routes/oauth');
+const oauthClientRoutes = require('./routes/oauthClients');
+const organizationRoutes = require('./routes/organizations');
+const { errorHandler } = require('./middleware/errorHandler');
 const requestId = require('./middleware/requestId');
+const { resolveTenant } = require('./middleware/tenant');
 const validateRequest = require('./middleware/validation');
 
 // Create Express app
@@ -85,10 +92,21 @@ app.use(pinoLogger({ logger }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Routes
+// Health checks are not tenant-specific
 app.use('/health', healthCheck);
+
+// Tenant context for everything below
+app.use(resolveTenant);
+
+// Routes
+app.use('/.well-known', wellKnownRoutes);
 app.use('/api/v1', apiRoutes);
 app.use('/api/v1/users', userRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/oauth/clients', oauthClientRoutes);
+app.use('/api/v1/oauth', oauthRoutes);
+app.use('/api/v1/organizations', organizationRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
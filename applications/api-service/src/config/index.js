@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server configuration
@@ -18,6 +19,31 @@ const config = {
     region: process.env.AWS_REGION || 'us-east-1',
   },
 
+  // DynamoDB tables
+  dynamodb: {
+    userTable: process.env.DYNAMODB_USER_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-users`,
+    refreshTokenTable: process.env.DYNAMODB_REFRESH_TOKEN_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-refresh-tokens`,
+    revocationTable: process.env.DYNAMODB_REVOCATION_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-revocations`,
+    signingKeyTable: process.env.DYNAMODB_SIGNING_KEY_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-signing-keys`,
+    apiKeyTable: process.env.DYNAMODB_API_KEY_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-api-keys`,
+    roleTable: process.env.DYNAMODB_ROLE_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-roles`,
+    passwordResetTable: process.env.DYNAMODB_PASSWORD_RESET_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-password-resets`,
+    sessionTable: process.env.DYNAMODB_SESSION_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-sessions`,
+    auditTable: process.env.DYNAMODB_AUDIT_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-audit-log`,
+    loginAttemptTable: process.env.DYNAMODB_LOGIN_ATTEMPT_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-login-attempts`,
+    oauthClientTable: process.env.DYNAMODB_OAUTH_CLIENT_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-oauth-clients`,
+    federationStateTable: process.env.DYNAMODB_FEDERATION_STATE_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-federation-states`,
+    federatedIdentityTable: process.env.DYNAMODB_FEDERATED_IDENTITY_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-federated-identities`,
+    emailVerificationTable: process.env.DYNAMODB_EMAIL_VERIFICATION_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-email-verifications`,
+    organizationTable: process.env.DYNAMODB_ORGANIZATION_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-organizations`,
+    membershipTable: process.env.DYNAMODB_MEMBERSHIP_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-memberships`,
+    teamTable: process.env.DYNAMODB_TEAM_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-teams`,
+    invitationTable: process.env.DYNAMODB_INVITATION_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-invitations`,
+    streamCheckpointTable: process.env.DYNAMODB_STREAM_CHECKPOINT_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-stream-checkpoints`,
+    deadLetterTable: process.env.DYNAMODB_DEAD_LETTER_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-dead-letters`,
+    outboxTable: process.env.DYNAMODB_OUTBOX_TABLE || `${process.env.ENVIRONMENT || 'dev'}-api-platform-outbox`,
+  },
+
   // Secrets Manager
   secrets: {
     secretName: process.env.SECRETS_MANAGER_SECRET_NAME || `${process.env.ENVIRONMENT || 'dev'}-api-platform-app-secrets`,
@@ -38,6 +64,179 @@ const config = {
   jwt: {
     secret: process.env.JWT_SECRET || 'your-secret-key',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    refreshSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    acceptLegacyTokens: process.env.JWT_ACCEPT_LEGACY_HS256 === 'true', // HS256 tokens issued before asymmetric signing
+  },
+
+  // Access token signing keys
+  keyring: {
+    algorithm: process.env.JWT_SIGNING_ALGORITHM || 'RS256', // RS256 or ES256
+    rotationInterval: process.env.JWT_KEY_ROTATION_INTERVAL || '30d',
+    activationDelay: process.env.JWT_KEY_ACTIVATION_DELAY || '10m', // publish new keys before signing with them
+    refreshInterval: process.env.JWT_KEY_REFRESH_INTERVAL || '5m',
+  },
+
+  // Password hashing
+  passwords: {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'argon2id', // argon2id or bcrypt; both are verified
+    bcryptRounds: parseInt(process.env.PASSWORD_BCRYPT_ROUNDS, 10) || 12,
+    argon2: {
+      memoryCost: parseInt(process.env.PASSWORD_ARGON2_MEMORY_COST, 10) || 19456, // KiB
+      timeCost: parseInt(process.env.PASSWORD_ARGON2_TIME_COST, 10) || 2,
+      parallelism: parseInt(process.env.PASSWORD_ARGON2_PARALLELISM, 10) || 1,
+    },
+  },
+
+  // Password policy
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false',
+    historySize: process.env.PASSWORD_HISTORY_SIZE !== undefined ? parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) : 5, // recent passwords, including the current one, that cannot be reused; 0 disables
+    maxAge: process.env.PASSWORD_MAX_AGE || null, // e.g. 90d; unset disables expiry
+    denylistFile: process.env.PASSWORD_DENYLIST_FILE || path.join(__dirname, '../data/common-passwords.txt'),
+  },
+
+  // Multi-factor authentication
+  mfa: {
+    issuer: process.env.MFA_ISSUER || 'Multi-Region API Platform',
+    challengeSecret: process.env.MFA_CHALLENGE_SECRET || 'your-mfa-challenge-secret',
+    challengeExpiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+    window: parseInt(process.env.MFA_TOTP_WINDOW, 10) || 1, // accepted 30-second steps of clock drift
+  },
+
+  // Encryption of secrets stored at rest
+  encryption: {
+    key: process.env.DATA_ENCRYPTION_KEY || 'your-data-encryption-key',
+  },
+
+  // Token issuance
+  auth: {
+    issuer: process.env.JWT_ISSUER || 'multi-region-api',
+    audience: process.env.JWT_AUDIENCE || 'multi-region-api-clients',
+  },
+
+  // Failed login throttling
+  loginThrottle: {
+    window: process.env.LOGIN_ATTEMPT_WINDOW || '1h', // failures are forgotten after this long without another
+    thresholds: {
+      account: parseInt(process.env.LOGIN_ACCOUNT_THRESHOLD, 10) || 20, // failures on one account from any IP
+      ip: parseInt(process.env.LOGIN_IP_THRESHOLD, 10) || 100, // failures from one IP on any account
+      ipAccount: parseInt(process.env.LOGIN_IP_ACCOUNT_THRESHOLD, 10) || 5, // failures on one account from one IP
+    },
+    baseDelay: process.env.LOGIN_BACKOFF_BASE || '1m', // first lockout, doubled by each further failure
+    maxDelay: process.env.LOGIN_BACKOFF_MAX || '1h',
+    captchaThreshold: parseInt(process.env.LOGIN_CAPTCHA_THRESHOLD, 10) || 3, // account failures before a CAPTCHA is asked for
+  },
+
+  // Token revocation
+  revocation: {
+    cacheTtl: process.env.REVOCATION_CACHE_TTL !== undefined ? parseInt(process.env.REVOCATION_CACHE_TTL, 10) : 30, // seconds a "not revoked" lookup is trusted, 0 disables
+  },
+
+  // Managed API keys
+  apiKeys: {
+    cacheTtl: parseInt(process.env.API_KEY_CACHE_TTL, 10) || 30, // seconds a key lookup is cached
+    legacyKey: process.env.API_KEY, // deprecated shared key from before managed keys
+    acceptLegacyKey: process.env.API_KEY_ACCEPT_LEGACY !== 'false',
+    legacyScopes: process.env.API_KEY_LEGACY_SCOPES ? process.env.API_KEY_LEGACY_SCOPES.split(',') : [],
+  },
+
+  // OAuth2 client credentials grant
+  oauth: {
+    tokenExpiresIn: process.env.OAUTH_TOKEN_EXPIRES_IN || '1h',
+    clientCacheTtl: parseInt(process.env.OAUTH_CLIENT_CACHE_TTL, 10) || 30, // seconds a client lookup is cached
+  },
+
+  // Federated sign-in through external OIDC providers
+  federation: {
+    // JSON array of { id, name, issuer, clientId, clientSecret, scopes, redirectUris, allowedDomains, jitProvisioning }
+    providers: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : [],
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/auth/callback', // default for providers without redirectUris
+    stateExpiresIn: process.env.OIDC_STATE_EXPIRES_IN || '10m',
+    metadataCacheTtl: parseInt(process.env.OIDC_METADATA_CACHE_TTL, 10) || 3600, // seconds discovery documents and JWKS are cached
+    httpTimeout: parseInt(process.env.OIDC_HTTP_TIMEOUT_MS, 10) || 5000,
+  },
+
+  // Multi-tenancy
+  tenancy: {
+    defaultTenant: process.env.DEFAULT_TENANT || 'default', // tenant of requests without one; owns data written before tenancy
+    tenants: process.env.TENANTS ? process.env.TENANTS.split(',').map(t => t.trim()) : [], // allowed tenant ids, empty allows any
+    baseDomain: process.env.TENANT_BASE_DOMAIN || null, // e.g. api.example.com, so acme.api.example.com is tenant acme
+    header: process.env.TENANT_HEADER || null, // optional header set by a trusted proxy, e.g. x-tenant-id
+  },
+
+  // Opaque pagination cursors
+  pagination: {
+    cursorSecret: process.env.CURSOR_SECRET || 'your-cursor-secret',
+    cursorExpiresIn: process.env.CURSOR_EXPIRES_IN || '1h',
+  },
+
+  // DynamoDB Streams consumer
+  streams: {
+    enabled: process.env.STREAMS_ENABLED === 'true', // run the consumer in this instance; enable it on one instance per region
+    tables: process.env.STREAM_TABLES ? process.env.STREAM_TABLES.split(',').map(t => t.trim()) : [], // tables whose streams are read
+    pollInterval: process.env.STREAM_POLL_INTERVAL || '1s',
+    batchSize: parseInt(process.env.STREAM_BATCH_SIZE, 10) || 100, // records per GetRecords call
+    maxAttempts: parseInt(process.env.STREAM_MAX_ATTEMPTS, 10) || 3, // handler attempts before a record is dead-lettered
+    retryDelay: process.env.STREAM_RETRY_DELAY || '200ms', // doubled after every failed attempt
+    deadLetterRetention: process.env.STREAM_DEAD_LETTER_RETENTION || '14d',
+  },
+
+  // Domain events
+  events: {
+    transport: process.env.EVENT_TRANSPORT || 'memory', // memory, file, eventbridge or sns
+    source: process.env.EVENT_SOURCE || 'api-platform.api-service',
+    eventBusName: process.env.EVENT_BUS_NAME || 'default', // used by the eventbridge transport
+    topicArn: process.env.EVENT_TOPIC_ARN || null, // used by the sns transport; a .fifo topic drops duplicates
+    outputFile: process.env.EVENT_OUTPUT_FILE || 'tmp/events.jsonl', // used by the file transport
+    outboxRetention: process.env.OUTBOX_RETENTION || '7d', // how long outbox items are kept after they are written
+  },
+
+  // Password reset
+  passwordReset: {
+    expiresIn: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password', // link sent by email, token appended as ?token=
+  },
+
+  // Email verification
+  emailVerification: {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    url: process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email', // link sent by email, token appended as ?token=
+    resendCooldown: process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN || '1m',
+    required: process.env.EMAIL_VERIFICATION_REQUIRED === 'true', // block selected routes until the email is verified
+  },
+
+  // Organizations
+  organizations: {
+    invitationExpiresIn: process.env.INVITATION_EXPIRES_IN || '7d',
+    invitationUrl: process.env.INVITATION_URL || 'http://localhost:3000/invitations', // link sent by email, token appended as ?token=
+  },
+
+  // Outgoing email
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console, file or ses
+    from: process.env.MAIL_FROM || 'no-reply@example.com',
+    outputDir: process.env.MAIL_OUTPUT_DIR || 'tmp/mail', // used by the file transport
+  },
+
+  // Admin impersonation
+  impersonation: {
+    expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m',
+  },
+
+  // Audit log
+  audit: {
+    retention: process.env.AUDIT_RETENTION || '365d',
+  },
+
+  // Role definitions
+  permissions: {
+    refreshInterval: process.env.ROLE_REFRESH_INTERVAL || '1m',
   },
 
   // Logging configuration
@@ -70,4 +269,14 @@ const config = {
   },
 };
 
+// Secrets whose defaults are public; a production server refuses to start without them
+const PRODUCTION_SECRETS = ['DATA_ENCRYPTION_KEY', 'MFA_CHALLENGE_SECRET', 'CURSOR_SECRET'];
+
+if (process.env.NODE_ENV === 'production') {
+  const missing = PRODUCTION_SECRETS.filter(name => !process.env[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required secrets: ${missing.join(', ')}`);
+  }
+}
+
 module.exports = config;
\ No newline at end of file
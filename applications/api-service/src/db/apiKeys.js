@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const KEY_PREFIX = 'mrk';
+
+// Only persist lastUsedAt if the stored value is older than this
+const LAST_USED_RESOLUTION = 60000;
+
+/**
+ * API Key Database Class
+ * Keys are shown once at creation and stored only as a SHA-256 hash.
+ * A key looks like `mrk_<prefix>_<secret>`; the prefix is the item id and is
+ * used to look the key up before the secret is compared.
+ */
+class ApiKeyDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.apiKeyTable, { tenantScoped: false });
+  }
+
+  /**
+   * Create a key and return it together with its plaintext value
+   */
+  async createKey({ name, ownerId, scopes = [], expiresAt = null, createdBy = null }) {
+    try {
+      const prefix = crypto.randomBytes(6).toString('hex');
+      const secret = crypto.randomBytes(32).toString('hex');
+
+      const apiKey = await this.create({
+        id: prefix,
+        name,
+        ownerId,
+        scopes,
+        hash: this.hashSecret(secret),
+        status: 'active',
+        expiresAt,
+        lastUsedAt: null,
+        createdBy,
+      });
+
+      logger.info({ keyId: prefix, ownerId, scopes }, 'API key created');
+
+      return {
+        apiKey: this.sanitize(apiKey),
+        key: `${KEY_PREFIX}_${prefix}_${secret}`,
+      };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ownerId,
+      }, 'Failed to create API key');
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a presented key to its stored metadata.
+   * Returns null for unknown, mismatched, revoked or expired keys.
+   */
+  async verifyKey(presentedKey) {
+    const [keyPrefix, prefix, secret] = String(presentedKey).split('_');
+    if (keyPrefix !== KEY_PREFIX || !prefix || !secret) {
+      return null;
+    }
+
+    const apiKey = await this.findByPrefix(prefix);
+    if (!apiKey || apiKey.status !== 'active') {
+      return null;
+    }
+
+    const expected = Buffer.from(apiKey.hash, 'hex');
+    const actual = Buffer.from(this.hashSecret(secret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    this.touchLastUsed(apiKey);
+
+    return this.sanitize(apiKey);
+  }
+
+  /**
+   * List keys, optionally for a single owner
+   */
+  async listKeys({ ownerId = null, limit = 20, cursor = null } = {}) {
+    try {
+      const result = await this.find({
+        limit,
+        cursor,
+        ...(ownerId && {
+          filterExpression: '#ownerId = :ownerId',
+          expressionAttributeNames: { '#ownerId': 'ownerId' },
+          expressionAttributeValues: { ':ownerId': ownerId },
+        }),
+      });
+
+      return {
+        ...result,
+        items: result.items.map(apiKey => this.sanitize(apiKey)),
+      };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ownerId,
+      }, 'Failed to list API keys');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a key with a new secret carrying the same metadata.
+   * The old key keeps working for `gracePeriodSeconds` (0 revokes it now).
+   */
+  async rotateKey(keyId, { gracePeriodSeconds = 0, rotatedBy = null } = {}) {
+    const existing = await this.findById(keyId, false);
+    if (!existing || existing.status !== 'active') {
+      throw new NotFoundError('API key not found');
+    }
+
+    const rotated = await this.createKey({
+      name: existing.name,
+      ownerId: existing.ownerId,
+      scopes: existing.scopes,
+      expiresAt: existing.expiresAt,
+      createdBy: rotatedBy,
+    });
+
+    if (gracePeriodSeconds > 0) {
+      await this.updateById(keyId, {
+        expiresAt: new Date(Date.now() + gracePeriodSeconds * 1000).toISOString(),
+        replacedBy: rotated.apiKey.id,
+      });
+    } else {
+      await this.revokeKey(keyId, { revokedBy: rotatedBy, replacedBy: rotated.apiKey.id });
+    }
+
+    this.invalidateKeyCache(keyId);
+
+    logger.info({ keyId, newKeyId: rotated.apiKey.id, gracePeriodSeconds }, 'API key rotated');
+
+    return rotated;
+  }
+
+  /**
+   * Revoke a key
+   */
+  async revokeKey(keyId, { revokedBy = null, replacedBy = null } = {}) {
+    try {
+      const apiKey = await this.updateById(keyId, {
+        status: 'revoked',
+        revokedAt: new Date().toISOString(),
+        revokedBy,
+        replacedBy,
+      });
+
+      this.invalidateKeyCache(keyId);
+
+      logger.info({ keyId, revokedBy }, 'API key revoked');
+
+      return this.sanitize(apiKey);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('API key not found');
+      }
+
+      logger.error({
+        error: error.message,
+        keyId,
+      }, 'Failed to revoke API key');
+      throw error;
+    }
+  }
+
+  /**
+   * Match the shared `API_KEY` used before managed keys. Deprecated: it is
+   * only accepted while `API_KEY_ACCEPT_LEGACY` is not `false`.
+   */
+  isLegacyKey(presentedKey) {
+    const { legacyKey, acceptLegacyKey } = config.apiKeys;
+    if (!acceptLegacyKey || !legacyKey) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.hashSecret(legacyKey), 'hex');
+    const actual = Buffer.from(this.hashSecret(String(presentedKey)), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Look up a key by prefix through a short-lived in-process cache
+   */
+  async findByPrefix(prefix) {
+    const cacheKey = this.getCacheKey(prefix);
+    const cached = cache.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const apiKey = await this.findById(prefix, false);
+    cache.set(cacheKey, apiKey || false, config.apiKeys.cacheTtl);
+
+    return apiKey;
+  }
+
+  /**
+   * Record usage without writing on every request
+   */
+  touchLastUsed(apiKey) {
+    const now = new Date();
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt) < LAST_USED_RESOLUTION) {
+      return;
+    }
+
+    apiKey.lastUsedAt = now.toISOString();
+
+    this.updateById(apiKey.id, { lastUsedAt: apiKey.lastUsedAt })
+      .catch(error => logger.warn({ error: error.message, keyId: apiKey.id }, 'Failed to record API key usage'));
+  }
+
+  /**
+   * Utility methods
+   */
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  sanitize(apiKey) {
+    const { hash, ...safeKey } = apiKey;
+    return safeKey;
+  }
+
+  getCacheKey(prefix) {
+    return `${this.tableName}:prefix:${prefix}`;
+  }
+
+  invalidateKeyCache(keyId) {
+    cache.del(this.getCacheKey(keyId));
+  }
+}
+
+module.exports = ApiKeyDatabase;
@@ -0,0 +1,54 @@
+const ms = require('ms');
+const { v4: uuidv4 } = require('uuid');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Log Database Class
+ * Append-only record of security-relevant actions. Entries are kept for
+ * `config.audit.retention` and are also written to the application log.
+ */
+class AuditLogDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.auditTable);
+  }
+
+  /**
+   * Record an event. `actorId` performed the action, `subjectId` is the user it concerned.
+   */
+  async record(type, { actorId = null, subjectId = null, details = {} } = {}) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      type,
+      actorId,
+      subjectId,
+      details,
+      region: config.aws.region,
+      createdAt: timestamp,
+      expiresAt: Math.floor((Date.now() + ms(config.audit.retention)) / 1000),
+    };
+
+    logger.info({ audit: true, ...entry }, `Audit: ${type}`);
+
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: this.toItem(entry),
+      }).promise();
+
+      return entry;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        type,
+        actorId,
+        subjectId,
+      }, 'Failed to write audit log entry');
+      throw error;
+    }
+  }
+}
+
+module.exports = AuditLogDatabase;
@@ -1,7 +1,39 @@
+const ms = require('ms');
 const AWS = require('aws-sdk');
 const config = require('../config');
 const logger = require('../utils/logger');
 const cache = require('../utils/cache');
+const { VersionConflictError } = require('../middleware/errorHandler');
+const { getTenantId, isDefaultTenant } = require('../utils/tenantContext');
+const { openCursor, getPageCursors } = require('../utils/pagination');
+
+const TENANT_KEY_PREFIX = 'tenant#';
+
+// Items requested per read when a filter may drop some of them, and the most
+// items one call evaluates before it returns a short page with a cursor
+const FILTERED_PAGE_SIZE = 100;
+const MAX_ITEMS_EVALUATED = 1000;
+
+// Every update increments the item version; items written before versioning start from 0
+const VERSION_INCREMENT = '#version = if_not_exists(#version, :versionZero) + :versionOne';
+const VERSION_NAMES = { '#version': 'version' };
+const VERSION_VALUES = { ':versionZero': 0, ':versionOne': 1 };
+
+// Outbox item of a domain event, put in the transaction of the write it describes
+const toOutboxAction = event => ({
+  Put: {
+    TableName: config.dynamodb.outboxTable,
+    Item: {
+      id: event.id,
+      tenantId: event.tenantId,
+      eventType: event.type,
+      event,
+      createdAt: event.occurredAt,
+      expiresAt: Math.floor((Date.now() + ms(config.events.outboxRetention)) / 1000),
+    },
+    ConditionExpression: 'attribute_not_exists(id)',
+  },
+});
 
 // Configure AWS SDK
 AWS.config.update({
@@ -27,34 +59,58 @@ const dynamoDB = new AWS.DynamoDB.DocumentClient({
 
 /**
  * Base Database Class
- * Provides common database operations with caching and error handling
+ * Provides common database operations with caching and error handling.
+ *
+ * Tables are tenant-scoped unless constructed with `tenantScoped: false`.
+ * Every call then works on the tenant of the current request: stored ids are
+ * `tenant#<tenantId>#<id>`, items carry a `tenantId` attribute, and scans and
+ * index queries only return items of the tenant. Callers keep using plain
+ * ids. The default tenant stores plain ids, so data written before tenancy
+ * stays readable.
+ *
+ * Items carry a `version` that starts at 1 and is incremented by every
+ * update. Updates and deletes given an `expectedVersion` only apply if the
+ * stored version still matches, and throw VersionConflictError otherwise;
+ * items written before versioning count as version 0.
+ *
+ * create, updateById, deleteById and transactWrite take `events`: domain
+ * events (see src/events) stored in the outbox table in the same
+ * transaction as the write, so an event is published if and only if the
+ * write happened. `events` can also be a function of the written item.
  */
 class BaseDatabase {
-  constructor(tableName) {
+  constructor(tableName, { tenantScoped = true } = {}) {
     this.tableName = tableName;
     this.client = dynamoDB;
+    this.tenantScoped = tenantScoped;
   }
 
   /**
    * Create a new item
    */
-  async create(item) {
+  async create(item, { events = [] } = {}) {
     try {
       const timestamp = new Date().toISOString();
       const itemWithTimestamps = {
         ...item,
         id: item.id || this.generateId(),
+        version: 1,
         createdAt: timestamp,
         updatedAt: timestamp,
       };
 
       const params = {
         TableName: this.tableName,
-        Item: itemWithTimestamps,
+        Item: this.toItem(itemWithTimestamps),
         ConditionExpression: 'attribute_not_exists(id)',
       };
 
-      await this.client.put(params).promise();
+      const outboxEvents = this.resolveEvents(events, itemWithTimestamps);
+      if (outboxEvents.length > 0) {
+        await this.writeWithEvents({ Put: { Item: itemWithTimestamps, ConditionExpression: params.ConditionExpression } }, outboxEvents);
+      } else {
+        await this.client.put(params).promise();
+      }
       
       // Invalidate cache
       this.invalidateCache(itemWithTimestamps.id);
@@ -64,7 +120,7 @@ class BaseDatabase {
         itemId: itemWithTimestamps.id 
       }, 'Item created successfully');
       
-      return itemWithTimestamps;
+      return this.fromItem(params.Item);
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -84,7 +140,7 @@ class BaseDatabase {
    */
   async findById(id, useCache = true) {
     try {
-      const cacheKey = `${this.tableName}:${id}`;
+      const cacheKey = this.getItemCacheKey(id);
       
       // Check cache first
       if (useCache) {
@@ -97,7 +153,7 @@ class BaseDatabase {
 
       const params = {
         TableName: this.tableName,
-        Key: { id },
+        Key: this.toKey(id),
       };
 
       const result = await this.client.get(params).promise();
@@ -106,9 +162,11 @@ class BaseDatabase {
         return null;
       }
 
+      const item = this.fromItem(result.Item);
+
       // Cache the result
       if (useCache) {
-        cache.set(cacheKey, result.Item, config.cache.ttl);
+        cache.set(cacheKey, item, config.cache.ttl);
       }
       
       logger.debug({ 
@@ -116,7 +174,7 @@ class BaseDatabase {
         itemId: id 
       }, 'Item retrieved from database');
       
-      return result.Item;
+      return item;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -130,44 +188,40 @@ class BaseDatabase {
   /**
    * Update item by ID
    */
-  async updateById(id, updates) {
+  async updateById(id, updates, { expectedVersion = null, events = [] } = {}) {
     try {
       // Remove undefined values and add timestamp
+      const { version, ...fields } = updates;
       const cleanUpdates = this.cleanUpdates({
-        ...updates,
+        ...fields,
         updatedAt: new Date().toISOString(),
       });
 
       if (Object.keys(cleanUpdates).length === 1) {
         // Only updatedAt field, nothing to update
-        return await this.findById(id, false);
+        const item = await this.findById(id, false);
+        if (item && expectedVersion !== null && this.getVersion(item) !== expectedVersion) {
+          throw new VersionConflictError(expectedVersion, this.getVersion(item));
+        }
+        return item;
       }
 
-      // Build update expression
-      const updateExpression = [];
-      const expressionAttributeNames = {};
-      const expressionAttributeValues = {};
-
-      Object.keys(cleanUpdates).forEach((key, index) => {
-        const attrName = `#attr${index}`;
-        const attrValue = `:val${index}`;
-        
-        updateExpression.push(`${attrName} = ${attrValue}`);
-        expressionAttributeNames[attrName] = key;
-        expressionAttributeValues[attrValue] = cleanUpdates[key];
-      });
-
       const params = {
         TableName: this.tableName,
-        Key: { id },
-        UpdateExpression: `SET ${updateExpression.join(', ')}`,
-        ExpressionAttributeNames: expressionAttributeNames,
-        ExpressionAttributeValues: expressionAttributeValues,
-        ConditionExpression: 'attribute_exists(id)',
+        Key: this.toKey(id),
+        ...this.getUpdateExpression(cleanUpdates, { expectedVersion }),
         ReturnValues: 'ALL_NEW',
       };
 
-      const result = await this.client.update(params).promise();
+      const outboxEvents = this.resolveEvents(events, { id, ...cleanUpdates });
+      let updated;
+      if (outboxEvents.length > 0) {
+        const { TableName, Key, ReturnValues, ...expression } = params;
+        await this.writeWithEvents({ Update: { Key: { id }, ...expression } }, outboxEvents);
+      } else {
+        const result = await this.client.update(params).promise();
+        updated = this.fromItem(result.Attributes);
+      }
       
       // Invalidate cache
       this.invalidateCache(id);
@@ -178,7 +232,8 @@ class BaseDatabase {
         updates: cleanUpdates 
       }, 'Item updated successfully');
       
-      return result.Attributes;
+      // A transaction returns no attributes, so only its item is read back
+      return outboxEvents.length > 0 ? this.findById(id, false) : updated;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -188,7 +243,7 @@ class BaseDatabase {
       }, 'Failed to update item');
       
       if (error.code === 'ConditionalCheckFailedException') {
-        throw new Error('Item not found');
+        throw await this.getConditionError(id, expectedVersion);
       }
       throw error;
     }
@@ -197,16 +252,34 @@ class BaseDatabase {
   /**
    * Delete item by ID
    */
-  async deleteById(id) {
+  async deleteById(id, { expectedVersion = null, events = [] } = {}) {
     try {
+      const versioning = this.getVersionCondition(expectedVersion);
       const params = {
         TableName: this.tableName,
-        Key: { id },
-        ConditionExpression: 'attribute_exists(id)',
+        Key: this.toKey(id),
+        ConditionExpression: versioning.condition,
         ReturnValues: 'ALL_OLD',
       };
 
-      const result = await this.client.delete(params).promise();
+      if (expectedVersion !== null) {
+        params.ExpressionAttributeNames = versioning.names;
+        if (Object.keys(versioning.values).length > 0) {
+          params.ExpressionAttributeValues = versioning.values;
+        }
+      }
+
+      const outboxEvents = this.resolveEvents(events, { id });
+      let deleted;
+      if (outboxEvents.length > 0) {
+        // A transaction returns no attributes, so the item is read first
+        deleted = await this.findById(id, false);
+        const { TableName, Key, ReturnValues, ...condition } = params;
+        await this.writeWithEvents({ Delete: { Key: { id }, ...condition } }, outboxEvents);
+      } else {
+        const result = await this.client.delete(params).promise();
+        deleted = this.fromItem(result.Attributes);
+      }
       
       // Invalidate cache
       this.invalidateCache(id);
@@ -216,7 +289,7 @@ class BaseDatabase {
         itemId: id 
       }, 'Item deleted successfully');
       
-      return result.Attributes;
+      return deleted;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -225,7 +298,7 @@ class BaseDatabase {
       }, 'Failed to delete item');
       
       if (error.code === 'ConditionalCheckFailedException') {
-        throw new Error('Item not found');
+        throw await this.getConditionError(id, expectedVersion);
       }
       throw error;
     }
@@ -238,7 +311,7 @@ class BaseDatabase {
     try {
       const {
         limit = 10,
-        lastEvaluatedKey = null,
+        cursor = null,
         indexName = null,
         filterExpression = null,
         expressionAttributeNames = {},
@@ -250,36 +323,22 @@ class BaseDatabase {
         TableName: this.tableName,
         Limit: limit,
         ScanIndexForward: scanIndexForward,
+        ...this.scopeFilter(filterExpression, expressionAttributeNames, expressionAttributeValues),
       };
 
-      if (lastEvaluatedKey) {
-        params.ExclusiveStartKey = lastEvaluatedKey;
-      }
-
       if (indexName) {
         params.IndexName = indexName;
       }
 
-      if (filterExpression) {
-        params.FilterExpression = filterExpression;
-        params.ExpressionAttributeNames = expressionAttributeNames;
-        params.ExpressionAttributeValues = expressionAttributeValues;
-      }
-
-      const result = await this.client.scan(params).promise();
+      const result = await this.readPages('scan', params, limit, { cursor });
       
       logger.debug({ 
         table: this.tableName, 
-        count: result.Items.length,
-        hasMore: !!result.LastEvaluatedKey 
+        count: result.items.length,
+        hasMore: !!result.nextCursor 
       }, 'Items retrieved successfully');
       
-      return {
-        items: result.Items,
-        lastEvaluatedKey: result.LastEvaluatedKey,
-        count: result.Count,
-        scannedCount: result.ScannedCount,
-      };
+      return result;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -297,7 +356,7 @@ class BaseDatabase {
     try {
       const {
         limit = 10,
-        lastEvaluatedKey = null,
+        cursor = null,
         indexName = null,
         filterExpression = null,
         expressionAttributeNames = {},
@@ -312,34 +371,22 @@ class BaseDatabase {
         ExpressionAttributeValues: expressionAttributeValues,
         Limit: limit,
         ScanIndexForward: scanIndexForward,
+        ...this.scopeFilter(filterExpression, expressionAttributeNames, expressionAttributeValues),
       };
 
-      if (lastEvaluatedKey) {
-        params.ExclusiveStartKey = lastEvaluatedKey;
-      }
-
       if (indexName) {
         params.IndexName = indexName;
       }
 
-      if (filterExpression) {
-        params.FilterExpression = filterExpression;
-      }
-
-      const result = await this.client.query(params).promise();
+      const result = await this.readPages('query', params, limit, { cursor });
       
       logger.debug({ 
         table: this.tableName, 
-        count: result.Items.length,
-        hasMore: !!result.LastEvaluatedKey 
+        count: result.items.length,
+        hasMore: !!result.nextCursor 
       }, 'Items queried successfully');
       
-      return {
-        items: result.Items,
-        lastEvaluatedKey: result.LastEvaluatedKey,
-        count: result.Count,
-        scannedCount: result.ScannedCount,
-      };
+      return result;
     } catch (error) {
       logger.error({ 
         error: error.message, 
@@ -351,6 +398,138 @@ class BaseDatabase {
     }
   }
 
+  /**
+   * Run a scan or query. Filters, including the tenant filter, are applied
+   * after DynamoDB's Limit, so filtered reads request FILTERED_PAGE_SIZE items
+   * at a time until `limit` items match, the table is exhausted or
+   * MAX_ITEMS_EVALUATED items were evaluated; a page can then be short and
+   * still have a next cursor. Matches beyond `limit` are dropped, and the next
+   * page starts after the last item returned.
+   * Starts at an opaque `cursor` from an earlier result, and returns
+   * `nextCursor` and `prevCursor` for the pages around it. Cursors hold the
+   * stored key, as a scan can stop at another tenant's item, so no raw key
+   * is ever returned.
+   */
+  async readPages(operation, params, limit, { cursor = null } = {}) {
+    const scope = this.getCursorScope(params);
+    const page = cursor ? openCursor(cursor, scope) : { key: null, history: [] };
+    const requestLimit = params.FilterExpression ? Math.max(limit, FILTERED_PAGE_SIZE) : limit;
+
+    const items = [];
+    let exclusiveStartKey = page.key;
+    let scannedCount = 0;
+    let result;
+
+    do {
+      const pageParams = { ...params, Limit: requestLimit };
+      if (exclusiveStartKey) {
+        pageParams.ExclusiveStartKey = exclusiveStartKey;
+      }
+
+      result = await this.client[operation](pageParams).promise();
+      scannedCount += result.ScannedCount || result.Items.length;
+
+      const wanted = limit - items.length;
+      if (result.Items.length > wanted) {
+        items.push(...result.Items.slice(0, wanted));
+        exclusiveStartKey = this.getStartKey(items[items.length - 1], params, result.LastEvaluatedKey || exclusiveStartKey);
+        break;
+      }
+
+      items.push(...result.Items);
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && items.length < limit && scannedCount < MAX_ITEMS_EVALUATED);
+
+    return {
+      items: items.map(item => this.fromItem(item)),
+      count: items.length,
+      scannedCount,
+      ...getPageCursors(scope, page, exclusiveStartKey),
+    };
+  }
+
+  // Key to continue a read right after `item`: the attributes of a key DynamoDB returned
+  // for the read, else the table key and the index key (indexes are named `<hash>[-<range>]-index`)
+  getStartKey(item, params, knownKey = null) {
+    const names = knownKey
+      ? Object.keys(knownKey)
+      : ['id', ...(params.IndexName ? params.IndexName.replace(/-index$/, '').split('-') : [])];
+
+    return names.reduce((key, name) => ({ ...key, [name]: item[name] }), {});
+  }
+
+  // A cursor only pages through the table, index and partition it was issued for, in its tenant
+  getCursorScope(params) {
+    const keyCondition = params.KeyConditionExpression || null;
+    const keyValues = (keyCondition || '').match(/:\w+/g) || [];
+
+    return [
+      this.tenantScoped ? getTenantId() : null,
+      params.TableName,
+      params.IndexName || null,
+      keyCondition,
+      keyValues.map(name => params.ExpressionAttributeValues[name]),
+      params.ScanIndexForward,
+    ];
+  }
+
+  /**
+   * Write several items atomically. Each action is `{ Put }`, `{ Update }`,
+   * `{ Delete }` or `{ ConditionCheck }` with DocumentClient params; the
+   * table defaults to this one. When the transaction is cancelled, the error
+   * carries one `cancellationReasons` entry per action, e.g.
+   * 'ConditionalCheckFailed' or 'None'. The outbox items of `events` are
+   * appended after the actions.
+   */
+  async transactWrite(actions, { events = [] } = {}) {
+    try {
+      await this.client.transactWrite({
+        TransactItems: [
+          ...actions.map(action => this.toStoredAction(action)),
+          ...events.map(toOutboxAction),
+        ],
+      }).promise();
+
+      logger.debug({ 
+        table: this.tableName, 
+        actionCount: actions.length 
+      }, 'Transaction completed');
+    } catch (error) {
+      if (error.code === 'TransactionCanceledException') {
+        // The SDK only reports the reasons in the message: "... [ConditionalCheckFailed, None]"
+        const match = /\[([^\]]*)\]\s*$/.exec(error.message);
+        error.cancellationReasons = match ? match[1].split(',').map(reason => reason.trim()) : [];
+      }
+
+      logger.error({ 
+        error: error.message, 
+        table: this.tableName, 
+        actionCount: actions.length 
+      }, 'Failed to perform transaction');
+      throw error;
+    }
+  }
+
+  /**
+   * Run a single write with the outbox items of its events. A failed
+   * condition of the write is thrown as ConditionalCheckFailedException,
+   * as the plain write would.
+   */
+  async writeWithEvents(action, events) {
+    try {
+      await this.transactWrite([action], { events });
+    } catch (error) {
+      if (this.isConditionFailure(error, 0)) {
+        throw Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+      }
+      throw error;
+    }
+  }
+
+  resolveEvents(events, item) {
+    return typeof events === 'function' ? events(item) : events;
+  }
+
   /**
    * Batch write operations
    */
@@ -358,7 +537,7 @@ class BaseDatabase {
     try {
       const params = {
         RequestItems: {
-          [this.tableName]: requests,
+          [this.tableName]: requests.map(request => this.toStoredRequest(request)),
         },
       };
 
@@ -426,9 +605,183 @@ class BaseDatabase {
     return cleaned;
   }
 
+  /**
+   * SET expression, condition and attribute maps for an update of an
+   * existing item, incrementing its version
+   */
+  getUpdateExpression(updates, { expectedVersion = null } = {}) {
+    const updateExpression = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {};
+
+    Object.keys(updates).forEach((key, index) => {
+      const attrName = `#attr${index}`;
+      const attrValue = `:val${index}`;
+      
+      updateExpression.push(`${attrName} = ${attrValue}`);
+      expressionAttributeNames[attrName] = key;
+      expressionAttributeValues[attrValue] = updates[key];
+    });
+
+    const versioning = this.getVersionCondition(expectedVersion);
+    updateExpression.push(VERSION_INCREMENT);
+
+    return {
+      UpdateExpression: `SET ${updateExpression.join(', ')}`,
+      ExpressionAttributeNames: { ...expressionAttributeNames, ...VERSION_NAMES, ...versioning.names },
+      ExpressionAttributeValues: { ...expressionAttributeValues, ...VERSION_VALUES, ...versioning.values },
+      ConditionExpression: versioning.condition,
+    };
+  }
+
+  getVersion(item) {
+    return item.version || 0;
+  }
+
+  // Add the version increment to the params of a hand-written update
+  withVersionIncrement(params) {
+    const { UpdateExpression: expression } = params;
+
+    return {
+      ...params,
+      UpdateExpression: /\bSET\s/.test(expression)
+        ? expression.replace(/\bSET\s/, `SET ${VERSION_INCREMENT}, `)
+        : `${expression} SET ${VERSION_INCREMENT}`,
+      ExpressionAttributeNames: { ...params.ExpressionAttributeNames, ...VERSION_NAMES },
+      ExpressionAttributeValues: { ...params.ExpressionAttributeValues, ...VERSION_VALUES },
+    };
+  }
+
+  // Condition of a write that must find the item, at `expectedVersion` when given
+  getVersionCondition(expectedVersion) {
+    if (expectedVersion === null) {
+      return { condition: 'attribute_exists(id)', names: {}, values: {} };
+    }
+
+    if (expectedVersion === 0) {
+      return { condition: 'attribute_exists(id) AND attribute_not_exists(#version)', names: VERSION_NAMES, values: {} };
+    }
+
+    return {
+      condition: 'attribute_exists(id) AND #version = :expectedVersion',
+      names: VERSION_NAMES,
+      values: { ':expectedVersion': expectedVersion },
+    };
+  }
+
+  // A failed write condition means either a missing item or a stale version
+  async getConditionError(id, expectedVersion) {
+    const item = expectedVersion === null ? null : await this.findById(id, false);
+    return item ? new VersionConflictError(expectedVersion, this.getVersion(item)) : new Error('Item not found');
+  }
+
+  // Whether a cancelled transaction failed the condition of the action at `index`
+  isConditionFailure(error, index) {
+    return error.code === 'TransactionCanceledException'
+      && (error.cancellationReasons || [])[index] === 'ConditionalCheckFailed';
+  }
+
   invalidateCache(id) {
-    const cacheKey = `${this.tableName}:${id}`;
-    cache.del(cacheKey);
+    cache.del(this.getItemCacheKey(id));
+  }
+
+  getItemCacheKey(id) {
+    return `${this.tableName}:${this.scopeId(id)}`;
+  }
+
+  /**
+   * Tenant scoping
+   */
+  scopeId(id) {
+    if (!this.tenantScoped) {
+      return id;
+    }
+
+    // Plain ids in the default tenant, unless they could be mistaken for another tenant's key
+    const tenantId = getTenantId();
+    if (isDefaultTenant(tenantId) && !String(id).startsWith(TENANT_KEY_PREFIX)) {
+      return id;
+    }
+
+    return `${TENANT_KEY_PREFIX}${tenantId}#${id}`;
+  }
+
+  unscopeId(id) {
+    const prefix = `${TENANT_KEY_PREFIX}${getTenantId()}#`;
+    return this.tenantScoped && typeof id === 'string' && id.startsWith(prefix) ? id.slice(prefix.length) : id;
+  }
+
+  toKey(id) {
+    return { id: this.scopeId(id) };
+  }
+
+  toItem(item) {
+    if (!this.tenantScoped) {
+      return item;
+    }
+
+    return { ...item, id: this.scopeId(item.id), tenantId: getTenantId() };
+  }
+
+  fromItem(item) {
+    if (!this.tenantScoped || !item || item.id === undefined) {
+      return item;
+    }
+
+    return { ...item, id: this.unscopeId(item.id) };
+  }
+
+  toStoredKey(key) {
+    return this.tenantScoped && key && key.id !== undefined ? { ...key, id: this.scopeId(key.id) } : key;
+  }
+
+  toStoredAction(action) {
+    const [type, params] = Object.entries(action)[0];
+    const stored = { TableName: this.tableName, ...params };
+
+    if (stored.TableName === this.tableName) {
+      if (stored.Item) {
+        stored.Item = this.toItem(stored.Item);
+      }
+      if (stored.Key) {
+        stored.Key = this.toStoredKey(stored.Key);
+      }
+    }
+
+    return { [type]: stored };
+  }
+
+  toStoredRequest(request) {
+    if (request.PutRequest) {
+      return { PutRequest: { ...request.PutRequest, Item: this.toItem(request.PutRequest.Item) } };
+    }
+
+    if (request.DeleteRequest) {
+      return { DeleteRequest: { ...request.DeleteRequest, Key: this.toStoredKey(request.DeleteRequest.Key) } };
+    }
+
+    return request;
+  }
+
+  // Restrict a scan or query to the current tenant; items written before tenancy belong to the default tenant
+  scopeFilter(filterExpression, expressionAttributeNames, expressionAttributeValues) {
+    if (!this.tenantScoped) {
+      return filterExpression ? {
+        FilterExpression: filterExpression,
+        ExpressionAttributeNames: expressionAttributeNames,
+        ExpressionAttributeValues: expressionAttributeValues,
+      } : {};
+    }
+
+    const tenantFilter = isDefaultTenant()
+      ? '(attribute_not_exists(#tenantScope) OR #tenantScope = :tenantScope)'
+      : '#tenantScope = :tenantScope';
+
+    return {
+      FilterExpression: filterExpression ? `(${filterExpression}) AND ${tenantFilter}` : tenantFilter,
+      ExpressionAttributeNames: { ...expressionAttributeNames, '#tenantScope': 'tenantId' },
+      ExpressionAttributeValues: { ...expressionAttributeValues, ':tenantScope': getTenantId() },
+    };
   }
 
   getCacheInfo() {
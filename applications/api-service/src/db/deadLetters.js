@@ -0,0 +1,62 @@
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Dead Letter Database Class
+ * Stream records a handler still failed on after every retry, one item per
+ * record and handler (`<eventId>#<handler>`), with the raw record so it can
+ * be inspected or replayed. Items expire after `streams.deadLetterRetention`.
+ */
+class DeadLetterDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.deadLetterTable, { tenantScoped: false });
+  }
+
+  async addDeadLetter({ record, event, handler, error, attempts, shardKey }) {
+    const deadLetter = {
+      id: `${event.eventId}#${handler}`,
+      eventId: event.eventId,
+      eventName: event.eventName,
+      entityType: event.entityType,
+      sequenceNumber: event.sequenceNumber,
+      shardKey,
+      handler,
+      attempts,
+      error: error.message,
+      record,
+      failedAt: new Date().toISOString(),
+      expiresAt: Math.floor((Date.now() + ms(config.streams.deadLetterRetention)) / 1000),
+    };
+
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: deadLetter,
+      }).promise();
+
+      logger.warn({
+        eventId: event.eventId,
+        entityType: event.entityType,
+        handler,
+        error: error.message,
+      }, 'Stream record dead-lettered');
+
+      return deadLetter;
+    } catch (putError) {
+      logger.error({
+        error: putError.message,
+        eventId: event.eventId,
+        handler,
+      }, 'Failed to store dead letter');
+      throw putError;
+    }
+  }
+
+  async listDeadLetters({ limit = 20, cursor = null } = {}) {
+    return this.find({ limit, cursor });
+  }
+}
+
+module.exports = DeadLetterDatabase;
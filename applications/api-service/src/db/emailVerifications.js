@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Email Verification Database Class
+ * Stores single-use email verification tokens, each bound to the address it
+ * was sent to, plus a per-user marker that throttles resends. Only a SHA-256
+ * hash of each token is stored, and DynamoDB TTL removes expired entries.
+ */
+class EmailVerificationDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.emailVerificationTable);
+    this.userIndex = 'userId-index';
+  }
+
+  /**
+   * Create a verification token for an address and return the plaintext token
+   */
+  async createToken(userId, email) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      await this.create({
+        id: this.hashToken(token),
+        userId,
+        email,
+        status: 'pending',
+        expiresAt: this.getExpiresAt(),
+      });
+
+      logger.info({ userId }, 'Email verification token created');
+
+      return token;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to create email verification token');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used and return the user and address it was issued for
+   */
+  async consumeToken(token) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(this.hashToken(token)),
+        UpdateExpression: 'SET #status = :used, #usedAt = :now, #updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND #status = :pending AND #expiresAt > :epoch',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#usedAt': 'usedAt',
+          '#updatedAt': 'updatedAt',
+          '#expiresAt': 'expiresAt',
+        },
+        ExpressionAttributeValues: {
+          ':used': 'used',
+          ':pending': 'pending',
+          ':now': new Date().toISOString(),
+          ':epoch': Math.floor(Date.now() / 1000),
+        },
+        ReturnValues: 'ALL_NEW',
+      };
+
+      const result = await this.client.update(params).promise();
+
+      return {
+        userId: result.Attributes.userId,
+        email: result.Attributes.email,
+      };
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Verification token is invalid or has expired');
+      }
+
+      logger.error({ error: error.message }, 'Failed to consume email verification token');
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve the right to send a verification email to a user.
+   * Returns false while the previous send is within the resend cooldown.
+   */
+  async acquireResendSlot(userId) {
+    const now = Math.floor(Date.now() / 1000);
+
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: this.toItem({
+          id: `throttle#${userId}`,
+          type: 'throttle',
+          expiresAt: now + Math.ceil(ms(config.emailVerification.resendCooldown) / 1000),
+        }),
+        ConditionExpression: 'attribute_not_exists(id) OR #expiresAt <= :now',
+        ExpressionAttributeNames: { '#expiresAt': 'expiresAt' },
+        ExpressionAttributeValues: { ':now': now },
+      }).promise();
+
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to reserve email verification send');
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate every outstanding verification token of a user
+   */
+  async invalidateForUser(userId) {
+    try {
+      let cursor = null;
+      let invalidatedCount = 0;
+
+      do {
+        const result = await this.query('#userId = :userId', {
+          indexName: this.userIndex,
+          limit: 100,
+          cursor,
+          filterExpression: '#status = :pending',
+          expressionAttributeNames: {
+            '#userId': 'userId',
+            '#status': 'status',
+          },
+          expressionAttributeValues: {
+            ':userId': userId,
+            ':pending': 'pending',
+          },
+        });
+
+        await Promise.all(result.items.map(item => this.updateById(item.id, { status: 'invalidated' })));
+
+        invalidatedCount += result.items.length;
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      logger.debug({ userId, invalidatedCount }, 'Email verification tokens invalidated');
+
+      return invalidatedCount;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to invalidate email verification tokens');
+      throw error;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getExpiresAt() {
+    return Math.floor((Date.now() + ms(config.emailVerification.expiresIn)) / 1000);
+  }
+}
+
+module.exports = EmailVerificationDatabase;
@@ -0,0 +1,74 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Federated Identity Database Class
+ * Links between an identity at an external OIDC provider, keyed by
+ * `<providerId>#<subject>`, and a local user. A provider identity is linked
+ * to at most one user.
+ */
+class FederatedIdentityDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.federatedIdentityTable);
+  }
+
+  async findIdentity(providerId, subject) {
+    return this.findById(this.getIdentityId(providerId, subject), false);
+  }
+
+  /**
+   * Link a provider identity to a user
+   */
+  async linkIdentity(providerId, subject, userId, { email = null } = {}) {
+    try {
+      const identity = await this.create({
+        id: this.getIdentityId(providerId, subject),
+        providerId,
+        subject,
+        userId,
+        email,
+        lastLoginAt: new Date().toISOString(),
+      });
+
+      logger.info({ userId, providerId }, 'Federated identity linked');
+
+      return identity;
+    } catch (error) {
+      if (error.message === 'Item already exists') {
+        throw new ConflictError('Identity is already linked to a user');
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+        providerId,
+      }, 'Failed to link federated identity');
+      throw error;
+    }
+  }
+
+  /**
+   * Record a sign-in; failures are logged and never block the login
+   */
+  async touchIdentity(identityId) {
+    try {
+      await this.updateById(identityId, { lastLoginAt: new Date().toISOString() });
+    } catch (error) {
+      logger.warn({
+        error: error.message,
+        identityId,
+      }, 'Failed to record federated sign-in');
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  getIdentityId(providerId, subject) {
+    return `${providerId}#${subject}`;
+  }
+}
+
+module.exports = FederatedIdentityDatabase;
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Federation State Database Class
+ * Pending OIDC authorization requests: the PKCE verifier, nonce and redirect
+ * URI needed to complete a federated sign-in, or the linking of a provider to
+ * the signed-in user named by `linkUserId`. Keyed by a SHA-256 hash of the
+ * `state` parameter, usable once, and removed by TTL if never completed.
+ */
+class FederationStateDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.federationStateTable);
+  }
+
+  /**
+   * Store a pending authorization request and return its state value
+   */
+  async createState({ providerId, codeVerifier, nonce, redirectUri, linkUserId = null }) {
+    const state = crypto.randomBytes(32).toString('base64url');
+
+    try {
+      await this.create({
+        id: this.hashState(state),
+        providerId,
+        codeVerifier,
+        nonce,
+        redirectUri,
+        linkUserId,
+        expiresAt: Math.floor((Date.now() + ms(config.federation.stateExpiresIn)) / 1000),
+      });
+
+      return state;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        providerId,
+      }, 'Failed to store federation state');
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a pending request and return it. The conditional delete
+   * guarantees a state is accepted only once, for the provider it was made for.
+   * A state started for linking is only accepted for that user, and a sign-in
+   * state only for a sign-in.
+   */
+  async consumeState(state, providerId, { linkUserId = null } = {}) {
+    let pending;
+    try {
+      const result = await this.client.delete({
+        TableName: this.tableName,
+        Key: this.toKey(this.hashState(state)),
+        ConditionExpression: '#providerId = :providerId AND #expiresAt > :epoch',
+        ExpressionAttributeNames: {
+          '#providerId': 'providerId',
+          '#expiresAt': 'expiresAt',
+        },
+        ExpressionAttributeValues: {
+          ':providerId': providerId,
+          ':epoch': Math.floor(Date.now() / 1000),
+        },
+        ReturnValues: 'ALL_OLD',
+      }).promise();
+
+      pending = this.fromItem(result.Attributes);
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Sign-in request is invalid or has expired');
+      }
+
+      logger.error({ error: error.message, providerId }, 'Failed to consume federation state');
+      throw error;
+    }
+
+    if ((pending.linkUserId || null) !== linkUserId) {
+      throw new ValidationError('Sign-in request is invalid or has expired');
+    }
+
+    return pending;
+  }
+
+  /**
+   * Utility methods
+   */
+  hashState(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+  }
+}
+
+module.exports = FederationStateDatabase;
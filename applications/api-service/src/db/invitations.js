@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Invitation Database Class
+ * Invitations to join an organization, sent by email. As with password
+ * resets, only a SHA-256 hash of the token is stored and used as the id;
+ * DynamoDB TTL removes invitations once they expire.
+ */
+class InvitationDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.invitationTable);
+    this.organizationIndex = 'organizationId-index';
+  }
+
+  /**
+   * Create an invitation and return it with its plaintext token
+   */
+  async createInvitation(organizationId, { email, role = 'member', invitedBy = null }) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      const invitation = await this.create({
+        id: this.hashToken(token),
+        organizationId,
+        email: email.toLowerCase().trim(),
+        role,
+        status: 'pending',
+        invitedBy,
+        expiresAt: this.getExpiresAt(),
+      });
+
+      logger.info({ organizationId, invitationId: invitation.id, role }, 'Organization invitation created');
+
+      return { invitation, token };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to create organization invitation');
+      throw error;
+    }
+  }
+
+  /**
+   * List a page of the pending invitations of an organization
+   */
+  async listPending(organizationId, { limit = 20, cursor = null } = {}) {
+    try {
+      return await this.query('#organizationId = :organizationId', {
+        indexName: this.organizationIndex,
+        limit,
+        cursor,
+        filterExpression: '#status = :pending AND #expiresAt > :epoch',
+        expressionAttributeNames: {
+          '#organizationId': 'organizationId',
+          '#status': 'status',
+          '#expiresAt': 'expiresAt',
+        },
+        expressionAttributeValues: {
+          ':organizationId': organizationId,
+          ':pending': 'pending',
+          ':epoch': Math.floor(Date.now() / 1000),
+        },
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to list organization invitations');
+      throw error;
+    }
+  }
+
+
+  /**
+   * Accept or decline an invitation addressed to `email`.
+   * The conditional update guarantees an invitation is answered only once.
+   */
+  async respond(token, email, status) {
+    try {
+      const result = await this.client.update({
+        TableName: this.tableName,
+        Key: this.toKey(this.hashToken(token)),
+        UpdateExpression: 'SET #status = :status, #respondedAt = :now, #updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND #status = :pending AND #expiresAt > :epoch AND #email = :email',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#respondedAt': 'respondedAt',
+          '#updatedAt': 'updatedAt',
+          '#expiresAt': 'expiresAt',
+          '#email': 'email',
+        },
+        ExpressionAttributeValues: {
+          ':status': status,
+          ':pending': 'pending',
+          ':now': new Date().toISOString(),
+          ':epoch': Math.floor(Date.now() / 1000),
+          ':email': email.toLowerCase().trim(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }).promise();
+
+      logger.info({ organizationId: result.Attributes.organizationId, status }, 'Organization invitation answered');
+
+      return this.fromItem(result.Attributes);
+    } catch (error) {
+      // Also covers invitations addressed to someone else, without revealing that they exist
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Invitation is invalid or has expired');
+      }
+
+      logger.error({ error: error.message }, 'Failed to answer organization invitation');
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a pending invitation of an organization
+   */
+  async revokeInvitation(organizationId, invitationId, { revokedBy = null } = {}) {
+    try {
+      await this.client.update({
+        TableName: this.tableName,
+        Key: this.toKey(invitationId),
+        UpdateExpression: 'SET #status = :revoked, #revokedBy = :revokedBy, #updatedAt = :now',
+        ConditionExpression: '#organizationId = :organizationId AND #status = :pending',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#revokedBy': 'revokedBy',
+          '#updatedAt': 'updatedAt',
+          '#organizationId': 'organizationId',
+        },
+        ExpressionAttributeValues: {
+          ':revoked': 'revoked',
+          ':revokedBy': revokedBy,
+          ':now': new Date().toISOString(),
+          ':organizationId': organizationId,
+          ':pending': 'pending',
+        },
+      }).promise();
+
+      logger.info({ organizationId, invitationId, revokedBy }, 'Organization invitation revoked');
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new NotFoundError('Invitation not found');
+      }
+
+      logger.error({
+        error: error.message,
+        organizationId,
+        invitationId,
+      }, 'Failed to revoke organization invitation');
+      throw error;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getExpiresAt() {
+    return Math.floor((Date.now() + ms(config.organizations.invitationExpiresIn)) / 1000);
+  }
+}
+
+module.exports = InvitationDatabase;
@@ -0,0 +1,284 @@
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getTenantId } = require('../utils/tenantContext');
+
+// Rounds of adding to and resetting a counter, when other failures keep resetting it first
+const INCREMENT_ATTEMPTS = 3;
+
+/**
+ * Login Attempt Database Class
+ * Failed login counters, one item per scope: the account (`account#<email>`),
+ * the client IP (`ip#<ip>`) and the pair (`ipAccount#<ip>#<email>`). Counters
+ * are incremented with an atomic ADD so concurrent logins in any region are
+ * all counted, and each counter is forgotten once `window` passes without a
+ * failure.
+ *
+ * A scope that reaches its threshold is locked with exponential backoff:
+ * the first lockout lasts `baseDelay`, and each further failure after it
+ * expires doubles the delay, up to `maxDelay`. The pair locks first, so a
+ * single source guessing one password is stopped without locking the real
+ * user out; the account threshold is much higher and catches attacks spread
+ * over many IPs.
+ */
+class LoginAttemptDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.loginAttemptTable);
+    this.accountIndex = 'account-index';
+  }
+
+  /**
+   * Current state of the counters for a login, checked before the password.
+   * Lookup failures are logged and never block a login.
+   */
+  async getStatus(email, ip) {
+    try {
+      const scopes = this.getScopes(email, ip);
+      const items = await Promise.all(scopes.map(scope => this.findById(scope.id, false)));
+
+      return this.evaluate(scopes, items.map(item => this.isCurrent(item) ? item : null));
+    } catch (error) {
+      logger.warn({
+        error: error.message,
+        email,
+        ip,
+      }, 'Failed to read login attempts');
+      return this.evaluate([], []);
+    }
+  }
+
+  /**
+   * Count a failed login in every scope and return the resulting status
+   */
+  async recordFailure(email, ip) {
+    try {
+      const scopes = this.getScopes(email, ip);
+      const items = await Promise.all(scopes.map(scope => this.increment(scope)));
+      const status = this.evaluate(scopes, items);
+
+      if (status.locked) {
+        logger.warn({
+          email,
+          ip,
+          scope: status.scope,
+          retryAfter: status.retryAfter,
+        }, 'Login locked due to too many failed attempts');
+      }
+
+      return status;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        email,
+        ip,
+      }, 'Failed to record failed login');
+      return this.evaluate([], []);
+    }
+  }
+
+  /**
+   * Clear the account counters after a successful login. The IP counter is
+   * kept, as one valid account does not vouch for the other guesses from it.
+   */
+  async recordSuccess(email, ip) {
+    try {
+      const scopes = this.getScopes(email, ip).filter(scope => scope.name !== 'ip');
+      await Promise.all(scopes.map(scope => this.remove(scope.id)));
+    } catch (error) {
+      logger.warn({
+        error: error.message,
+        email,
+      }, 'Failed to clear login attempts');
+    }
+  }
+
+  /**
+   * Clear every counter of an account, including those paired with an IP
+   */
+  async unlockAccount(email) {
+    try {
+      const account = email.toLowerCase();
+      let cursor = null;
+      let clearedCount = 0;
+
+      do {
+        const result = await this.query('#account = :account', {
+          indexName: this.accountIndex,
+          limit: 100,
+          cursor,
+          expressionAttributeNames: {
+            '#account': 'account',
+          },
+          expressionAttributeValues: {
+            ':account': account,
+          },
+        });
+
+        await Promise.all(result.items.map(item => this.remove(item.id)));
+
+        clearedCount += result.items.length;
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      logger.info({ email: account, clearedCount }, 'Login attempts cleared for account');
+
+      return clearedCount;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        email,
+      }, 'Failed to unlock account');
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically add a failure to a counter, starting a new one when the
+   * stored counter has expired but not yet been removed by TTL. The reset is
+   * conditional on the counter still being expired, so of two concurrent
+   * failures one resets it and the other adds to the new counter.
+   */
+  async increment(scope) {
+    const now = new Date().toISOString();
+    const names = {
+      '#count': 'count',
+      '#scope': 'scope',
+      '#lastFailureAt': 'lastFailureAt',
+      '#expiresAt': 'expiresAt',
+      '#updatedAt': 'updatedAt',
+      '#tenantId': 'tenantId',
+      ...(scope.account && { '#account': 'account' }),
+    };
+    const values = {
+      ':one': 1,
+      ':scope': scope.name,
+      ':now': now,
+      ':expiresAt': this.getExpiresAt(),
+      ':tenantId': getTenantId(),
+      ...(scope.account && { ':account': scope.account }),
+    };
+
+    for (let attempt = 1; ; attempt += 1) {
+      const epoch = Math.floor(Date.now() / 1000);
+
+      try {
+        const result = await this.client.update({
+          TableName: this.tableName,
+          Key: this.toKey(scope.id),
+          UpdateExpression: `ADD #count :one SET #scope = :scope, #lastFailureAt = :now, #expiresAt = :expiresAt, #updatedAt = :now, #tenantId = :tenantId${scope.account ? ', #account = :account' : ''}`,
+          ConditionExpression: 'attribute_not_exists(id) OR #expiresAt > :epoch',
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: { ...values, ':epoch': epoch },
+          ReturnValues: 'ALL_NEW',
+        }).promise();
+
+        return this.fromItem(result.Attributes);
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+
+      const item = {
+        id: scope.id,
+        scope: scope.name,
+        count: 1,
+        lastFailureAt: now,
+        expiresAt: values[':expiresAt'],
+        updatedAt: now,
+        ...(scope.account && { account: scope.account }),
+      };
+
+      try {
+        await this.client.put({
+          TableName: this.tableName,
+          Item: this.toItem(item),
+          ConditionExpression: '#expiresAt <= :epoch',
+          ExpressionAttributeNames: { '#expiresAt': 'expiresAt' },
+          ExpressionAttributeValues: { ':epoch': epoch },
+        }).promise();
+
+        return item;
+      } catch (error) {
+        // Another failure reset the counter first: add to the new one
+        if (error.code !== 'ConditionalCheckFailedException' || attempt >= INCREMENT_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  async remove(id) {
+    await this.client.delete({
+      TableName: this.tableName,
+      Key: this.toKey(id),
+    }).promise();
+  }
+
+  /**
+   * Utility methods
+   */
+  getScopes(email, ip) {
+    const account = email.toLowerCase();
+    const { thresholds } = config.loginThrottle;
+    const scopes = [{ name: 'account', id: `account#${account}`, account, threshold: thresholds.account }];
+
+    if (ip) {
+      scopes.push(
+        { name: 'ip', id: `ip#${ip}`, threshold: thresholds.ip },
+        { name: 'ipAccount', id: `ipAccount#${ip}#${account}`, account, threshold: thresholds.ipAccount }
+      );
+    }
+
+    return scopes;
+  }
+
+  // Combine the counters of all scopes into one status; the longest lockout wins
+  evaluate(scopes, items) {
+    const status = { locked: false, retryAfter: 0, scope: null, captchaRequired: false };
+
+    scopes.forEach((scope, index) => {
+      const item = items[index];
+      if (!item) {
+        return;
+      }
+
+      const retryAfter = this.getRetryAfter(item.count, scope.threshold, item.lastFailureAt);
+      if (retryAfter > status.retryAfter) {
+        Object.assign(status, { locked: true, retryAfter, scope: scope.name });
+      }
+
+      if (scope.account && item.count >= config.loginThrottle.captchaThreshold) {
+        status.captchaRequired = true;
+      }
+    });
+
+    return status;
+  }
+
+  // Seconds until a counter at `count` failures accepts another attempt
+  getRetryAfter(count, threshold, lastFailureAt) {
+    if (count < threshold) {
+      return 0;
+    }
+
+    const { baseDelay, maxDelay } = config.loginThrottle;
+    const delay = Math.min(ms(baseDelay) * Math.pow(2, count - threshold), ms(maxDelay));
+    const remaining = Date.parse(lastFailureAt) + delay - Date.now();
+
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  }
+
+  isCurrent(item) {
+    return !!item && item.expiresAt > Math.floor(Date.now() / 1000);
+  }
+
+  // Counters outlive the longest lockout so a locked scope is never forgotten early
+  getExpiresAt() {
+    const { window, maxDelay } = config.loginThrottle;
+    return Math.floor((Date.now() + Math.max(ms(window), ms(maxDelay))) / 1000);
+  }
+}
+
+module.exports = LoginAttemptDatabase;
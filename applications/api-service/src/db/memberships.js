@@ -0,0 +1,192 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+
+// Organization roles, from least to most privileged
+const ORGANIZATION_ROLES = ['member', 'admin', 'owner'];
+
+/**
+ * Membership Database Class
+ * One item per member of an organization, keyed `<organizationId>#<userId>`,
+ * holding the member's role in that organization. Indexed by organization
+ * to list members and by user to list a user's organizations.
+ */
+class MembershipDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.membershipTable);
+    this.organizationIndex = 'organizationId-index';
+    this.userIndex = 'userId-index';
+  }
+
+  /**
+   * Add a user to an organization
+   */
+  async addMember(organizationId, userId, { role = 'member', addedBy = null } = {}) {
+    try {
+      const membership = await this.create({
+        id: this.getMembershipId(organizationId, userId),
+        organizationId,
+        userId,
+        role,
+        addedBy,
+      });
+
+      logger.info({ organizationId, userId, role }, 'Organization member added');
+
+      return membership;
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        throw new ConflictError('User is already a member of this organization');
+      }
+
+      logger.error({
+        error: error.message,
+        organizationId,
+        userId,
+      }, 'Failed to add organization member');
+      throw error;
+    }
+  }
+
+  async getMembership(organizationId, userId) {
+    return this.findById(this.getMembershipId(organizationId, userId), false);
+  }
+
+  /**
+   * List a page of the members of an organization
+   */
+  async listMembers(organizationId, { limit = 20, cursor = null } = {}) {
+    try {
+      return await this.queryPage(this.organizationIndex, 'organizationId', organizationId, { limit, cursor });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to list organization members');
+      throw error;
+    }
+  }
+
+  /**
+   * List a page of the organizations a user belongs to
+   */
+  async listForUser(userId, { limit = 20, cursor = null } = {}) {
+    try {
+      return await this.queryPage(this.userIndex, 'userId', userId, { limit, cursor });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to list user memberships');
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role of a member
+   */
+  async setRole(organizationId, userId, role) {
+    try {
+      const membership = await this.updateById(this.getMembershipId(organizationId, userId), { role });
+
+      logger.info({ organizationId, userId, role }, 'Organization member role changed');
+
+      return membership;
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('Member not found');
+      }
+
+      logger.error({
+        error: error.message,
+        organizationId,
+        userId,
+      }, 'Failed to change organization member role');
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from an organization
+   */
+  async removeMember(organizationId, userId) {
+    try {
+      await this.deleteById(this.getMembershipId(organizationId, userId));
+
+      logger.info({ organizationId, userId }, 'Organization member removed');
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('Member not found');
+      }
+
+      logger.error({
+        error: error.message,
+        organizationId,
+        userId,
+      }, 'Failed to remove organization member');
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every membership of an organization
+   */
+  async removeAllMembers(organizationId) {
+    const members = await this.queryAll(this.organizationIndex, 'organizationId', organizationId);
+
+    for (let i = 0; i < members.length; i += 25) {
+      await this.batchWrite(members.slice(i, i + 25).map(member => ({
+        DeleteRequest: { Key: { id: member.id } },
+      })));
+    }
+
+    return members.length;
+  }
+
+  /**
+   * Utility methods
+   */
+  async queryPage(indexName, attribute, value, { limit, cursor }) {
+    return this.query('#key = :key', {
+      indexName,
+      limit,
+      cursor,
+      expressionAttributeNames: { '#key': attribute },
+      expressionAttributeValues: { ':key': value },
+    });
+  }
+
+  async queryAll(indexName, attribute, value) {
+    const items = [];
+    let cursor = null;
+
+    do {
+      const result = await this.query('#key = :key', {
+        indexName,
+        limit: 100,
+        cursor,
+        expressionAttributeNames: { '#key': attribute },
+        expressionAttributeValues: { ':key': value },
+      });
+
+      items.push(...result.items);
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return items;
+  }
+
+  // Whether a membership grants at least `role`
+  hasRole(membership, role) {
+    return !!membership && ORGANIZATION_ROLES.indexOf(membership.role) >= ORGANIZATION_ROLES.indexOf(role);
+  }
+
+  getMembershipId(organizationId, userId) {
+    return `${organizationId}#${userId}`;
+  }
+}
+
+MembershipDatabase.ROLES = ORGANIZATION_ROLES;
+
+module.exports = MembershipDatabase;
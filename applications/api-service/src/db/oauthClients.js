@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const CLIENT_ID_PREFIX = 'svc';
+
+/**
+ * OAuth Client Database Class
+ * Clients registered for the client credentials grant. The secret is shown
+ * once at creation and stored only as a SHA-256 hash; `scopes` bounds what a
+ * client may request in a token.
+ */
+class OAuthClientDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.oauthClientTable, { tenantScoped: false });
+  }
+
+  /**
+   * Register a client and return it together with its plaintext secret
+   */
+  async createClient({ name, scopes = [], createdBy = null }) {
+    try {
+      const clientId = `${CLIENT_ID_PREFIX}_${crypto.randomBytes(8).toString('hex')}`;
+      const clientSecret = this.generateSecret();
+
+      const client = await this.create({
+        id: clientId,
+        name,
+        scopes,
+        secretHash: this.hashSecret(clientSecret),
+        status: 'active',
+        lastUsedAt: null,
+        createdBy,
+      });
+
+      logger.info({ clientId, scopes }, 'OAuth client created');
+
+      return {
+        client: this.sanitize(client),
+        clientSecret,
+      };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        name,
+      }, 'Failed to create OAuth client');
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve client credentials to the stored client.
+   * Returns null for unknown, mismatched or revoked clients.
+   */
+  async verifyClient(clientId, clientSecret) {
+    if (!clientId || !clientSecret) {
+      return null;
+    }
+
+    const client = await this.findClient(clientId);
+    if (!client || client.status !== 'active') {
+      return null;
+    }
+
+    const expected = Buffer.from(client.secretHash, 'hex');
+    const actual = Buffer.from(this.hashSecret(clientSecret), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return this.sanitize(client);
+  }
+
+  /**
+   * List registered clients
+   */
+  async listClients({ limit = 20, cursor = null } = {}) {
+    try {
+      const result = await this.find({ limit, cursor });
+
+      return {
+        ...result,
+        items: result.items.map(client => this.sanitize(client)),
+      };
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to list OAuth clients');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the secret of a client; the old secret stops working immediately
+   */
+  async rotateSecret(clientId, { rotatedBy = null } = {}) {
+    const existing = await this.findById(clientId, false);
+    if (!existing || existing.status !== 'active') {
+      throw new NotFoundError('OAuth client not found');
+    }
+
+    const clientSecret = this.generateSecret();
+    const client = await this.updateById(clientId, {
+      secretHash: this.hashSecret(clientSecret),
+      secretRotatedAt: new Date().toISOString(),
+      secretRotatedBy: rotatedBy,
+    });
+
+    this.invalidateClientCache(clientId);
+
+    logger.info({ clientId, rotatedBy }, 'OAuth client secret rotated');
+
+    return {
+      client: this.sanitize(client),
+      clientSecret,
+    };
+  }
+
+  /**
+   * Revoke a client. Tokens already issued stay valid until they expire.
+   */
+  async revokeClient(clientId, { revokedBy = null } = {}) {
+    try {
+      const client = await this.updateById(clientId, {
+        status: 'revoked',
+        revokedAt: new Date().toISOString(),
+        revokedBy,
+      });
+
+      this.invalidateClientCache(clientId);
+
+      logger.info({ clientId, revokedBy }, 'OAuth client revoked');
+
+      return this.sanitize(client);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('OAuth client not found');
+      }
+
+      logger.error({
+        error: error.message,
+        clientId,
+      }, 'Failed to revoke OAuth client');
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a client through a short-lived in-process cache
+   */
+  async findClient(clientId) {
+    const cacheKey = this.getCacheKey(clientId);
+    const cached = cache.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const client = await this.findById(clientId, false);
+    cache.set(cacheKey, client || false, config.oauth.clientCacheTtl);
+
+    return client;
+  }
+
+  /**
+   * Record usage; failures are logged and never block token issuance
+   */
+  touchLastUsed(clientId) {
+    this.updateById(clientId, { lastUsedAt: new Date().toISOString() })
+      .catch(error => logger.warn({ error: error.message, clientId }, 'Failed to record OAuth client usage'));
+  }
+
+  /**
+   * Utility methods
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  sanitize(client) {
+    const { secretHash, ...safeClient } = client;
+    return safeClient;
+  }
+
+  getCacheKey(clientId) {
+    return `${this.tableName}:client:${clientId}`;
+  }
+
+  invalidateClientCache(clientId) {
+    cache.del(this.getCacheKey(clientId));
+  }
+}
+
+module.exports = OAuthClientDatabase;
@@ -0,0 +1,113 @@
+const BaseDatabase = require('./base');
+const MembershipDatabase = require('./memberships');
+const TeamDatabase = require('./teams');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Organization Database Class
+ * An organization has exactly one owner, recorded both as `ownerId` and as
+ * the owner's membership role. Members and teams are stored in their own
+ * tables and removed together with the organization.
+ */
+class OrganizationDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.organizationTable);
+    this.memberships = new MembershipDatabase();
+    this.teams = new TeamDatabase();
+  }
+
+  /**
+   * Create an organization owned by its creator
+   */
+  async createOrganization({ name, description = null, ownerId }) {
+    try {
+      const organization = await this.create({
+        name,
+        description,
+        ownerId,
+      });
+
+      await this.memberships.addMember(organization.id, ownerId, { role: 'owner', addedBy: ownerId });
+
+      logger.info({ organizationId: organization.id, ownerId }, 'Organization created');
+
+      return organization;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ownerId,
+      }, 'Failed to create organization');
+      throw error;
+    }
+  }
+
+  async getOrganization(organizationId) {
+    return this.findById(organizationId);
+  }
+
+  async updateOrganization(organizationId, updates) {
+    try {
+      return await this.updateById(organizationId, updates);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('Organization not found');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an organization with its memberships and teams.
+   * Pending invitations expire on their own and cannot be accepted any more.
+   */
+  async deleteOrganization(organizationId) {
+    try {
+      await this.deleteById(organizationId);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('Organization not found');
+      }
+      throw error;
+    }
+
+    const [memberCount, teamCount] = await Promise.all([
+      this.memberships.removeAllMembers(organizationId),
+      this.teams.deleteAllTeams(organizationId),
+    ]);
+
+    logger.info({ organizationId, memberCount, teamCount }, 'Organization deleted');
+  }
+
+  /**
+   * Make another member the owner. The previous owner stays on as an admin.
+   */
+  async transferOwnership(organizationId, newOwnerId) {
+    const organization = await this.findById(organizationId, false);
+    if (!organization) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    const previousOwnerId = organization.ownerId;
+    if (newOwnerId === previousOwnerId) {
+      throw new ValidationError('User already owns this organization');
+    }
+
+    const membership = await this.memberships.getMembership(organizationId, newOwnerId);
+    if (!membership) {
+      throw new ValidationError('The new owner must be a member of the organization');
+    }
+
+    // Promote first, so the organization is never left without an owner
+    await this.memberships.setRole(organizationId, newOwnerId, 'owner');
+    const updated = await this.updateById(organizationId, { ownerId: newOwnerId });
+    await this.memberships.setRole(organizationId, previousOwnerId, 'admin');
+
+    logger.info({ organizationId, previousOwnerId, newOwnerId }, 'Organization ownership transferred');
+
+    return updated;
+  }
+}
+
+module.exports = OrganizationDatabase;
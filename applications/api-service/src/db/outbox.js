@@ -0,0 +1,42 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Outbox Database Class
+ * Domain events waiting to be published, one item per event id, written by
+ * BaseDatabase in the transaction of the change they describe. The table's
+ * stream feeds the outbox relay, which publishes each new item and marks it
+ * `publishedAt`; items expire after `events.outboxRetention`.
+ */
+class OutboxDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.outboxTable, { tenantScoped: false });
+  }
+
+  async markPublished(eventId) {
+    try {
+      await this.client.update({
+        TableName: this.tableName,
+        Key: { id: eventId },
+        UpdateExpression: 'SET #publishedAt = :now ADD #deliveries :one',
+        ConditionExpression: 'attribute_exists(id)',
+        ExpressionAttributeNames: { '#publishedAt': 'publishedAt', '#deliveries': 'deliveries' },
+        ExpressionAttributeValues: { ':now': new Date().toISOString(), ':one': 1 },
+      }).promise();
+    } catch (error) {
+      // The item expired or was removed; the event was published all the same
+      if (error.code === 'ConditionalCheckFailedException') {
+        return;
+      }
+
+      logger.error({
+        error: error.message,
+        eventId,
+      }, 'Failed to mark outbox event as published');
+      throw error;
+    }
+  }
+}
+
+module.exports = OutboxDatabase;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Password Reset Database Class
+ * Stores single-use password reset tokens. Only a SHA-256 hash of each token
+ * is stored, keyed by that hash, and DynamoDB TTL removes expired entries.
+ */
+class PasswordResetDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.passwordResetTable);
+    this.userIndex = 'userId-index';
+  }
+
+  /**
+   * Create a reset token for a user and return the plaintext token
+   */
+  async createToken(userId, metadata = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      await this.create({
+        id: this.hashToken(token),
+        userId,
+        status: 'pending',
+        expiresAt: this.getExpiresAt(),
+        metadata: {
+          ip: metadata.ip || null,
+          userAgent: metadata.userAgent || null,
+        },
+      });
+
+      logger.info({ userId }, 'Password reset token created');
+
+      return token;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to create password reset token');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used and return the user it belongs to.
+   * The conditional update guarantees a token is accepted only once.
+   */
+  async consumeToken(token) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(this.hashToken(token)),
+        UpdateExpression: 'SET #status = :used, #usedAt = :now, #updatedAt = :now',
+        ConditionExpression: 'attribute_exists(id) AND #status = :pending AND #expiresAt > :epoch',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#usedAt': 'usedAt',
+          '#updatedAt': 'updatedAt',
+          '#expiresAt': 'expiresAt',
+        },
+        ExpressionAttributeValues: {
+          ':used': 'used',
+          ':pending': 'pending',
+          ':now': new Date().toISOString(),
+          ':epoch': Math.floor(Date.now() / 1000),
+        },
+        ReturnValues: 'ALL_NEW',
+      };
+
+      const result = await this.client.update(params).promise();
+
+      logger.info({ userId: result.Attributes.userId }, 'Password reset token used');
+
+      return result.Attributes.userId;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Reset token is invalid or has expired');
+      }
+
+      logger.error({ error: error.message }, 'Failed to consume password reset token');
+      throw error;
+    }
+  }
+
+  /**
+   * Return a consumed token to pending, e.g. when the new password was rejected
+   */
+  async releaseToken(token) {
+    try {
+      await this.client.update({
+        TableName: this.tableName,
+        Key: this.toKey(this.hashToken(token)),
+        UpdateExpression: 'SET #status = :pending, #updatedAt = :now REMOVE #usedAt',
+        ConditionExpression: '#status = :used',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#usedAt': 'usedAt',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':pending': 'pending',
+          ':used': 'used',
+          ':now': new Date().toISOString(),
+        },
+      }).promise();
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to release password reset token');
+    }
+  }
+
+  /**
+   * Invalidate every outstanding reset token of a user
+   */
+  async invalidateForUser(userId) {
+    try {
+      let cursor = null;
+      let invalidatedCount = 0;
+
+      do {
+        const result = await this.query('#userId = :userId', {
+          indexName: this.userIndex,
+          limit: 100,
+          cursor,
+          filterExpression: '#status = :pending',
+          expressionAttributeNames: {
+            '#userId': 'userId',
+            '#status': 'status',
+          },
+          expressionAttributeValues: {
+            ':userId': userId,
+            ':pending': 'pending',
+          },
+        });
+
+        await Promise.all(result.items.map(item => this.updateById(item.id, { status: 'invalidated' })));
+
+        invalidatedCount += result.items.length;
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      logger.debug({ userId, invalidatedCount }, 'Password reset tokens invalidated');
+
+      return invalidatedCount;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to invalidate password reset tokens');
+      throw error;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getExpiresAt() {
+    return Math.floor((Date.now() + ms(config.passwordReset.expiresIn)) / 1000);
+  }
+}
+
+module.exports = PasswordResetDatabase;
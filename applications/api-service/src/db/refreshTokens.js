@@ -0,0 +1,196 @@
+const ms = require('ms');
+const { v4: uuidv4 } = require('uuid');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { UnauthorizedError, RefreshTokenReuseError } = require('../middleware/errorHandler');
+
+/**
+ * Refresh Token Database Class
+ * Persists refresh token families so every rotation can be checked for reuse.
+ * A family holds only the id of its newest token; presenting any older token
+ * means it was replayed, and the whole family is revoked.
+ */
+class RefreshTokenDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.refreshTokenTable);
+    this.userIndex = 'userId-index';
+  }
+
+  /**
+   * Start a new token family for a login
+   */
+  async createFamily(userId, metadata = {}) {
+    try {
+      const family = await this.create({
+        id: uuidv4(),
+        userId,
+        currentTokenId: uuidv4(),
+        status: 'active',
+        rotationCount: 0,
+        expiresAt: this.getExpiresAt(),
+        metadata: {
+          ip: metadata.ip || null,
+          userAgent: metadata.userAgent || null,
+        },
+      });
+
+      logger.info({ userId, familyId: family.id }, 'Refresh token family created');
+
+      return { familyId: family.id, tokenId: family.currentTokenId };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to create refresh token family');
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange the current token of a family for a new one.
+   * Replaying a token that was already rotated revokes the family.
+   */
+  async rotateToken(familyId, userId, presentedTokenId) {
+    const nextTokenId = uuidv4();
+
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(familyId),
+        UpdateExpression: 'SET #currentTokenId = :next, #expiresAt = :expiresAt, #lastRotatedAt = :now, #updatedAt = :now ADD #rotationCount :one',
+        ConditionExpression: '#userId = :userId AND #currentTokenId = :presented AND #status = :active AND #expiresAt > :epoch',
+        ExpressionAttributeNames: {
+          '#currentTokenId': 'currentTokenId',
+          '#expiresAt': 'expiresAt',
+          '#lastRotatedAt': 'lastRotatedAt',
+          '#updatedAt': 'updatedAt',
+          '#rotationCount': 'rotationCount',
+          '#userId': 'userId',
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':next': nextTokenId,
+          ':expiresAt': this.getExpiresAt(),
+          ':now': new Date().toISOString(),
+          ':one': 1,
+          ':userId': userId,
+          ':presented': presentedTokenId,
+          ':active': 'active',
+          ':epoch': Math.floor(Date.now() / 1000),
+        },
+      };
+
+      await this.client.update(params).promise();
+
+      logger.debug({ familyId, userId }, 'Refresh token rotated');
+
+      return { familyId, tokenId: nextTokenId };
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        logger.error({
+          error: error.message,
+          familyId,
+          userId,
+        }, 'Failed to rotate refresh token');
+        throw error;
+      }
+    }
+
+    // The conditional update failed: work out why
+    const family = await this.findById(familyId, false);
+
+    if (!family || family.userId !== userId) {
+      throw new UnauthorizedError('Refresh token is not valid');
+    }
+
+    if (family.status !== 'active') {
+      throw new UnauthorizedError('Refresh token has been revoked');
+    }
+
+    if (family.currentTokenId !== presentedTokenId) {
+      await this.revokeFamily(familyId, 'reuse_detected');
+
+      logger.warn({
+        familyId,
+        userId,
+      }, 'Refresh token reuse detected - token family revoked');
+
+      throw new RefreshTokenReuseError();
+    }
+
+    throw new UnauthorizedError('Refresh token has expired');
+  }
+
+  /**
+   * Revoke a token family so none of its tokens can be rotated again
+   */
+  async revokeFamily(familyId, reason = 'revoked') {
+    try {
+      await this.updateById(familyId, {
+        status: 'revoked',
+        revokedAt: new Date().toISOString(),
+        revokedReason: reason,
+      });
+
+      logger.info({ familyId, reason }, 'Refresh token family revoked');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        familyId,
+      }, 'Failed to revoke refresh token family');
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active token family of a user
+   */
+  async revokeAllForUser(userId, reason = 'revoked') {
+    try {
+      let cursor = null;
+      let revokedCount = 0;
+
+      do {
+        const result = await this.query('#userId = :userId', {
+          indexName: this.userIndex,
+          limit: 100,
+          cursor,
+          filterExpression: '#status = :active',
+          expressionAttributeNames: {
+            '#userId': 'userId',
+            '#status': 'status',
+          },
+          expressionAttributeValues: {
+            ':userId': userId,
+            ':active': 'active',
+          },
+        });
+
+        await Promise.all(result.items.map(family => this.revokeFamily(family.id, reason)));
+
+        revokedCount += result.items.length;
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      logger.info({ userId, revokedCount, reason }, 'All refresh token families revoked for user');
+
+      return revokedCount;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to revoke refresh token families for user');
+      throw error;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  getExpiresAt() {
+    return Math.floor((Date.now() + ms(config.jwt.refreshExpiresIn)) / 1000);
+  }
+}
+
+module.exports = RefreshTokenDatabase;
@@ -0,0 +1,251 @@
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const cache = require('../utils/cache');
+
+/**
+ * Revocation Database Class
+ * Stores revoked access tokens (by jti), terminated sessions (by refresh token
+ * family) and per-user and per-OAuth-client "revoked before" markers.
+ * The table is a global table, so a revocation written in one region is
+ * honoured by every region once replicated. Lookups are cached in-process:
+ * revoked entries until the token expires, misses for
+ * `config.revocation.cacheTtl` seconds. A revocation only clears the cache of
+ * the instance that wrote it, so other instances may keep accepting a revoked
+ * token for up to that long.
+ */
+class RevocationDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.revocationTable, { tenantScoped: false });
+  }
+
+  /**
+   * Revoke a single access token until it expires
+   */
+  async revokeToken(jti, { userId, exp, reason = 'logout' }) {
+    const key = `token#${jti}`;
+    const expiresAt = exp || this.getMaxTokenExpiry();
+
+    try {
+      await this.putEntry({
+        id: key,
+        type: 'token',
+        userId,
+        reason,
+        expiresAt,
+      });
+
+      cache.set(this.getCacheKey(key), { expiresAt }, this.getRemainingSeconds(expiresAt));
+
+      logger.info({ userId, jti, reason }, 'Access token revoked');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+        jti,
+      }, 'Failed to revoke access token');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a single-use token, such as an MFA challenge, as used. Returns false
+   * if it was used before; the conditional write decides concurrent uses.
+   */
+  async consumeToken(jti, { userId, exp, reason }) {
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: {
+          id: `token#${jti}`,
+          type: 'token',
+          userId,
+          reason,
+          expiresAt: exp || this.getMaxTokenExpiry(),
+          createdAt: new Date().toISOString(),
+          region: config.aws.region,
+        },
+        ConditionExpression: 'attribute_not_exists(id)',
+      }).promise();
+
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        logger.warn({ userId, jti, reason }, 'Single-use token replay rejected');
+        return false;
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+        jti,
+      }, 'Failed to consume token');
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every access token issued to a user up to now. `iat` has
+   * one-second precision, so tokens issued later within the current second
+   * are revoked too.
+   */
+  async revokeAllForUser(userId, reason = 'logout_all') {
+    const key = `user#${userId}`;
+    const entry = {
+      id: key,
+      type: 'user',
+      userId,
+      reason,
+      revokedBefore: Math.floor(Date.now() / 1000),
+      expiresAt: this.getMaxTokenExpiry(),
+    };
+
+    try {
+      await this.putEntry(entry);
+
+      cache.set(this.getCacheKey(key), entry, this.getRemainingSeconds(entry.expiresAt));
+
+      logger.info({ userId, reason }, 'All access tokens revoked for user');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to revoke access tokens for user');
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every access token issued to an OAuth client up to now
+   */
+  async revokeAllForClient(clientId, reason = 'client_revoked') {
+    const key = `client#${clientId}`;
+    const entry = {
+      id: key,
+      type: 'client',
+      clientId,
+      reason,
+      revokedBefore: Math.floor(Date.now() / 1000),
+      expiresAt: this.getMaxTokenExpiry(),
+    };
+
+    try {
+      await this.putEntry(entry);
+
+      cache.set(this.getCacheKey(key), entry, this.getRemainingSeconds(entry.expiresAt));
+
+      logger.info({ clientId, reason }, 'All access tokens revoked for OAuth client');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        clientId,
+      }, 'Failed to revoke access tokens for OAuth client');
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every access token issued for a session (refresh token family)
+   */
+  async revokeSession(familyId, { userId, reason = 'session_terminated' }) {
+    const key = `family#${familyId}`;
+    const entry = {
+      id: key,
+      type: 'family',
+      userId,
+      reason,
+      expiresAt: this.getMaxTokenExpiry(),
+    };
+
+    try {
+      await this.putEntry(entry);
+
+      cache.set(this.getCacheKey(key), entry, this.getRemainingSeconds(entry.expiresAt));
+
+      logger.info({ userId, familyId, reason }, 'Access tokens revoked for session');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+        familyId,
+      }, 'Failed to revoke access tokens for session');
+      throw error;
+    }
+  }
+
+  /**
+   * Check a decoded access token against the revocation list
+   */
+  async isTokenRevoked(decoded) {
+    const [tokenEntry, familyEntry, principalEntry] = await Promise.all([
+      decoded.jti ? this.getEntry(`token#${decoded.jti}`) : null,
+      decoded.fid ? this.getEntry(`family#${decoded.fid}`) : null,
+      this.getEntry(decoded.client_id ? `client#${decoded.client_id}` : `user#${decoded.id}`),
+    ]);
+
+    if (tokenEntry || familyEntry) {
+      return true;
+    }
+
+    return !!principalEntry && decoded.iat <= principalEntry.revokedBefore;
+  }
+
+  /**
+   * Read an entry through the in-process cache.
+   * Misses are cached too, for `config.revocation.cacheTtl` seconds (0 disables).
+   */
+  async getEntry(key) {
+    const cacheKey = this.getCacheKey(key);
+    const cached = cache.get(cacheKey);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const entry = await this.findById(key, false);
+    const now = Math.floor(Date.now() / 1000);
+
+    // TTL deletion is lazy, so expired entries may still be returned
+    if (!entry || entry.expiresAt <= now) {
+      if (config.revocation.cacheTtl > 0) {
+        cache.set(cacheKey, false, config.revocation.cacheTtl);
+      }
+      return false;
+    }
+
+    cache.set(cacheKey, entry, this.getRemainingSeconds(entry.expiresAt));
+    return entry;
+  }
+
+  async putEntry(entry) {
+    const timestamp = new Date().toISOString();
+    const params = {
+      TableName: this.tableName,
+      Item: {
+        ...entry,
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        region: config.aws.region,
+      },
+    };
+
+    await this.client.put(params).promise();
+  }
+
+  /**
+   * Utility methods
+   */
+  getCacheKey(key) {
+    return `${this.tableName}:revocation:${key}`;
+  }
+
+  getMaxTokenExpiry() {
+    return Math.floor((Date.now() + Math.max(ms(config.jwt.expiresIn), ms(config.oauth.tokenExpiresIn))) / 1000);
+  }
+
+  getRemainingSeconds(expiresAt) {
+    return Math.max(expiresAt - Math.floor(Date.now() / 1000), 1);
+  }
+}
+
+module.exports = RevocationDatabase;
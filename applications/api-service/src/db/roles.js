@@ -0,0 +1,89 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Role Database Class
+ * Stores admin-defined roles; the role name is the item id
+ */
+class RoleDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.roleTable, { tenantScoped: false });
+  }
+
+  /**
+   * List all stored role definitions
+   */
+  async listRoles() {
+    try {
+      const roles = [];
+      let cursor = null;
+
+      do {
+        const result = await this.find({ limit: 100, cursor });
+        roles.push(...result.items);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      return roles;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to list roles');
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a role definition
+   */
+  async saveRole(name, { description = null, permissions }, updatedBy = null) {
+    try {
+      const existing = await this.findById(name, false);
+      const timestamp = new Date().toISOString();
+
+      const role = {
+        id: name,
+        description,
+        permissions,
+        updatedBy,
+        createdAt: existing ? existing.createdAt : timestamp,
+        updatedAt: timestamp,
+      };
+
+      await this.client.put({
+        TableName: this.tableName,
+        Item: role,
+      }).promise();
+
+      this.invalidateCache(name);
+
+      logger.info({ role: name, permissions, updatedBy }, 'Role definition saved');
+
+      return role;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        role: name,
+      }, 'Failed to save role definition');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a role definition
+   */
+  async deleteRole(name) {
+    try {
+      await this.deleteById(name);
+
+      logger.info({ role: name }, 'Role definition deleted');
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        throw new NotFoundError('Role not found');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = RoleDatabase;
@@ -0,0 +1,246 @@
+const ms = require('ms');
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Rough device description for display, e.g. "Firefox on Windows"
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const PLATFORMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) {
+    return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+  }
+
+  return [browser && browser[0], platform && platform[0]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Session Database Class
+ * One session per login, keyed by the id of its refresh token family, so a
+ * session lives exactly as long as the refresh tokens issued for it.
+ */
+class SessionDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.sessionTable);
+    this.userIndex = 'userId-index';
+  }
+
+  /**
+   * Record a new login
+   */
+  async createSession(familyId, userId, metadata = {}) {
+    const timestamp = new Date().toISOString();
+
+    try {
+      const session = await this.create({
+        id: familyId,
+        userId,
+        status: 'active',
+        device: describeDevice(metadata.userAgent),
+        userAgent: metadata.userAgent || null,
+        ip: metadata.ip || null,
+        region: config.aws.region,
+        lastSeenAt: timestamp,
+        lastSeenRegion: config.aws.region,
+        expiresAt: this.getExpiresAt(),
+      });
+
+      logger.debug({ userId, sessionId: familyId }, 'Session created');
+
+      return session;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to create session');
+      throw error;
+    }
+  }
+
+  /**
+   * Record activity on a session. Failures are logged and never block the caller.
+   */
+  async touchSession(familyId, metadata = {}) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(familyId),
+        UpdateExpression: 'SET #lastSeenAt = :now, #lastSeenRegion = :region, #ip = :ip, #expiresAt = :expiresAt, #updatedAt = :now',
+        ConditionExpression: '#status = :active',
+        ExpressionAttributeNames: {
+          '#lastSeenAt': 'lastSeenAt',
+          '#lastSeenRegion': 'lastSeenRegion',
+          '#ip': 'ip',
+          '#expiresAt': 'expiresAt',
+          '#updatedAt': 'updatedAt',
+          '#status': 'status',
+        },
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+          ':region': config.aws.region,
+          ':ip': metadata.ip || null,
+          ':expiresAt': this.getExpiresAt(),
+          ':active': 'active',
+        },
+      };
+
+      await this.client.update(params).promise();
+    } catch (error) {
+      logger.warn({
+        error: error.message,
+        sessionId: familyId,
+      }, 'Failed to record session activity');
+    }
+  }
+
+  /**
+   * List the active sessions of a user, most recently used first
+   */
+  async listSessions(userId) {
+    try {
+      const sessions = [];
+      let cursor = null;
+
+      do {
+        const result = await this.query('#userId = :userId', {
+          indexName: this.userIndex,
+          limit: 100,
+          cursor,
+          filterExpression: '#status = :active AND #expiresAt > :epoch',
+          expressionAttributeNames: {
+            '#userId': 'userId',
+            '#status': 'status',
+            '#expiresAt': 'expiresAt',
+          },
+          expressionAttributeValues: {
+            ':userId': userId,
+            ':active': 'active',
+            ':epoch': Math.floor(Date.now() / 1000),
+          },
+        });
+
+        sessions.push(...result.items);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      return sessions
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt))
+        .map(session => this.sanitize(session));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to list sessions');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a session of a user as terminated
+   */
+  async terminateSession(sessionId, userId, { reason = 'terminated', terminatedBy = null } = {}) {
+    try {
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(sessionId),
+        UpdateExpression: 'SET #status = :terminated, #terminatedAt = :now, #terminatedReason = :reason, #terminatedBy = :terminatedBy, #updatedAt = :now',
+        ConditionExpression: '#userId = :userId AND #status = :active',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#terminatedAt': 'terminatedAt',
+          '#terminatedReason': 'terminatedReason',
+          '#terminatedBy': 'terminatedBy',
+          '#updatedAt': 'updatedAt',
+          '#userId': 'userId',
+        },
+        ExpressionAttributeValues: {
+          ':terminated': 'terminated',
+          ':now': new Date().toISOString(),
+          ':reason': reason,
+          ':terminatedBy': terminatedBy,
+          ':userId': userId,
+          ':active': 'active',
+        },
+        ReturnValues: 'ALL_NEW',
+      };
+
+      const result = await this.client.update(params).promise();
+
+      logger.info({ userId, sessionId, reason }, 'Session terminated');
+
+      return this.sanitize(this.fromItem(result.Attributes));
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new NotFoundError('Session not found');
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+        sessionId,
+      }, 'Failed to terminate session');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every active session of a user as terminated
+   */
+  async terminateAllForUser(userId, reason = 'terminated') {
+    const sessions = await this.listSessions(userId);
+
+    const results = await Promise.allSettled(
+      sessions.map(session => this.terminateSession(session.id, userId, { reason }))
+    );
+
+    const terminatedCount = results.filter(result => result.status === 'fulfilled').length;
+    logger.info({ userId, terminatedCount, reason }, 'All sessions terminated for user');
+
+    return terminatedCount;
+  }
+
+  /**
+   * Utility methods
+   */
+  sanitize(session) {
+    return {
+      id: session.id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      region: session.region,
+      lastSeenRegion: session.lastSeenRegion,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      status: session.status,
+    };
+  }
+
+  getExpiresAt() {
+    return Math.floor((Date.now() + ms(config.jwt.refreshExpiresIn)) / 1000);
+  }
+}
+
+module.exports = SessionDatabase;
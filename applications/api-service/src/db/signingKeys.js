@@ -0,0 +1,70 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Signing Key Database Class
+ * Stores the JWT signing keys of every region. Private keys are stored
+ * encrypted; the table is replicated so all regions can publish and verify
+ * each other's public keys.
+ */
+class SigningKeyDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.signingKeyTable, { tenantScoped: false });
+  }
+
+  /**
+   * List all stored keys
+   */
+  async listKeys() {
+    try {
+      const keys = [];
+      let cursor = null;
+
+      do {
+        const result = await this.find({ limit: 100, cursor });
+        keys.push(...result.items);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      return keys;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to list signing keys');
+      throw error;
+    }
+  }
+
+  /**
+   * Store a new key; returns null if another instance created it first
+   */
+  async createKey(key) {
+    try {
+      return await this.create(key);
+    } catch (error) {
+      if (error.message === 'Item already exists') {
+        logger.debug({ kid: key.id }, 'Signing key already created by another instance');
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule a key for removal once tokens signed with it have expired
+   */
+  async retireKey(kid, expiresAt) {
+    try {
+      await this.updateById(kid, { expiresAt });
+
+      logger.info({ kid, expiresAt }, 'Signing key scheduled for retirement');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        kid,
+      }, 'Failed to retire signing key');
+      throw error;
+    }
+  }
+}
+
+module.exports = SigningKeyDatabase;
@@ -0,0 +1,43 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Stream Checkpoint Database Class
+ * The last processed sequence number of every DynamoDB stream shard, keyed
+ * `<streamArn>#<shardId>`, so a restarted consumer resumes after it. A shard
+ * that was closed and read to its end is marked `finished`; its children are
+ * only read after that, which keeps the changes of an item in order.
+ */
+class StreamCheckpointDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.streamCheckpointTable, { tenantScoped: false });
+  }
+
+  async getCheckpoint(shardKey) {
+    return this.findById(shardKey, false);
+  }
+
+  async setCheckpoint(shardKey, sequenceNumber, { finished = false } = {}) {
+    try {
+      await this.client.put({
+        TableName: this.tableName,
+        Item: {
+          id: shardKey,
+          sequenceNumber,
+          finished,
+          updatedAt: new Date().toISOString(),
+        },
+      }).promise();
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        shardKey,
+        sequenceNumber,
+      }, 'Failed to write stream checkpoint');
+      throw error;
+    }
+  }
+}
+
+module.exports = StreamCheckpointDatabase;
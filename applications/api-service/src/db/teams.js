@@ -0,0 +1,230 @@
+const BaseDatabase = require('./base');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Team Database Class
+ * Teams group members of one organization. Team members are kept in a
+ * string set on the team item, so adding and removing a member is a single
+ * atomic update.
+ */
+class TeamDatabase extends BaseDatabase {
+  constructor() {
+    super(config.dynamodb.teamTable);
+    this.organizationIndex = 'organizationId-index';
+  }
+
+  /**
+   * Create a team in an organization
+   */
+  async createTeam(organizationId, { name, description = null, createdBy = null }) {
+    try {
+      const team = await this.create({
+        organizationId,
+        name,
+        description,
+        createdBy,
+      });
+
+      logger.info({ organizationId, teamId: team.id }, 'Team created');
+
+      return this.sanitize(team);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to create team');
+      throw error;
+    }
+  }
+
+  /**
+   * Get a team, only if it belongs to the organization
+   */
+  async getTeam(organizationId, teamId) {
+    const team = await this.findById(teamId, false);
+    return team && team.organizationId === organizationId ? this.sanitize(team) : null;
+  }
+
+  /**
+   * List a page of the teams of an organization
+   */
+  async listTeams(organizationId, { limit = 20, cursor = null } = {}) {
+    try {
+      const result = await this.query('#organizationId = :organizationId', {
+        indexName: this.organizationIndex,
+        limit,
+        cursor,
+        expressionAttributeNames: {
+          '#organizationId': 'organizationId',
+        },
+        expressionAttributeValues: {
+          ':organizationId': organizationId,
+        },
+      });
+
+      return {
+        ...result,
+        items: result.items.map(team => this.sanitize(team)),
+      };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to list teams');
+      throw error;
+    }
+  }
+
+  /**
+   * List all teams of an organization
+   */
+  async listAllTeams(organizationId) {
+    try {
+      const teams = [];
+      let cursor = null;
+
+      do {
+        const result = await this.query('#organizationId = :organizationId', {
+          indexName: this.organizationIndex,
+          limit: 100,
+          cursor,
+          expressionAttributeNames: {
+            '#organizationId': 'organizationId',
+          },
+          expressionAttributeValues: {
+            ':organizationId': organizationId,
+          },
+        });
+
+        teams.push(...result.items);
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      return teams.map(team => this.sanitize(team));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        organizationId,
+      }, 'Failed to list teams');
+      throw error;
+    }
+  }
+
+  async updateTeam(organizationId, teamId, updates) {
+    await this.assertTeam(organizationId, teamId);
+
+    const team = await this.updateById(teamId, updates);
+    return this.sanitize(team);
+  }
+
+  async deleteTeam(organizationId, teamId) {
+    await this.assertTeam(organizationId, teamId);
+
+    await this.deleteById(teamId);
+
+    logger.info({ organizationId, teamId }, 'Team deleted');
+  }
+
+  /**
+   * Add an organization member to a team
+   */
+  async addMember(organizationId, teamId, userId) {
+    return this.updateMembers(organizationId, teamId, 'ADD', userId);
+  }
+
+  /**
+   * Remove a member from a team
+   */
+  async removeMember(organizationId, teamId, userId) {
+    return this.updateMembers(organizationId, teamId, 'DELETE', userId);
+  }
+
+  /**
+   * Remove a user from every team of an organization, e.g. when they leave it
+   */
+  async removeMemberFromAll(organizationId, userId) {
+    const teams = await this.listAllTeams(organizationId);
+
+    await Promise.all(teams
+      .filter(team => team.memberIds.includes(userId))
+      .map(team => this.removeMember(organizationId, team.id, userId)));
+  }
+
+  /**
+   * Delete every team of an organization
+   */
+  async deleteAllTeams(organizationId) {
+    const teams = await this.listAllTeams(organizationId);
+
+    for (let i = 0; i < teams.length; i += 25) {
+      await this.batchWrite(teams.slice(i, i + 25).map(team => ({
+        DeleteRequest: { Key: { id: team.id } },
+      })));
+    }
+
+    return teams.length;
+  }
+
+  async updateMembers(organizationId, teamId, action, userId) {
+    try {
+      const result = await this.client.update({
+        TableName: this.tableName,
+        Key: this.toKey(teamId),
+        UpdateExpression: `${action} #memberIds :userIds SET #updatedAt = :now`,
+        ConditionExpression: '#organizationId = :organizationId',
+        ExpressionAttributeNames: {
+          '#memberIds': 'memberIds',
+          '#organizationId': 'organizationId',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':userIds': this.client.createSet([userId]),
+          ':organizationId': organizationId,
+          ':now': new Date().toISOString(),
+        },
+        ReturnValues: 'ALL_NEW',
+      }).promise();
+
+      this.invalidateCache(teamId);
+
+      logger.info({ organizationId, teamId, userId, action }, 'Team membership changed');
+
+      return this.sanitize(this.fromItem(result.Attributes));
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new NotFoundError('Team not found');
+      }
+
+      logger.error({
+        error: error.message,
+        organizationId,
+        teamId,
+      }, 'Failed to change team membership');
+      throw error;
+    }
+  }
+
+  /**
+   * Utility methods
+   */
+  async assertTeam(organizationId, teamId) {
+    const team = await this.getTeam(organizationId, teamId);
+    if (!team) {
+      throw new NotFoundError('Team not found');
+    }
+
+    return team;
+  }
+
+  // String sets come back as DynamoDB set objects and are absent when empty
+  sanitize(team) {
+    return {
+      ...team,
+      memberIds: team.memberIds ? team.memberIds.values : [],
+    };
+  }
+}
+
+module.exports = TeamDatabase;
@@ -1,21 +1,74 @@
-const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const BaseDatabase = require('./base');
+const LoginAttemptDatabase = require('./loginAttempts');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const totp = require('../utils/totp');
+const { hashPassword, verifyPassword, needsRehash, getAlgorithm } = require('../utils/passwords');
+const { assertPasswordPolicy, getNextPasswordHistory } = require('../utils/passwordPolicy');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { openCursor, getPageCursors } = require('../utils/pagination');
+const { MIN_TERM_LENGTH, getTerms, parseQuery, scoreMatch } = require('../utils/search');
+const { runWithTenant, getTenantId } = require('../utils/tenantContext');
+const { createEvent } = require('../events');
+const { ConflictError, NotFoundError, ValidationError, PasswordPolicyError, VersionConflictError } = require('../middleware/errorHandler');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Id prefix of the items claiming an email address
+const EMAIL_CLAIM_PREFIX = 'EMAIL#';
+
+// A search for a whole address is answered by the email index
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Id of the item holding the user counters of a tenant
+const COUNTER_ID = 'COUNTER#users';
+
+// User attributes the counters depend on
+const COUNTED_FIELDS = ['isActive', 'emailVerified', 'roles'];
+
+// Id prefix of the search index items
+const SEARCH_PREFIX = 'SEARCH#';
+
+// Searchable user attributes and the weight of a match in each
+const SEARCH_WEIGHTS = { firstName: 3, lastName: 3, email: 1 };
+
+// Index items read per query word; more common prefixes are cut off
+const MAX_SEARCH_MATCHES = 1000;
+
+// Attempts of an update that changes counters or search terms, when the user keeps changing under it
+const TRACKED_UPDATE_ATTEMPTS = 3;
 
 /**
  * User Database Class
- * Handles all user-related database operations
+ * Handles all user-related database operations.
+ * Every email address is claimed by an `EMAIL#<address>` item in the users
+ * table, written in the same transaction as the user, so two users can never
+ * end up with the same address. The claim has no `email` or `createdAt`
+ * attribute, so it stays out of the email and listing indexes.
+ * Users are listed through `tenantId-createdAt-index` and, filtered by
+ * status, `tenantStatus-createdAt-index` keyed `<tenantId>#active|inactive`.
+ * A `COUNTER#users` item per tenant counts users in total, active, verified
+ * and per role. It is updated in the same transaction as every write that
+ * changes those numbers, and recomputed by reconcileCounters().
+ * Every word of a user's name and email has a `SEARCH#<userId>#<word>` item,
+ * also written in the user's transactions, found through
+ * `searchPrefix-searchTerm-index` by its first letters (see searchUsers).
  */
 class UserDatabase extends BaseDatabase {
   constructor() {
     super(config.dynamodb.userTable);
     this.emailIndex = 'email-index';
+    this.tenantIndex = 'tenantId-createdAt-index';
+    this.statusIndex = 'tenantStatus-createdAt-index';
+    this.searchIndex = 'searchPrefix-searchTerm-index';
+    this.loginAttempts = new LoginAttemptDatabase();
   }
 
   /**
-   * Create a new user with hashed password
+   * Create a new user with hashed password. Users provisioned by a federated
+   * sign-in (`federated: true`) have no password and keep the provider's
+   * `emailVerified`.
    */
   async createUser(userData) {
     try {
@@ -25,25 +78,30 @@ class UserDatabase extends BaseDatabase {
         throw new ConflictError('User with this email already exists');
       }
 
-      // Hash password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
+      let hashedPassword = null;
+      if (!userData.federated) {
+        await assertPasswordPolicy(userData.password, { userInputs: userData });
+
+        // Hash password
+        hashedPassword = await hashPassword(userData.password);
+      }
 
       // Prepare user data
+      const timestamp = new Date().toISOString();
       const user = {
         id: this.generateId(),
         email: userData.email.toLowerCase().trim(),
         password: hashedPassword,
+        passwordHistory: [],
+        passwordChangedAt: hashedPassword ? new Date().toISOString() : null,
         firstName: userData.firstName.trim(),
         lastName: userData.lastName.trim(),
         phone: userData.phone || null,
         bio: userData.bio || null,
         roles: userData.roles || ['user'],
         isActive: true,
-        emailVerified: false,
+        emailVerified: !!userData.federated && !!userData.emailVerified,
         lastLoginAt: null,
-        loginAttempts: 0,
-        lockedUntil: null,
         profilePicture: null,
         preferences: {
           theme: 'light',
@@ -56,12 +114,33 @@ class UserDatabase extends BaseDatabase {
           registrationIp: userData.ip || null,
           registrationUserAgent: userData.userAgent || null,
         },
+        ...this.getListingKeys(true),
+        version: 1,
+        createdAt: timestamp,
+        updatedAt: timestamp,
       };
 
-      const createdUser = await this.create(user);
+      // The lookup above is only a fast path, the claim decides races
+      await this.transactWrite([
+        { Put: { Item: user, ConditionExpression: 'attribute_not_exists(id)' } },
+        { Put: { Item: this.getEmailClaim(user.email, user.id), ConditionExpression: 'attribute_not_exists(id)' } },
+        this.getCounterAction(null, user),
+        ...this.getSearchActions(null, user),
+      ], {
+        events: [createEvent('user.created', {
+          userId: user.id,
+          email: user.email,
+          roles: user.roles,
+          emailVerified: user.emailVerified,
+          federated: !!userData.federated,
+        }, { aggregateId: user.id })],
+      });
+
+      this.invalidateCache(user.id);
+      const createdUser = user;
       
       // Remove password from response
-      const { password, ...userWithoutPassword } = createdUser;
+      const { password, tenantStatus, ...userWithoutPassword } = createdUser;
       
       logger.info({ 
         userId: createdUser.id, 
@@ -70,9 +149,13 @@ class UserDatabase extends BaseDatabase {
       
       return userWithoutPassword;
     } catch (error) {
-      if (error instanceof ConflictError) {
+      if (error instanceof ConflictError || error instanceof PasswordPolicyError) {
         throw error;
       }
+
+      if (this.isConditionFailure(error, 1)) {
+        throw new ConflictError('User with this email already exists');
+      }
       
       logger.error({ 
         error: error.message, 
@@ -121,62 +204,32 @@ class UserDatabase extends BaseDatabase {
   }
 
   /**
-   * Authenticate user with email and password
+   * Re-hash a password that was just verified when its stored hash is below
+   * the current hashing policy. Failures are logged and never block a login.
    */
-  async authenticateUser(email, password) {
-    try {
-      const user = await this.findByEmail(email, true);
-      
-      if (!user) {
-        throw new NotFoundError('Invalid email or password');
-      }
-
-      // Check if account is locked
-      if (user.lockedUntil && new Date() < new Date(user.lockedUntil)) {
-        const lockTimeRemaining = Math.ceil((new Date(user.lockedUntil) - new Date()) / 60000);
-        throw new Error(`Account is locked. Try again in ${lockTimeRemaining} minutes.`);
-      }
-
-      // Check if account is active
-      if (!user.isActive) {
-        throw new Error('Account is deactivated. Please contact support.');
-      }
-
-      // Verify password
-      const isValidPassword = await bcrypt.compare(password, user.password);
-      
-      if (!isValidPassword) {
-        // Increment login attempts
-        await this.incrementLoginAttempts(user.id);
-        throw new NotFoundError('Invalid email or password');
-      }
+  async upgradePasswordHash(userId, password, storedHash) {
+    if (!needsRehash(storedHash)) {
+      return false;
+    }
 
-      // Reset login attempts and update last login
-      await this.updateById(user.id, {
-        lastLoginAt: new Date().toISOString(),
-        loginAttempts: 0,
-        lockedUntil: null,
+    try {
+      await this.updateById(userId, {
+        password: await hashPassword(password),
       });
 
-      // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
-      
-      logger.info({ 
-        userId: user.id, 
-        email: user.email 
-      }, 'User authenticated successfully');
-      
-      return userWithoutPassword;
+      logger.info({
+        userId,
+        previousAlgorithm: getAlgorithm(storedHash),
+        algorithm: config.passwords.algorithm,
+      }, 'Password hash upgraded');
+
+      return true;
     } catch (error) {
-      if (error instanceof NotFoundError || error.message.includes('locked') || error.message.includes('deactivated')) {
-        throw error;
-      }
-      
-      logger.error({ 
-        error: error.message, 
-        email 
-      }, 'Failed to authenticate user');
-      throw new Error('Authentication failed');
+      logger.warn({
+        error: error.message,
+        userId,
+      }, 'Failed to upgrade password hash');
+      return false;
     }
   }
 
@@ -194,25 +247,28 @@ class UserDatabase extends BaseDatabase {
       const userWithPassword = await this.findByEmail(user.email, true);
       
       // Verify current password
-      const isValidPassword = await bcrypt.compare(currentPassword, userWithPassword.password);
+      const isValidPassword = await verifyPassword(currentPassword, userWithPassword.password);
       if (!isValidPassword) {
         throw new Error('Current password is incorrect');
       }
 
+      await assertPasswordPolicy(newPassword, { user: userWithPassword });
+
       // Hash new password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+      const hashedPassword = await hashPassword(newPassword);
 
       // Update password
       await this.updateById(userId, {
         password: hashedPassword,
+        passwordHistory: getNextPasswordHistory(userWithPassword),
+        passwordChangedAt: new Date().toISOString(),
       });
 
       logger.info({ userId }, 'User password updated successfully');
       
       return { message: 'Password updated successfully' };
     } catch (error) {
-      if (error instanceof NotFoundError || error.message.includes('incorrect')) {
+      if (error instanceof NotFoundError || error instanceof PasswordPolicyError || error.message.includes('incorrect')) {
         throw error;
       }
       
@@ -224,6 +280,46 @@ class UserDatabase extends BaseDatabase {
     }
   }
 
+  /**
+   * Set a new password without the current one, after a verified reset
+   */
+  async resetPassword(userId, newPassword) {
+    try {
+      const user = await this.findById(userId, false);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      await assertPasswordPolicy(newPassword, { user });
+
+      // Hash new password
+      const hashedPassword = await hashPassword(newPassword);
+
+      await this.updateById(userId, {
+        password: hashedPassword,
+        passwordHistory: getNextPasswordHistory(user),
+        passwordChangedAt: new Date().toISOString(),
+      });
+
+      // A successful reset proves control of the email, so it also clears any lockout
+      await this.loginAttempts.unlockAccount(user.email).catch(() => {});
+
+      logger.info({ userId }, 'User password reset successfully');
+
+      return { message: 'Password reset successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof PasswordPolicyError) {
+        throw error;
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to reset user password');
+      throw new Error('Failed to reset password');
+    }
+  }
+
   /**
    * Get user profile (without sensitive data)
    */
@@ -240,9 +336,15 @@ class UserDatabase extends BaseDatabase {
         loginAttempts,
         lockedUntil,
         metadata,
+        passwordHistory,
+        mfa,
+        mfaPending,
+        tenantStatus,
         ...profile
       } = user;
 
+      profile.mfaEnabled = !!(mfa && mfa.enabled);
+
       return profile;
     } catch (error) {
       if (error instanceof NotFoundError) {
@@ -292,9 +394,15 @@ class UserDatabase extends BaseDatabase {
         loginAttempts,
         lockedUntil,
         metadata,
+        passwordHistory,
+        mfa,
+        mfaPending,
+        tenantStatus,
         ...profile
       } = updatedUser;
 
+      profile.mfaEnabled = !!(mfa && mfa.enabled);
+
       logger.info({ 
         userId, 
         updatedFields: Object.keys(cleanUpdates) 
@@ -316,27 +424,154 @@ class UserDatabase extends BaseDatabase {
   }
 
   /**
-   * Get users with pagination and filtering
+   * Move a user to another email address and release the previous one.
+   * `updates` are written in the same transaction. The new address has to be
+   * verified again. Without `expectedVersion`, the version read here is
+   * required, so a concurrent change is reported as a VersionConflictError.
+   */
+  async changeEmail(userId, newEmail, { expectedVersion = null, updates = {} } = {}) {
+    const user = await this.findById(userId, false);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const currentVersion = this.getVersion(user);
+    if (expectedVersion !== null && expectedVersion !== currentVersion) {
+      throw new VersionConflictError(expectedVersion, currentVersion);
+    }
+
+    const email = newEmail.toLowerCase().trim();
+    const { version, ...fields } = updates;
+    if (email === user.email) {
+      return this.updateById(userId, fields, { expectedVersion: currentVersion });
+    }
+
+    const cleanUpdates = this.cleanUpdates({
+      ...fields,
+      email,
+      emailVerified: false,
+      updatedAt: new Date().toISOString(),
+    });
+
+    try {
+      await this.transactWrite([
+        {
+          Update: {
+            Key: { id: userId },
+            ...this.getUpdateExpression(cleanUpdates, { expectedVersion: currentVersion }),
+          },
+        },
+        { Put: { Item: this.getEmailClaim(email, userId), ConditionExpression: 'attribute_not_exists(id)' } },
+        // Users created before email claims have nothing to release
+        {
+          Delete: {
+            Key: { id: this.getEmailClaimId(user.email) },
+            ConditionExpression: 'attribute_not_exists(id) OR #userId = :userId',
+            ExpressionAttributeNames: { '#userId': 'userId' },
+            ExpressionAttributeValues: { ':userId': userId },
+          },
+        },
+        this.getCounterAction(user, { ...user, ...cleanUpdates }),
+        ...this.getSearchActions(user, { ...user, ...cleanUpdates }),
+      ].filter(Boolean), {
+        events: [createEvent('user.email_changed', { userId, email, previousEmail: user.email }, { aggregateId: userId })],
+      });
+    } catch (error) {
+      if (this.isConditionFailure(error, 1)) {
+        throw new ConflictError('User with this email already exists');
+      }
+      if (this.isConditionFailure(error, 0)) {
+        throw await this.getConditionError(userId, currentVersion);
+      }
+      throw error;
+    }
+
+    this.invalidateCache(userId);
+
+    logger.info({ userId }, 'User email changed');
+
+    return this.findById(userId, false);
+  }
+
+  /**
+   * Permanently delete a user together with the claim on their email
+   */
+  async deleteUser(userId, { expectedVersion = null } = {}) {
+    const user = await this.findById(userId, false);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    const currentVersion = this.getVersion(user);
+    if (expectedVersion !== null && expectedVersion !== currentVersion) {
+      throw new VersionConflictError(expectedVersion, currentVersion);
+    }
+
+    const versioning = this.getVersionCondition(currentVersion);
+
+    try {
+      await this.transactWrite([
+        {
+          Delete: {
+            Key: { id: userId },
+            ConditionExpression: versioning.condition,
+            ExpressionAttributeNames: versioning.names,
+            ...(Object.keys(versioning.values).length > 0 && { ExpressionAttributeValues: versioning.values }),
+          },
+        },
+        {
+          Delete: {
+            Key: { id: this.getEmailClaimId(user.email) },
+            ConditionExpression: 'attribute_not_exists(id) OR #userId = :userId',
+            ExpressionAttributeNames: { '#userId': 'userId' },
+            ExpressionAttributeValues: { ':userId': userId },
+          },
+        },
+        this.getCounterAction(user, null),
+        ...this.getSearchActions(user, null),
+      ], {
+        events: [createEvent('user.deleted', { userId }, { aggregateId: userId })],
+      });
+    } catch (error) {
+      if (this.isConditionFailure(error, 0)) {
+        const conditionError = await this.getConditionError(userId, currentVersion);
+        throw conditionError instanceof VersionConflictError ? conditionError : new NotFoundError('User not found');
+      }
+      throw error;
+    }
+
+    this.invalidateCache(userId);
+
+    logger.info({ userId }, 'User deleted');
+
+    return user;
+  }
+
+  /**
+   * Get users with pagination and filtering, newest first.
+   * Served by an index (see getListingPlan); name, email and role filters
+   * are applied to the query. `scan: true` reads the whole table instead,
+   * e.g. for users written before the listing indexes existed.
    */
   async getUsers(options = {}) {
     try {
       const {
-        limit = 10,
-        lastEvaluatedKey = null,
+        limit = 20,
+        cursor = null,
         search = null,
         role = null,
         isActive = null,
+        scan = false,
       } = options;
 
-      let filterExpression = null;
-      const expressionAttributeNames = {};
-      const expressionAttributeValues = {};
-
-      // Build filter expression
-      const filters = [];
+      const plan = this.getListingPlan({ search, isActive, scan });
+      const filters = [...plan.filters];
+      const expressionAttributeNames = { ...plan.names };
+      const expressionAttributeValues = { ...plan.values };
 
-      if (search) {
-        filters.push('(contains(firstName, :search) OR contains(lastName, :search) OR contains(email, :search))');
+      if (search && plan.name !== 'email') {
+        filters.push('(contains(#firstName, :search) OR contains(#lastName, :search) OR contains(#email, :search))');
+        Object.assign(expressionAttributeNames, { '#firstName': 'firstName', '#lastName': 'lastName', '#email': 'email' });
         expressionAttributeValues[':search'] = search;
       }
 
@@ -346,23 +581,25 @@ class UserDatabase extends BaseDatabase {
         expressionAttributeValues[':role'] = role;
       }
 
-      if (isActive !== null) {
+      if (isActive !== null && plan.name !== 'status') {
         filters.push('#isActive = :isActive');
         expressionAttributeNames['#isActive'] = 'isActive';
         expressionAttributeValues[':isActive'] = isActive;
       }
 
-      if (filters.length > 0) {
-        filterExpression = filters.join(' AND ');
-      }
-
-      const result = await this.find({
+      const listOptions = {
         limit,
-        lastEvaluatedKey,
-        filterExpression,
+        cursor,
+        filterExpression: filters.length > 0 ? filters.join(' AND ') : null,
         expressionAttributeNames,
         expressionAttributeValues,
-      });
+      };
+
+      logger.debug({ plan: plan.name, filters: filters.length }, 'Listing users');
+
+      const result = plan.name === 'scan'
+        ? await this.find(listOptions)
+        : await this.query(plan.keyCondition, { ...listOptions, indexName: plan.indexName, scanIndexForward: false });
 
       // Remove sensitive data from all users
       const users = result.items.map(user => {
@@ -371,9 +608,13 @@ class UserDatabase extends BaseDatabase {
           loginAttempts,
           lockedUntil,
           metadata,
+          passwordHistory,
+          mfa,
+          mfaPending,
+          tenantStatus,
           ...safeUser
         } = user;
-        return safeUser;
+        return { ...safeUser, mfaEnabled: !!(mfa && mfa.enabled) };
       });
 
       return {
@@ -392,10 +633,14 @@ class UserDatabase extends BaseDatabase {
   /**
    * Deactivate user account
    */
-  async deactivateUser(userId) {
+  async deactivateUser(userId, { expectedVersion = null } = {}) {
     try {
       const updatedUser = await this.updateById(userId, {
         isActive: false,
+        deactivatedAt: new Date().toISOString(),
+      }, {
+        expectedVersion,
+        events: [createEvent('user.deactivated', { userId }, { aggregateId: userId })],
       });
 
       logger.info({ userId }, 'User account deactivated');
@@ -421,8 +666,8 @@ class UserDatabase extends BaseDatabase {
     try {
       const updatedUser = await this.updateById(userId, {
         isActive: true,
-        loginAttempts: 0,
-        lockedUntil: null,
+      }, {
+        events: [createEvent('user.activated', { userId }, { aggregateId: userId })],
       });
 
       logger.info({ userId }, 'User account activated');
@@ -442,36 +687,30 @@ class UserDatabase extends BaseDatabase {
   }
 
   /**
-   * Increment login attempts and lock account if necessary
+   * Clear the failed login counters of a user, lifting any lockout
    */
-  async incrementLoginAttempts(userId) {
+  async unlockLogin(userId) {
     try {
-      const user = await this.findById(userId);
-      if (!user) return;
+      const user = await this.findById(userId, false);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
 
-      const newAttempts = (user.loginAttempts || 0) + 1;
-      const maxAttempts = 5;
-      const lockDuration = 30 * 60 * 1000; // 30 minutes
+      await this.loginAttempts.unlockAccount(user.email);
 
-      const updates = {
-        loginAttempts: newAttempts,
-      };
+      logger.info({ userId }, 'User login unlocked');
 
-      // Lock account if max attempts reached
-      if (newAttempts >= maxAttempts) {
-        updates.lockedUntil = new Date(Date.now() + lockDuration).toISOString();
-        logger.warn({ 
-          userId, 
-          attempts: newAttempts 
-        }, 'User account locked due to too many failed login attempts');
+      return { message: 'User login unlocked successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
       }
 
-      await this.updateById(userId, updates);
-    } catch (error) {
-      logger.error({ 
-        error: error.message, 
-        userId 
-      }, 'Failed to increment login attempts');
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to unlock user login');
+      throw error;
     }
   }
 
@@ -482,6 +721,8 @@ class UserDatabase extends BaseDatabase {
     try {
       const updatedUser = await this.updateById(userId, {
         emailVerified: true,
+      }, {
+        events: user => [createEvent('user.email_verified', { userId, email: user.email }, { aggregateId: userId })],
       });
 
       logger.info({ userId }, 'User email verified');
@@ -500,6 +741,751 @@ class UserDatabase extends BaseDatabase {
     }
   }
 
+  /**
+   * Start TOTP enrollment: store a pending secret until it is confirmed
+   */
+  async startMfaEnrollment(userId) {
+    try {
+      const user = await this.findById(userId, false);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (user.mfa && user.mfa.enabled) {
+        throw new ConflictError('MFA is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+
+      await this.updateById(userId, {
+        mfaPending: {
+          secret: encrypt(secret),
+          createdAt: new Date().toISOString(),
+        },
+      });
+
+      logger.info({ userId }, 'MFA enrollment started');
+
+      return {
+        secret,
+        otpauthUri: totp.getOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: config.mfa.issuer,
+        }),
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to start MFA enrollment');
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm TOTP enrollment with a code from the authenticator.
+   * Returns one-time recovery codes; only their hashes are stored.
+   */
+  async confirmMfaEnrollment(userId, code) {
+    try {
+      const user = await this.findById(userId, false);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      if (!user.mfaPending) {
+        throw new ConflictError('No MFA enrollment in progress');
+      }
+
+      const secret = decrypt(user.mfaPending.secret);
+      const step = totp.verifyCode(secret, code, { window: config.mfa.window });
+      if (step === null) {
+        throw new ValidationError('Invalid verification code');
+      }
+
+      const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => this.generateRecoveryCode());
+
+      const params = {
+        TableName: this.tableName,
+        Key: this.toKey(userId),
+        UpdateExpression: 'SET #mfa = :mfa, #updatedAt = :now REMOVE #mfaPending',
+        ConditionExpression: 'attribute_exists(#mfaPending)',
+        ExpressionAttributeNames: {
+          '#mfa': 'mfa',
+          '#mfaPending': 'mfaPending',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':mfa': {
+            enabled: true,
+            secret: user.mfaPending.secret,
+            recoveryCodes: this.client.createSet(recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode))),
+            lastUsedStep: step,
+            enabledAt: new Date().toISOString(),
+          },
+          ':now': new Date().toISOString(),
+        },
+      };
+
+      await this.client.update(this.withVersionIncrement(params)).promise();
+      this.invalidateCache(userId);
+
+      logger.info({ userId }, 'MFA enabled');
+
+      return { recoveryCodes };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError || error instanceof ValidationError) {
+        throw error;
+      }
+
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new ConflictError('No MFA enrollment in progress');
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to confirm MFA enrollment');
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP code or recovery code for a user with MFA enabled.
+   * Codes are single use: a TOTP time step or recovery code is consumed
+   * atomically, so a replayed code fails.
+   */
+  async verifyMfa(userId, { code = null, recoveryCode = null }) {
+    try {
+      const user = await this.findById(userId, false);
+      if (!user || !user.mfa || !user.mfa.enabled) {
+        return false;
+      }
+
+      let params;
+
+      if (recoveryCode) {
+        const hash = this.hashRecoveryCode(recoveryCode);
+
+        params = {
+          UpdateExpression: 'DELETE #mfa.#recoveryCodes :hashSet',
+          ConditionExpression: 'contains(#mfa.#recoveryCodes, :hash)',
+          ExpressionAttributeNames: {
+            '#mfa': 'mfa',
+            '#recoveryCodes': 'recoveryCodes',
+          },
+          ExpressionAttributeValues: {
+            ':hashSet': this.client.createSet([hash]),
+            ':hash': hash,
+          },
+        };
+      } else {
+        const step = totp.verifyCode(decrypt(user.mfa.secret), code, { window: config.mfa.window });
+        if (step === null) {
+          return false;
+        }
+
+        params = {
+          UpdateExpression: 'SET #mfa.#lastUsedStep = :step',
+          ConditionExpression: '#mfa.#lastUsedStep < :step',
+          ExpressionAttributeNames: {
+            '#mfa': 'mfa',
+            '#lastUsedStep': 'lastUsedStep',
+          },
+          ExpressionAttributeValues: {
+            ':step': step,
+          },
+        };
+      }
+
+      await this.client.update(this.withVersionIncrement({
+        TableName: this.tableName,
+        Key: this.toKey(userId),
+        ...params,
+      })).promise();
+      this.invalidateCache(userId);
+
+      if (recoveryCode) {
+        logger.warn({ userId }, 'MFA recovery code used');
+      }
+
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        logger.warn({ userId }, 'MFA code replay rejected');
+        return false;
+      }
+
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to verify MFA code');
+      throw error;
+    }
+  }
+
+  /**
+   * Disable MFA after checking a current code
+   */
+  async disableMfa(userId, { code = null, recoveryCode = null }) {
+    const isValid = await this.verifyMfa(userId, { code, recoveryCode });
+    if (!isValid) {
+      throw new ValidationError('Invalid verification code');
+    }
+
+    try {
+      await this.client.update(this.withVersionIncrement({
+        TableName: this.tableName,
+        Key: this.toKey(userId),
+        UpdateExpression: 'SET #updatedAt = :now REMOVE #mfa, #mfaPending',
+        ExpressionAttributeNames: {
+          '#mfa': 'mfa',
+          '#mfaPending': 'mfaPending',
+          '#updatedAt': 'updatedAt',
+        },
+        ExpressionAttributeValues: {
+          ':now': new Date().toISOString(),
+        },
+      })).promise();
+      this.invalidateCache(userId);
+
+      logger.info({ userId }, 'MFA disabled');
+
+      return { message: 'MFA disabled successfully' };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        userId,
+      }, 'Failed to disable MFA');
+      throw error;
+    }
+  }
+
+  generateRecoveryCode() {
+    const code = totp.base32Encode(crypto.randomBytes(5)).toLowerCase();
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  }
+
+  hashRecoveryCode(recoveryCode) {
+    return crypto.createHash('sha256').update(recoveryCode.toLowerCase().replace(/[^a-z2-7]/g, '')).digest('hex');
+  }
+
+  /**
+   * How a listing is read: a whole email address is looked up in the email
+   * index, an `isActive` filter queries one status partition and anything
+   * else queries the tenant's users by creation date. A table scan is only
+   * used when asked for.
+   */
+  getListingPlan({ search = null, isActive = null, scan = false }) {
+    if (scan) {
+      logger.warn({ table: this.tableName }, 'Listing users with a table scan');
+      return {
+        name: 'scan',
+        filters: ['attribute_not_exists(#itemType)'],
+        names: { '#itemType': 'type' },
+        values: {},
+      };
+    }
+
+    if (search && EMAIL_PATTERN.test(search)) {
+      return {
+        name: 'email',
+        indexName: this.emailIndex,
+        keyCondition: '#email = :email',
+        filters: [],
+        names: { '#email': 'email' },
+        values: { ':email': search.toLowerCase().trim() },
+      };
+    }
+
+    if (isActive !== null) {
+      return {
+        name: 'status',
+        indexName: this.statusIndex,
+        keyCondition: '#tenantStatus = :tenantStatus',
+        filters: [],
+        names: { '#tenantStatus': 'tenantStatus' },
+        values: { ':tenantStatus': this.getListingKeys(isActive).tenantStatus },
+      };
+    }
+
+    return {
+      name: 'tenant',
+      indexName: this.tenantIndex,
+      keyCondition: '#tenantId = :tenantId',
+      filters: [],
+      names: { '#tenantId': 'tenantId' },
+      values: { ':tenantId': getTenantId() },
+    };
+  }
+
+  // Index keys of a user that depend on its state
+  getListingKeys(isActive) {
+    return { tenantStatus: `${getTenantId()}#${isActive ? 'active' : 'inactive'}` };
+  }
+
+  /**
+   * Keep the status listing key in step with `isActive`, and the counters
+   * and search index with every change of an attribute they depend on
+   */
+  async updateById(id, updates, options = {}) {
+    const listingKeys = typeof updates.isActive === 'boolean' ? this.getListingKeys(updates.isActive) : {};
+    const fields = { ...updates, ...listingKeys };
+    const trackedFields = [...COUNTED_FIELDS, ...Object.keys(SEARCH_WEIGHTS)];
+
+    if (!trackedFields.some(field => fields[field] !== undefined)) {
+      return super.updateById(id, fields, options);
+    }
+
+    return this.updateTracked(id, fields, options);
+  }
+
+  /**
+   * Update a user together with the counters and search index. The user is
+   * written only if it is still at the version those changes were computed
+   * from; without `expectedVersion` a concurrent change is retried.
+   */
+  async updateTracked(id, updates, { expectedVersion = null, events = [] } = {}) {
+    const { version, ...fields } = updates;
+
+    for (let attempt = 1; ; attempt += 1) {
+      const user = await this.findById(id, false);
+      if (!user) {
+        throw new Error('Item not found');
+      }
+
+      const currentVersion = this.getVersion(user);
+      if (expectedVersion !== null && expectedVersion !== currentVersion) {
+        throw new VersionConflictError(expectedVersion, currentVersion);
+      }
+
+      const cleanUpdates = this.cleanUpdates({
+        ...fields,
+        updatedAt: new Date().toISOString(),
+      });
+
+      const updatedUser = { ...user, ...cleanUpdates };
+      const trackingActions = [
+        this.getCounterAction(user, updatedUser),
+        ...this.getSearchActions(user, updatedUser),
+      ].filter(Boolean);
+
+      // Events built from the user are given the whole updated user
+      const outboxEvents = this.resolveEvents(events, updatedUser);
+
+      if (trackingActions.length === 0) {
+        return super.updateById(id, fields, { expectedVersion: currentVersion, events: outboxEvents });
+      }
+
+      try {
+        await this.transactWrite([
+          {
+            Update: {
+              Key: { id },
+              ...this.getUpdateExpression(cleanUpdates, { expectedVersion: currentVersion }),
+            },
+          },
+          ...trackingActions,
+        ], { events: outboxEvents });
+
+        this.invalidateCache(id);
+
+        return this.findById(id, false);
+      } catch (error) {
+        if (!this.isConditionFailure(error, 0)) {
+          throw error;
+        }
+        if (expectedVersion !== null || attempt >= TRACKED_UPDATE_ATTEMPTS) {
+          throw await this.getConditionError(id, currentVersion);
+        }
+      }
+    }
+  }
+
+  /**
+   * Search
+   */
+
+  /**
+   * Users matching every word of `query` as the start of a word of their
+   * name or email, ignoring case and accents. Each query word is looked up
+   * in the search index by its first letters, users are ranked by the
+   * weight of their matches (names over email, whole words over prefixes)
+   * and pages of the ranking are returned with opaque cursors.
+   */
+  async searchUsers({ query, limit = 20, cursor = null }) {
+    try {
+      const queryTerms = parseQuery(query);
+      if (queryTerms.length === 0) {
+        throw new ValidationError(`Search query needs a word of at least ${MIN_TERM_LENGTH} characters`);
+      }
+
+      const ranking = await this.rankSearchMatches(queryTerms);
+
+      const scope = ['user-search', getTenantId(), queryTerms];
+      const page = cursor ? openCursor(cursor, scope) : { key: null, history: [] };
+      const offset = page.key ? page.key.offset : 0;
+      const nextKey = offset + limit < ranking.length ? { offset: offset + limit } : null;
+
+      const users = await Promise.all(ranking
+        .slice(offset, offset + limit)
+        .map(({ userId }) => this.findById(userId)));
+
+      // An index item can outlive its user for the length of the cache
+      const items = users.filter(Boolean).map((user) => {
+        const {
+          password,
+          loginAttempts,
+          lockedUntil,
+          metadata,
+          passwordHistory,
+          mfa,
+          mfaPending,
+          tenantStatus,
+          ...safeUser
+        } = user;
+        return { ...safeUser, mfaEnabled: !!(mfa && mfa.enabled) };
+      });
+
+      return {
+        items,
+        count: items.length,
+        total: ranking.length,
+        ...getPageCursors(scope, page, nextKey),
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error({ 
+        error: error.message, 
+        query 
+      }, 'Failed to search users');
+      throw error;
+    }
+  }
+
+  // Ids and scores of the users matching all query words, best first
+  async rankSearchMatches(queryTerms) {
+    const scores = new Map();
+
+    for (const [index, queryTerm] of queryTerms.entries()) {
+      const result = await this.query('#searchPrefix = :searchPrefix AND begins_with(#searchTerm, :searchTerm)', {
+        indexName: this.searchIndex,
+        limit: MAX_SEARCH_MATCHES,
+        expressionAttributeNames: { '#searchPrefix': 'searchPrefix', '#searchTerm': 'searchTerm' },
+        expressionAttributeValues: {
+          ':searchPrefix': this.getSearchPrefix(queryTerm),
+          ':searchTerm': queryTerm,
+        },
+      });
+
+      if (result.nextCursor) {
+        logger.warn({ queryTerm }, 'Search word matches too many users, results are incomplete');
+      }
+
+      // Best match of this word per user
+      const matches = new Map();
+      result.items.forEach(({ userId, term, weight }) => {
+        matches.set(userId, Math.max(matches.get(userId) || 0, scoreMatch(term, weight, queryTerm)));
+      });
+
+      // Keep only users that matched every word so far
+      const previous = new Map(scores);
+      scores.clear();
+      matches.forEach((score, userId) => {
+        if (index === 0 || previous.has(userId)) {
+          scores.set(userId, (previous.get(userId) || 0) + score);
+        }
+      });
+
+      if (scores.size === 0) {
+        break;
+      }
+    }
+
+    return Array.from(scores, ([userId, score]) => ({ userId, score }))
+      .sort((a, b) => b.score - a.score || a.userId.localeCompare(b.userId));
+  }
+
+  getSearchItemId(userId, term) {
+    return `${SEARCH_PREFIX}${userId}#${term}`;
+  }
+
+  // Index partition of a word: the tenant and the word's first letters
+  getSearchPrefix(term) {
+    return `${getTenantId()}#${term.slice(0, MIN_TERM_LENGTH)}`;
+  }
+
+  /**
+   * Transaction actions that move the search index from one state of a user
+   * to another (null for a user that does not exist)
+   */
+  getSearchActions(before, after) {
+    const previous = before ? getTerms(before, SEARCH_WEIGHTS) : new Map();
+    const next = after ? getTerms(after, SEARCH_WEIGHTS) : new Map();
+    const userId = (after || before).id;
+
+    const deletes = Array.from(previous.keys())
+      .filter(term => !next.has(term))
+      .map(term => ({ Delete: { Key: { id: this.getSearchItemId(userId, term) } } }));
+
+    const puts = Array.from(next)
+      .filter(([term, weight]) => previous.get(term) !== weight)
+      .map(([term, weight]) => ({
+        Put: {
+          Item: {
+            id: this.getSearchItemId(userId, term),
+            type: 'search',
+            userId,
+            term,
+            weight,
+            searchPrefix: this.getSearchPrefix(term),
+            searchTerm: `${term}#${userId}`,
+          },
+        },
+      }));
+
+    return [...deletes, ...puts];
+  }
+
+  /**
+   * Write the search index items of every user of every tenant, for users
+   * written before the search index existed. Items of words a user no longer
+   * has are left to be removed by the user's next update.
+   */
+  async rebuildSearchIndex() {
+    let exclusiveStartKey;
+    let userCount = 0;
+
+    do {
+      const result = await this.client.scan({
+        TableName: this.tableName,
+        FilterExpression: 'attribute_not_exists(#itemType)',
+        ProjectionExpression: 'id, #tenantId, firstName, lastName, email',
+        ExpressionAttributeNames: { '#itemType': 'type', '#tenantId': 'tenantId' },
+        ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+      }).promise();
+
+      for (const item of result.Items) {
+        await runWithTenant(item.tenantId || config.tenancy.defaultTenant, async () => {
+          // A user has fewer words than fit in one batch
+          const requests = this.getSearchActions(null, this.fromItem(item))
+            .map(({ Put }) => ({ PutRequest: { Item: Put.Item } }));
+
+          if (requests.length > 0) {
+            await this.batchWrite(requests);
+          }
+        });
+      }
+
+      userCount += result.Items.length;
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    logger.info({ userCount }, 'User search index rebuilt');
+
+    return userCount;
+  }
+
+  /**
+   * Counters
+   */
+  async getStats() {
+    const counters = await this.findById(COUNTER_ID, false);
+
+    return this.toStats(counters || {});
+  }
+
+  toStats(counters) {
+    const roles = Object.keys(counters)
+      .filter(name => name.startsWith('role:'))
+      .reduce((acc, name) => ({ ...acc, [name.slice(5)]: counters[name] }), {});
+    const total = counters.total || 0;
+    const active = counters.active || 0;
+
+    return {
+      total,
+      active,
+      inactive: total - active,
+      verified: counters.verified || 0,
+      roles,
+      reconciledAt: counters.reconciledAt || null,
+      updatedAt: counters.updatedAt || null,
+    };
+  }
+
+  // Counter values a user contributes, e.g. { total: 1, active: 1, 'role:user': 1 }
+  getCounterValues(user) {
+    if (!user) {
+      return {};
+    }
+
+    return {
+      total: 1,
+      active: user.isActive ? 1 : 0,
+      verified: user.emailVerified ? 1 : 0,
+      ...Object.fromEntries((user.roles || []).map(role => [`role:${role}`, 1])),
+    };
+  }
+
+  /**
+   * Transaction action that moves the counters from one state of a user to
+   * another (null for a user that does not exist), or null if none changes
+   */
+  getCounterAction(before, after) {
+    const previous = this.getCounterValues(before);
+    const next = this.getCounterValues(after);
+
+    const deltas = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+      .map(name => [name, (next[name] || 0) - (previous[name] || 0)])
+      .filter(([, delta]) => delta !== 0);
+
+    if (deltas.length === 0) {
+      return null;
+    }
+
+    const names = { '#itemType': 'type', '#tenantId': 'tenantId', '#updatedAt': 'updatedAt', '#version': 'version' };
+    const values = { ':itemType': 'counter', ':tenantId': getTenantId(), ':updatedAt': new Date().toISOString(), ':versionOne': 1 };
+    deltas.forEach(([name, delta], index) => {
+      names[`#counter${index}`] = name;
+      values[`:delta${index}`] = delta;
+    });
+
+    return {
+      Update: {
+        Key: { id: COUNTER_ID },
+        UpdateExpression: `SET #itemType = :itemType, #tenantId = :tenantId, #updatedAt = :updatedAt ADD #version :versionOne, ${deltas.map((delta, index) => `#counter${index} :delta${index}`).join(', ')}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      },
+    };
+  }
+
+  /**
+   * Recompute the counters of every tenant from a scan of the table, for
+   * users written before counters existed or drift after failed writes.
+   * Tenants whose counter item is found without users are reset to zero.
+   * Every counter write bumps its version, and a tenant's new counters are
+   * only written if its counter item still has the version the scan read,
+   * so a user write that lands after that is never overwritten; the tenant
+   * is skipped until the next run instead. A write that lands between the
+   * scan passing the user and reaching the counter item can still be off
+   * until the next run.
+   */
+  async reconcileCounters() {
+    const counters = {};
+    const versions = {};
+    let exclusiveStartKey;
+
+    do {
+      const result = await this.client.scan({
+        TableName: this.tableName,
+        FilterExpression: 'attribute_not_exists(#itemType) OR #itemType = :counter',
+        ProjectionExpression: '#itemType, #version, #tenantId, isActive, emailVerified, #roles',
+        ExpressionAttributeNames: {
+          '#itemType': 'type',
+          '#version': 'version',
+          '#tenantId': 'tenantId',
+          '#roles': 'roles',
+        },
+        ExpressionAttributeValues: { ':counter': 'counter' },
+        ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+      }).promise();
+
+      result.Items.forEach((item) => {
+        const tenantId = item.tenantId || config.tenancy.defaultTenant;
+        const tenantCounters = counters[tenantId] || (counters[tenantId] = {});
+
+        if (item.type === 'counter') {
+          versions[tenantId] = item.version || 0;
+          return;
+        }
+
+        Object.entries(this.getCounterValues(item)).forEach(([name, value]) => {
+          tenantCounters[name] = (tenantCounters[name] || 0) + value;
+        });
+      });
+
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    const reconciledAt = new Date().toISOString();
+    const reconciled = {};
+    const skipped = [];
+
+    await Promise.all(Object.entries(counters).map(([tenantId, found]) => runWithTenant(tenantId, async () => {
+      const values = { total: 0, active: 0, verified: 0, ...found };
+      const version = versions[tenantId];
+
+      try {
+        await this.client.put({
+          TableName: this.tableName,
+          Item: this.toItem({
+            id: COUNTER_ID,
+            type: 'counter',
+            ...values,
+            version: (version || 0) + 1,
+            reconciledAt,
+            updatedAt: reconciledAt,
+          }),
+          ...this.getCounterCondition(version),
+        }).promise();
+
+        reconciled[tenantId] = this.toStats({ ...values, reconciledAt, updatedAt: reconciledAt });
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+
+        skipped.push(tenantId);
+      }
+    })));
+
+    this.invalidateCache(COUNTER_ID);
+
+    if (skipped.length > 0) {
+      logger.warn({ tenantIds: skipped }, 'User counters changed while reconciling, left for the next run');
+    }
+    logger.info({ tenantCount: Object.keys(reconciled).length, skippedCount: skipped.length }, 'User counters reconciled');
+
+    return reconciled;
+  }
+
+  // Write condition of reconciled counters: the counter item is unchanged since the scan read it at `version`
+  getCounterCondition(version) {
+    if (version === undefined) {
+      return { ConditionExpression: 'attribute_not_exists(id)' };
+    }
+    if (version === 0) {
+      return { ConditionExpression: 'attribute_exists(id) AND attribute_not_exists(#version)', ExpressionAttributeNames: { '#version': 'version' } };
+    }
+
+    return {
+      ConditionExpression: '#version = :version',
+      ExpressionAttributeNames: { '#version': 'version' },
+      ExpressionAttributeValues: { ':version': version },
+    };
+  }
+
+  getEmailClaimId(email) {
+    return `${EMAIL_CLAIM_PREFIX}${email.toLowerCase().trim()}`;
+  }
+
+  getEmailClaim(email, userId) {
+    return {
+      id: this.getEmailClaimId(email),
+      type: 'email',
+      userId,
+    };
+  }
+
   /**
    * Database health check specific to users table
    */
@@ -525,12 +1511,12 @@ class UserDatabase extends BaseDatabase {
   }
 
   /**
-   * Get total user count (for health checks and admin dashboard)
+   * Get total user count of the current tenant (for health checks and admin dashboard)
    */
   async getUserCount() {
     try {
-      const result = await this.find({ limit: 1 });
-      return result.scannedCount || 0;
+      const stats = await this.getStats();
+      return stats.total;
     } catch (error) {
       logger.error({ error: error.message }, 'Failed to get user count');
       return 0;
@@ -0,0 +1,100 @@
+const Joi = require('joi');
+
+/**
+ * Domain event catalog
+ * Every event type with the aggregate it belongs to and the schema of its
+ * `data` per version. New events are published at the latest version; a
+ * breaking change to `data` adds a version instead of editing one, so
+ * consumers can keep handling the versions they know.
+ */
+const userId = Joi.string().required();
+const email = Joi.string().email({ tlds: { allow: false } }).required();
+
+const EVENT_CATALOG = {
+  'user.created': {
+    aggregate: 'user',
+    description: 'A user registered or was provisioned by a federated sign-in',
+    versions: {
+      1: Joi.object({
+        userId,
+        email,
+        roles: Joi.array().items(Joi.string()).required(),
+        emailVerified: Joi.boolean().required(),
+        federated: Joi.boolean().required(),
+      }),
+    },
+  },
+  'user.activated': {
+    aggregate: 'user',
+    description: 'A deactivated user account was activated again',
+    versions: {
+      1: Joi.object({ userId }),
+    },
+  },
+  'user.deactivated': {
+    aggregate: 'user',
+    description: 'A user account was deactivated by the user or an administrator',
+    versions: {
+      1: Joi.object({ userId }),
+    },
+  },
+  'user.email_verified': {
+    aggregate: 'user',
+    description: 'A user verified their email address',
+    versions: {
+      1: Joi.object({ userId, email }),
+    },
+  },
+  'user.email_changed': {
+    aggregate: 'user',
+    description: 'A user moved to another email address, which is unverified',
+    versions: {
+      1: Joi.object({ userId, email, previousEmail: email }),
+    },
+  },
+  'user.deleted': {
+    aggregate: 'user',
+    description: 'A user was permanently deleted',
+    versions: {
+      1: Joi.object({ userId }),
+    },
+  },
+};
+
+function getEventDefinition(type) {
+  const definition = EVENT_CATALOG[type];
+  if (!definition) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  return definition;
+}
+
+function getLatestVersion(type) {
+  return Math.max(...Object.keys(getEventDefinition(type).versions).map(Number));
+}
+
+/**
+ * Validate the data of an event against its schema version; throws for an
+ * unknown type or version and for invalid data
+ */
+function validateEventData(type, version, data) {
+  const schema = getEventDefinition(type).versions[version];
+  if (!schema) {
+    throw new Error(`Unknown version ${version} of event ${type}`);
+  }
+
+  const { error, value } = schema.validate(data, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid ${type} v${version} event: ${error.message}`);
+  }
+
+  return value;
+}
+
+module.exports = {
+  EVENT_CATALOG,
+  getEventDefinition,
+  getLatestVersion,
+  validateEventData,
+};
@@ -0,0 +1,33 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { getTenantId } = require('../utils/tenantContext');
+const { getEventDefinition, getLatestVersion, validateEventData } = require('./catalog');
+
+/**
+ * Domain events
+ * An event is an envelope around catalog-validated `data`:
+ *
+ *   { id, type, version, source, tenantId, aggregateType, aggregateId, occurredAt, data }
+ *
+ * `id` is unique per event and stays the same on every delivery, so
+ * consumers use it to drop duplicates. Events are not published directly:
+ * they are passed as `events` to a BaseDatabase write, which stores them in
+ * the outbox in the same transaction, and the outbox relay publishes them.
+ */
+function createEvent(type, data, { aggregateId, version = getLatestVersion(type) }) {
+  return {
+    id: uuidv4(),
+    type,
+    version,
+    source: config.events.source,
+    tenantId: getTenantId(),
+    aggregateType: getEventDefinition(type).aggregate,
+    aggregateId,
+    occurredAt: new Date().toISOString(),
+    data: validateEventData(type, version, data),
+  };
+}
+
+module.exports = {
+  createEvent,
+};
@@ -0,0 +1,30 @@
+const OutboxDatabase = require('../db/outbox');
+const logger = require('../utils/logger');
+const { publishEvent } = require('../utils/eventBus');
+
+/**
+ * Outbox relay
+ * Publishes every event written to the outbox, as a handler of the outbox
+ * table's stream. A failed publish is retried and dead-lettered by the
+ * stream processor; an event can be published more than once (a retry after
+ * a publish whose acknowledgement was lost, a replay), never zero times.
+ */
+const outboxDb = new OutboxDatabase();
+
+async function relayOutboxItem(change) {
+  const { event } = change.newImage;
+
+  await publishEvent(event);
+  await outboxDb.markPublished(event.id);
+
+  logger.debug({ eventId: event.id, type: event.type }, 'Outbox event relayed');
+}
+
+function registerOutboxRelay(registry) {
+  registry.on('outbox', 'INSERT', 'outbox.relay', relayOutboxItem);
+}
+
+module.exports = {
+  relayOutboxItem,
+  registerOutboxRelay,
+};
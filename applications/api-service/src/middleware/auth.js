@@ -1,8 +1,54 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { recordRequestDuration } = require('../utils/metrics');
+const keyring = require('../utils/keyring');
+const { resolvePermissions, hasPermission } = require('../utils/permissions');
+const { getTenantId } = require('../utils/tenantContext');
+const RevocationDatabase = require('../db/revocations');
+const ApiKeyDatabase = require('../db/apiKeys');
+const AuditLogDatabase = require('../db/auditLog');
+const MembershipDatabase = require('../db/memberships');
+
+const revocationDb = new RevocationDatabase();
+const apiKeyDb = new ApiKeyDatabase();
+const auditDb = new AuditLogDatabase();
+const membershipDb = new MembershipDatabase();
+const verifyAsync = promisify(jwt.verify);
+
+/**
+ * Verify an access token
+ * The verification key is selected by the token's kid, so tokens signed by
+ * any published key of any region stay valid across rotations.
+ */
+const verifyAccessToken = async (token) => {
+  const decodedToken = jwt.decode(token, { complete: true });
+  if (!decodedToken) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const options = {
+    issuer: config.auth.issuer,
+    audience: config.auth.audience,
+  };
+
+  const { kid } = decodedToken.header;
+  if (!kid) {
+    if (!config.jwt.acceptLegacyTokens) {
+      throw new jwt.JsonWebTokenError('Token has no key id');
+    }
+    return verifyAsync(token, config.jwt.secret, { ...options, algorithms: ['HS256'] });
+  }
+
+  const key = await keyring.getVerificationKey(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Unknown signing key');
+  }
+
+  return verifyAsync(token, key.publicKey, { ...options, algorithms: [key.alg] });
+};
 
 /**
  * JWT Authentication Middleware
@@ -24,11 +70,45 @@ const authenticate = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
 
     // Verify JWT token
-    const verifyAsync = promisify(jwt.verify);
-    const decoded = await verifyAsync(token, config.jwt.secret);
+    const decoded = await verifyAccessToken(token);
+
+    // Client credentials tokens identify a service, not a user
+    if (decoded.client_id) {
+      const error = new Error('Client tokens cannot act as a user');
+      error.name = 'ClientTokenError';
+      throw error;
+    }
+
+    // A user exists in one tenant only
+    if (!isCurrentTenant(decoded)) {
+      const error = new Error('Token was issued for another tenant');
+      error.name = 'TenantMismatchError';
+      throw error;
+    }
+
+    // Reject tokens revoked by logout in any region
+    if (await revocationDb.isTokenRevoked(decoded)) {
+      const error = new Error('Token has been revoked');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
 
     // Add user to request context
     req.user = decoded;
+
+    // Every request made while impersonating is audited; record() also writes the application log
+    if (decoded.act) {
+      auditDb.record('impersonation.used', {
+        actorId: decoded.act.sub,
+        subjectId: decoded.id,
+        details: {
+          tokenId: decoded.jti,
+          method: req.method,
+          path: req.originalUrl,
+          ip: req.ip,
+        },
+      }).catch(() => {});
+    }
     
     logger.debug({ userId: decoded.id, tokenExp: decoded.exp }, 'User authenticated successfully');
     
@@ -41,6 +121,72 @@ const authenticate = async (req, res, next) => {
       message = 'Token has expired';
     } else if (error.name === 'JsonWebTokenError') {
       message = 'Invalid token format';
+    } else if (error.name === 'TokenRevokedError') {
+      message = 'Token has been revoked';
+    } else if (error.name === 'ClientTokenError') {
+      message = 'Client tokens are not accepted for this endpoint';
+    } else if (error.name === 'TenantMismatchError') {
+      message = 'Token was issued for another tenant';
+    }
+
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message,
+    });
+  } finally {
+    recordRequestDuration('auth_middleware', Date.now() - start);
+  }
+};
+
+/**
+ * Service Authentication Middleware
+ * Accepts a client credentials access token (`Authorization: Bearer`) or a
+ * managed API key (`X-API-Key`) and sets `req.service`. User tokens are
+ * rejected, so `req.user` is never set on these routes.
+ */
+const authenticateService = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return apiKeyAuth(req, res, next);
+  }
+
+  const start = Date.now();
+
+  try {
+    const decoded = await verifyAccessToken(authHeader.substring(7));
+
+    if (!decoded.client_id) {
+      const error = new Error('User tokens cannot act as a service');
+      error.name = 'UserTokenError';
+      throw error;
+    }
+
+    if (await revocationDb.isTokenRevoked(decoded)) {
+      const error = new Error('Token has been revoked');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
+
+    req.service = {
+      name: decoded.name,
+      type: 'client',
+      clientId: decoded.client_id,
+      scopes: decoded.scopes || [],
+    };
+
+    logger.debug({ clientId: decoded.client_id, tokenExp: decoded.exp }, 'Service authenticated successfully');
+
+    next();
+  } catch (error) {
+    logger.warn({ error: error.message, ip: req.ip }, 'Service authentication failed');
+
+    let message = 'Invalid token';
+    if (error.name === 'TokenExpiredError') {
+      message = 'Token has expired';
+    } else if (error.name === 'TokenRevokedError') {
+      message = 'Token has been revoked';
+    } else if (error.name === 'UserTokenError') {
+      message = 'A client credentials token is required';
     }
 
     return res.status(401).json({
@@ -65,8 +211,13 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const token = authHeader.substring(7);
-    const verifyAsync = promisify(jwt.verify);
-    const decoded = await verifyAsync(token, config.jwt.secret);
+    const decoded = await verifyAccessToken(token);
+
+    if (decoded.client_id || !isCurrentTenant(decoded) || await revocationDb.isTokenRevoked(decoded)) {
+      logger.debug({ userId: decoded.id }, 'Optional authentication ignored revoked, client or other tenant token');
+      return next();
+    }
+
     req.user = decoded;
     
     logger.debug({ userId: decoded.id }, 'Optional authentication successful');
@@ -123,6 +274,97 @@ const authorize = (requiredRoles = []) => {
  */
 const adminOnly = authorize(['admin']);
 
+/**
+ * Permission-based Authorization Middleware
+ * Requires every listed permission, granted through token scopes or API key
+ * scopes. `:self` permissions count when the target user is the caller
+ * (`:id`/`:userId` route params, or routes without one such as `/me`).
+ */
+const requirePermission = (...requiredPermissions) => {
+  return (req, res, next) => {
+    const principal = req.user || req.service;
+    if (!principal) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User not authenticated',
+      });
+    }
+
+    // Tokens issued before scopes were added carry roles only
+    const granted = principal.scopes || resolvePermissions(principal.roles);
+    const targetUserId = req.params.id || req.params.userId;
+    const isSelf = !!req.user && (!targetUserId || targetUserId === req.user.id);
+
+    const missing = requiredPermissions.filter(permission => !hasPermission(granted, permission, { isSelf }));
+
+    if (missing.length > 0) {
+      logger.warn({
+        userId: req.user?.id,
+        serviceKeyId: req.service?.keyId,
+        missing,
+      }, 'Authorization failed - missing permissions');
+
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Required permissions: ${missing.join(', ')}`,
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Verified Email Middleware
+ * Blocks users whose email is not verified when EMAIL_VERIFICATION_REQUIRED
+ * is enabled. The check uses the token claim, so a user who has just verified
+ * must refresh their access token. Service principals are not affected.
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!config.emailVerification.required || req.service) {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'User not authenticated',
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    logger.warn({ userId: req.user.id }, 'Request blocked - email not verified');
+
+    return res.status(403).json({
+      error: 'Email not verified',
+      message: 'Verify your email address to use this endpoint',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Deny Impersonation Middleware
+ * Keeps sensitive account operations out of reach of impersonation tokens
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.user && req.user.act) {
+    logger.warn({
+      userId: req.user.id,
+      actorId: req.user.act.sub,
+      path: req.originalUrl,
+    }, 'Sensitive operation blocked during impersonation');
+
+    return res.status(403).json({
+      error: 'Not allowed while impersonating',
+      message: 'This operation cannot be performed with an impersonation token',
+    });
+  }
+
+  next();
+};
+
 /**
  * User Self or Admin Middleware
  * Allows users to access their own resources or admins to access any
@@ -155,11 +397,66 @@ const selfOrAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Organization Membership Middleware
+ * Requires the caller to hold at least `role` (member, admin or owner) in
+ * the organization named by `:orgId`, and sets `req.membership`. Callers
+ * with `organizations:manage` pass without being members.
+ */
+const requireOrganizationRole = (role = 'member') => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'User not authenticated',
+      });
+    }
+
+    try {
+      const { orgId } = req.params;
+      const membership = await membershipDb.getMembership(orgId, req.user.id);
+      const granted = req.user.scopes || resolvePermissions(req.user.roles);
+
+      if (!membershipDb.hasRole(membership, role) && !hasPermission(granted, 'organizations:manage')) {
+        logger.warn({
+          userId: req.user.id,
+          organizationId: orgId,
+          requiredRole: role,
+          memberRole: membership ? membership.role : null,
+        }, 'Authorization failed - organization role required');
+
+        // Non-members are not told that the organization exists
+        if (!membership) {
+          return res.status(404).json({
+            error: 'Organization not found',
+            message: 'Organization not found',
+          });
+        }
+
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: `Required organization role: ${role}`,
+        });
+      }
+
+      req.membership = membership;
+      next();
+    } catch (error) {
+      logger.error({ error: error.message, userId: req.user.id }, 'Organization membership check failed');
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'Unable to verify organization membership',
+      });
+    }
+  };
+};
+
 /**
  * API Key Authentication Middleware
- * For service-to-service communication
+ * For service-to-service communication; keys are managed per partner.
+ * The shared `API_KEY` is still accepted until API_KEY_ACCEPT_LEGACY=false.
  */
-const apiKeyAuth = (req, res, next) => {
+const apiKeyAuth = async (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
   
   if (!apiKey) {
@@ -169,45 +466,125 @@ const apiKeyAuth = (req, res, next) => {
     });
   }
 
-  if (apiKey !== config.auth.apiKey) {
-    logger.warn({ ip: req.ip }, 'Invalid API key attempt');
-    return res.status(401).json({
-      error: 'Invalid API key',
-      message: 'The provided API key is not valid',
+  try {
+    if (apiKeyDb.isLegacyKey(apiKey)) {
+      logger.warn({ ip: req.ip }, 'Deprecated shared API key used, migrate to a managed API key');
+
+      req.service = {
+        name: 'api-client',
+        type: 'service',
+        legacy: true,
+        scopes: config.apiKeys.legacyScopes,
+      };
+
+      return next();
+    }
+
+    const matchedKey = await apiKeyDb.verifyKey(apiKey);
+
+    if (!matchedKey) {
+      logger.warn({ ip: req.ip }, 'Invalid API key attempt');
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The provided API key is not valid',
+      });
+    }
+
+    // Set service context from the matched key
+    req.service = {
+      name: matchedKey.name,
+      type: 'service',
+      keyId: matchedKey.id,
+      ownerId: matchedKey.ownerId,
+      scopes: matchedKey.scopes || [],
+    };
+
+    next();
+  } catch (error) {
+    logger.error({ error: error.message, ip: req.ip }, 'API key authentication failed');
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Unable to verify API key',
     });
   }
-
-  // Set service context
-  req.service = { name: 'api-client', type: 'service' };
-  
-  next();
 };
 
 /**
  * Generate JWT Token
+ * Every token carries a unique jti so it can be revoked individually; tokens
+ * issued from a login also carry the id of its refresh token family.
+ * With `clientCredentials`, `user` is an OAuth client and the token carries
+ * its `client_id` and the granted `scopes` instead of user claims.
  */
-const generateToken = (user) => {
-  const payload = {
-    id: user.id,
-    email: user.email,
-    roles: user.roles || ['user'],
-    iat: Math.floor(Date.now() / 1000),
-  };
+const generateToken = (user, { familyId, clientCredentials = false, scopes } = {}) => {
+  if (clientCredentials) {
+    return signAccessToken(getClientClaims(user, scopes), { expiresIn: config.oauth.tokenExpiresIn });
+  }
+
+  return signAccessToken({
+    ...getUserClaims(user),
+    ...(familyId && { fid: familyId }),
+  }, { expiresIn: config.jwt.expiresIn });
+};
+
+/**
+ * Generate Impersonation Token
+ * Acts as `user` on behalf of `actor`, named in the `act` claim (RFC 8693).
+ * It is short-lived and has no refresh token.
+ */
+const generateImpersonationToken = (user, actor, { tokenId }) => {
+  return signAccessToken({
+    ...getUserClaims(user),
+    act: {
+      sub: actor.id,
+      email: actor.email,
+    },
+  }, { expiresIn: config.impersonation.expiresIn, tokenId });
+};
+
+const getUserClaims = (user) => ({
+  id: user.id,
+  email: user.email,
+  roles: user.roles || ['user'],
+  scopes: resolvePermissions(user.roles || ['user']),
+  emailVerified: !!user.emailVerified,
+  tid: getTenantId(),
+  iat: Math.floor(Date.now() / 1000),
+});
+
+// Tokens issued before tenancy have no tid and belong to the default tenant
+const isCurrentTenant = (decoded) => (decoded.tid || config.tenancy.defaultTenant) === getTenantId();
+
+const getClientClaims = (client, scopes = client.scopes) => ({
+  client_id: client.id,
+  name: client.name,
+  scopes,
+  iat: Math.floor(Date.now() / 1000),
+});
 
-  return jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.expiresIn,
+const signAccessToken = (payload, { expiresIn, tokenId = uuidv4() }) => {
+  const signingKey = keyring.getSigningKey();
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    algorithm: signingKey.alg,
+    keyid: signingKey.kid,
+    expiresIn,
     issuer: config.auth.issuer,
     audience: config.auth.audience,
+    jwtid: tokenId,
   });
 };
 
 /**
  * Generate Refresh Token
+ * The family id and token id tie the token to its persisted token family
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, { familyId, tokenId }) => {
   const payload = {
     id: user.id,
     type: 'refresh',
+    fid: familyId,
+    tid: getTenantId(),
     iat: Math.floor(Date.now() / 1000),
   };
 
@@ -215,16 +592,91 @@ const generateRefreshToken = (user) => {
     expiresIn: config.jwt.refreshExpiresIn,
     issuer: config.auth.issuer,
     audience: config.auth.audience,
+    jwtid: tokenId,
+  });
+};
+
+/**
+ * Verify Refresh Token
+ * Checks signature, expiry and shape; reuse is checked against the token family
+ */
+const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.refreshSecret, {
+    issuer: config.auth.issuer,
+    audience: config.auth.audience,
   });
+
+  if (decoded.type !== 'refresh' || !decoded.fid || !decoded.jti) {
+    const error = new Error('Token is not a refresh token');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  if (!isCurrentTenant(decoded)) {
+    throw new jwt.JsonWebTokenError('Token was issued for another tenant');
+  }
+
+  return decoded;
+};
+
+/**
+ * Generate MFA Challenge Token
+ * Short-lived proof that the password step of a login succeeded. Its jti
+ * is consumed when the login completes, so it is good for one login only.
+ */
+const generateMfaChallengeToken = (user) => {
+  const payload = {
+    id: user.id,
+    type: 'mfa_challenge',
+    tid: getTenantId(),
+  };
+
+  return jwt.sign(payload, config.mfa.challengeSecret, {
+    expiresIn: config.mfa.challengeExpiresIn,
+    issuer: config.auth.issuer,
+    audience: config.auth.audience,
+    jwtid: uuidv4(),
+  });
+};
+
+/**
+ * Verify MFA Challenge Token
+ */
+const verifyMfaChallengeToken = (token) => {
+  const decoded = jwt.verify(token, config.mfa.challengeSecret, {
+    algorithms: ['HS256'],
+    issuer: config.auth.issuer,
+    audience: config.auth.audience,
+  });
+
+  if (decoded.type !== 'mfa_challenge' || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Token is not an MFA challenge token');
+  }
+
+  if (!isCurrentTenant(decoded)) {
+    throw new jwt.JsonWebTokenError('Token was issued for another tenant');
+  }
+
+  return decoded;
 };
 
 module.exports = {
   authenticate,
+  authenticateService,
   optionalAuth,
   authorize,
   adminOnly,
+  requirePermission,
+  requireVerifiedEmail,
+  denyImpersonation,
   selfOrAdmin,
+  requireOrganizationRole,
   apiKeyAuth,
   generateToken,
+  generateImpersonationToken,
+  verifyAccessToken,
   generateRefreshToken,
+  verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
 };
\ No newline at end of file
@@ -72,6 +72,13 @@ const errorHandler = (err, req, res, next) => {
       details = err.message;
       break;
 
+    // A stale If-Match is a failed precondition; other lost races are conflicts
+    case 'VersionConflictError':
+      statusCode = req.get('If-Match') ? 412 : 409;
+      message = statusCode === 412 ? 'Precondition failed' : 'Resource conflict';
+      details = err.message;
+      break;
+
     case 'TooManyRequestsError':
       statusCode = 429;
       message = 'Too many requests';
@@ -155,12 +162,26 @@ class ValidationError extends AppError {
   }
 }
 
+// Carries one { rule, message } entry per failed password policy rule
+class PasswordPolicyError extends ValidationError {
+  constructor(failures) {
+    super('Password does not meet the password policy', failures);
+  }
+}
+
 class UnauthorizedError extends AppError {
   constructor(message = 'Authentication required') {
     super(message, 401, 'UnauthorizedError');
   }
 }
 
+// A refresh token that was already rotated; its family is revoked
+class RefreshTokenReuseError extends UnauthorizedError {
+  constructor() {
+    super('Refresh token has already been used');
+  }
+}
+
 class ForbiddenError extends AppError {
   constructor(message = 'Access forbidden') {
     super(message, 403, 'ForbiddenError');
@@ -179,12 +200,31 @@ class ConflictError extends AppError {
   }
 }
 
+// A write based on an outdated version of an item
+class VersionConflictError extends ConflictError {
+  constructor(expectedVersion, currentVersion) {
+    super('The resource was modified by another request');
+    this.name = 'VersionConflictError';
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
 class TooManyRequestsError extends AppError {
   constructor(message = 'Too many requests') {
     super(message, 429, 'TooManyRequestsError');
   }
 }
 
+// A login refused by the brute-force limiter; retryAfter is in seconds
+class LoginThrottledError extends TooManyRequestsError {
+  constructor(retryAfter, captchaRequired = false) {
+    super('Too many failed login attempts');
+    this.retryAfter = retryAfter;
+    this.captchaRequired = captchaRequired;
+  }
+}
+
 class ServiceUnavailableError extends AppError {
   constructor(message = 'Service temporarily unavailable') {
     super(message, 503, 'ServiceUnavailableError');
@@ -227,10 +267,14 @@ module.exports = {
   // Error classes
   AppError,
   ValidationError,
+  PasswordPolicyError,
   UnauthorizedError,
+  RefreshTokenReuseError,
   ForbiddenError,
   NotFoundError,
   ConflictError,
+  VersionConflictError,
   TooManyRequestsError,
+  LoginThrottledError,
   ServiceUnavailableError,
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { runWithTenant, isValidTenantId } = require('../utils/tenantContext');
+
+/**
+ * Tenant Resolution Middleware
+ * Resolves the tenant of a request and runs the rest of the request inside
+ * its tenant context, so every database call is scoped to it. The tenant is
+ * taken from the host (`<tenant>.<baseDomain>`), the trusted proxy header or
+ * the `tid` claim of the bearer token, in that order, and falls back to the
+ * default tenant.
+ *
+ * The token is only decoded here; its signature, and that its tenant matches
+ * the resolved one, are checked by `authenticate`. A token presented to
+ * another tenant's host is rejected outright.
+ */
+const resolveTenant = (req, res, next) => {
+  const hostTenant = getHostTenant(req) || getHeaderTenant(req);
+  const tokenTenant = getTokenTenant(req);
+
+  if (hostTenant && tokenTenant && hostTenant !== tokenTenant) {
+    logger.warn({ hostTenant, tokenTenant, ip: req.ip }, 'Token presented to another tenant');
+    return res.status(403).json({
+      error: 'Tenant mismatch',
+      message: 'Token was issued for another tenant',
+    });
+  }
+
+  const tenantId = hostTenant || tokenTenant || config.tenancy.defaultTenant;
+  if (!isKnownTenant(tenantId)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Unknown tenant',
+    });
+  }
+
+  req.tenantId = tenantId;
+  runWithTenant(tenantId, next);
+};
+
+const getHostTenant = (req) => {
+  const { baseDomain } = config.tenancy;
+  const host = (req.hostname || '').toLowerCase();
+
+  if (!baseDomain || !host.endsWith(`.${baseDomain}`)) {
+    return null;
+  }
+
+  return host.slice(0, -(baseDomain.length + 1));
+};
+
+const getHeaderTenant = (req) => {
+  const { header } = config.tenancy;
+  const value = header && req.get(header);
+
+  return value ? value.trim().toLowerCase() : null;
+};
+
+const getTokenTenant = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const decoded = jwt.decode(authHeader.substring(7));
+  return decoded && typeof decoded.tid === 'string' ? decoded.tid : null;
+};
+
+const isKnownTenant = (tenantId) => {
+  const { tenants, defaultTenant } = config.tenancy;
+
+  if (tenantId === defaultTenant) {
+    return true;
+  }
+
+  return isValidTenantId(tenantId) && (tenants.length === 0 || tenants.includes(tenantId));
+};
+
+module.exports = {
+  resolveTenant,
+};
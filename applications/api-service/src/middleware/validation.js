@@ -1,6 +1,8 @@
 const Joi = require('joi');
 const { ValidationError } = require('./errorHandler');
 const logger = require('../utils/logger');
+const { PERMISSIONS } = require('../utils/permissions');
+const { checkPassword } = require('../utils/passwordPolicy');
 
 /**
  * Generic validation middleware factory
@@ -20,6 +22,7 @@ const validate = (schema, property = 'body') => {
         field: detail.path.join('.'),
         message: detail.message,
         value: detail.context?.value,
+        ...(detail.context?.failures && { failures: detail.context.failures }),
       }));
 
       logger.warn({
@@ -37,6 +40,18 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Password field checked against the stateless password policy rules
+const passwordField = (label = 'Password') => Joi.string()
+  .custom((value, helpers) => {
+    const failures = checkPassword(value);
+    return failures.length > 0 ? helpers.error('password.policy', { failures }) : value;
+  })
+  .required()
+  .messages({
+    'password.policy': `${label} does not meet the password policy`,
+    'any.required': `${label} is required`,
+  });
+
 /**
  * Common validation schemas
  */
@@ -52,17 +67,7 @@ const schemas = {
         'string.email': 'Please provide a valid email address',
         'any.required': 'Email is required',
       }),
-    password: Joi.string()
-      .min(8)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .required()
-      .messages({
-        'string.min': 'Password must be at least 8 characters long',
-        'string.max': 'Password must not exceed 128 characters',
-        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'Password is required',
-      }),
+    password: passwordField(),
     firstName: Joi.string()
       .min(1)
       .max(50)
@@ -136,17 +141,7 @@ const schemas = {
       .messages({
         'any.required': 'Current password is required',
       }),
-    newPassword: Joi.string()
-      .min(8)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-      .required()
-      .messages({
-        'string.min': 'New password must be at least 8 characters long',
-        'string.max': 'New password must not exceed 128 characters',
-        'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'New password is required',
-      }),
+    newPassword: passwordField('New password'),
   }),
 
   // Parameter schemas
@@ -162,32 +157,23 @@ const schemas = {
 
   // Query schemas
   pagination: Joi.object({
-    page: Joi.number()
-      .integer()
-      .min(1)
-      .default(1)
+    cursor: Joi.string()
+      .max(4096)
+      .optional()
       .messages({
-        'number.base': 'Page must be a number',
-        'number.integer': 'Page must be an integer',
-        'number.min': 'Page must be at least 1',
+        'string.max': 'Cursor is too long',
       }),
     limit: Joi.number()
       .integer()
       .min(1)
       .max(100)
-      .default(10)
+      .default(20)
       .messages({
         'number.base': 'Limit must be a number',
         'number.integer': 'Limit must be an integer',
         'number.min': 'Limit must be at least 1',
         'number.max': 'Limit must not exceed 100',
       }),
-    sort: Joi.string()
-      .valid('name', 'email', 'createdAt', 'updatedAt', '-name', '-email', '-createdAt', '-updatedAt')
-      .default('createdAt')
-      .messages({
-        'any.only': 'Sort must be one of: name, email, createdAt, updatedAt (prefix with - for descending)',
-      }),
     search: Joi.string()
       .min(1)
       .max(100)
@@ -236,16 +222,274 @@ const schemas = {
       .messages({
         'any.required': 'Reset token is required',
       }),
-    password: Joi.string()
-      .min(8)
-      .max(128)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    password: passwordField(),
+  }),
+
+  // MFA schemas
+  mfaCode: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
       .required()
       .messages({
-        'string.min': 'Password must be at least 8 characters long',
-        'string.max': 'Password must not exceed 128 characters',
-        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
-        'any.required': 'Password is required',
+        'string.pattern.base': 'Code must be 6 digits',
+        'any.required': 'Verification code is required',
+      }),
+  }),
+
+  mfaVerification: Joi.object({
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be 6 digits',
+      }),
+    recoveryCode: Joi.string()
+      .max(20)
+      .trim(),
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either a verification code or a recovery code is required',
+      'object.xor': 'Provide either a verification code or a recovery code, not both',
+    }),
+
+  mfaLogin: Joi.object({
+    mfaToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'MFA token is required',
+      }),
+    code: Joi.string()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be 6 digits',
+      }),
+    recoveryCode: Joi.string()
+      .max(20)
+      .trim(),
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either a verification code or a recovery code is required',
+      'object.xor': 'Provide either a verification code or a recovery code, not both',
+    }),
+
+  // Federated sign-in schemas
+  federatedLoginStart: Joi.object({
+    redirectUri: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .optional(),
+  }),
+
+  federatedLoginCallback: Joi.object({
+    code: Joi.string()
+      .max(2048)
+      .required()
+      .messages({
+        'any.required': 'Authorization code is required',
+      }),
+    state: Joi.string()
+      .max(256)
+      .required()
+      .messages({
+        'any.required': 'State is required',
+      }),
+  }),
+
+  // API key schemas
+  apiKeyCreate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Key name is required',
+      }),
+    ownerId: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Key owner is required',
+      }),
+    scopes: Joi.array()
+      .items(Joi.string().pattern(/^[a-z][a-z0-9_-]*(:[a-z0-9_*-]+)*$/))
+      .unique()
+      .default([])
+      .messages({
+        'string.pattern.base': 'Scopes must look like resource:action',
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .greater('now')
+      .optional()
+      .messages({
+        'date.greater': 'Expiry must be in the future',
+      }),
+  }),
+
+  apiKeyRotate: Joi.object({
+    gracePeriodSeconds: Joi.number()
+      .integer()
+      .min(0)
+      .max(604800)
+      .default(0)
+      .messages({
+        'number.max': 'Grace period must not exceed 7 days',
+      }),
+  }),
+
+  // OAuth client schemas
+  oauthClientCreate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Client name is required',
+      }),
+    scopes: Joi.array()
+      .items(Joi.string().pattern(/^[a-z][a-z0-9_-]*(:[a-z0-9_*-]+)*$/))
+      .unique()
+      .min(1)
+      .required()
+      .messages({
+        'string.pattern.base': 'Scopes must look like resource:action',
+        'any.required': 'Allowed scopes are required',
+      }),
+  }),
+
+  // Role schemas
+  roleName: Joi.object({
+    name: Joi.string()
+      .pattern(/^[a-z][a-z0-9_-]{1,49}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Role name must be lowercase letters, digits, dashes or underscores',
+      }),
+  }),
+
+  // Impersonation
+  impersonation: Joi.object({
+    reason: Joi.string()
+      .min(10)
+      .max(500)
+      .trim()
+      .required()
+      .messages({
+        'string.min': 'Reason must be at least 10 characters long',
+        'any.required': 'A reason for impersonation is required',
+      }),
+  }),
+
+  // Organization schemas
+  organization: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Organization name is required',
+      }),
+    description: Joi.string()
+      .max(500)
+      .trim()
+      .optional()
+      .allow(null, ''),
+  }),
+
+  organizationUpdate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim(),
+    description: Joi.string()
+      .max(500)
+      .trim()
+      .allow(null, ''),
+  }).min(1),
+
+  team: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'Team name is required',
+      }),
+    description: Joi.string()
+      .max(500)
+      .trim()
+      .optional()
+      .allow(null, ''),
+  }),
+
+  teamUpdate: Joi.object({
+    name: Joi.string()
+      .min(1)
+      .max(100)
+      .trim(),
+    description: Joi.string()
+      .max(500)
+      .trim()
+      .allow(null, ''),
+  }).min(1),
+
+  memberRole: Joi.object({
+    role: Joi.string()
+      .valid('member', 'admin')
+      .required()
+      .messages({
+        'any.only': 'Role must be member or admin; use an ownership transfer to change the owner',
+      }),
+  }),
+
+  invitation: Joi.object({
+    email: Joi.string()
+      .email()
+      .lowercase()
+      .trim()
+      .required(),
+    role: Joi.string()
+      .valid('member', 'admin')
+      .default('member'),
+  }),
+
+  invitationToken: Joi.object({
+    token: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Invitation token is required',
+      }),
+  }),
+
+  ownershipTransfer: Joi.object({
+    userId: Joi.string()
+      .trim()
+      .required()
+      .messages({
+        'any.required': 'The id of the new owner is required',
+      }),
+  }),
+
+  roleDefinition: Joi.object({
+    description: Joi.string()
+      .max(200)
+      .trim()
+      .optional()
+      .allow(null, ''),
+    permissions: Joi.array()
+      .items(Joi.alternatives().try(
+        Joi.string().valid(...PERMISSIONS),
+        Joi.string().pattern(/^[a-z-]+:\*$/)
+      ))
+      .unique()
+      .required()
+      .messages({
+        'alternatives.match': 'Unknown permission',
+        'any.required': 'Permissions are required',
       }),
   }),
 };
@@ -263,6 +507,36 @@ const validateRefreshToken = validate(schemas.refreshToken, 'body');
 const validateEmailVerification = validate(schemas.emailVerification, 'body');
 const validatePasswordResetRequest = validate(schemas.passwordResetRequest, 'body');
 const validatePasswordReset = validate(schemas.passwordReset, 'body');
+const validateMfaCode = validate(schemas.mfaCode, 'body');
+const validateMfaVerification = validate(schemas.mfaVerification, 'body');
+const validateMfaLogin = validate(schemas.mfaLogin, 'body');
+const validateFederatedLoginStart = validate(schemas.federatedLoginStart, 'body');
+const validateFederatedLoginCallback = validate(schemas.federatedLoginCallback, 'body');
+const validateApiKeyCreate = validate(schemas.apiKeyCreate, 'body');
+const validateApiKeyRotate = validate(schemas.apiKeyRotate, 'body');
+const validateUserList = validate(schemas.pagination.keys({
+  role: Joi.string().min(1).max(50).trim().optional(),
+  isActive: Joi.boolean().optional(),
+  scan: Joi.boolean().default(false), // read the whole table instead of an index
+}), 'query');
+const validateUserSearch = validate(schemas.pagination.keys({
+  q: Joi.string().min(2).max(100).trim().required(),
+}), 'query');
+const validateApiKeyList = validate(schemas.pagination.keys({
+  ownerId: Joi.string().min(1).max(100).trim().optional(),
+}), 'query');
+const validateOAuthClientCreate = validate(schemas.oauthClientCreate, 'body');
+const validateRoleName = validate(schemas.roleName, 'params');
+const validateRoleDefinition = validate(schemas.roleDefinition, 'body');
+const validateImpersonation = validate(schemas.impersonation, 'body');
+const validateOrganization = validate(schemas.organization, 'body');
+const validateOrganizationUpdate = validate(schemas.organizationUpdate, 'body');
+const validateTeam = validate(schemas.team, 'body');
+const validateTeamUpdate = validate(schemas.teamUpdate, 'body');
+const validateMemberRole = validate(schemas.memberRole, 'body');
+const validateInvitation = validate(schemas.invitation, 'body');
+const validateInvitationToken = validate(schemas.invitationToken, 'body');
+const validateOwnershipTransfer = validate(schemas.ownershipTransfer, 'body');
 
 /**
  * Custom validation functions
@@ -313,6 +587,28 @@ module.exports = {
   validateEmailVerification,
   validatePasswordResetRequest,
   validatePasswordReset,
+  validateMfaCode,
+  validateMfaVerification,
+  validateMfaLogin,
+  validateFederatedLoginStart,
+  validateFederatedLoginCallback,
+  validateApiKeyCreate,
+  validateApiKeyRotate,
+  validateApiKeyList,
+  validateUserList,
+  validateUserSearch,
+  validateOAuthClientCreate,
+  validateRoleName,
+  validateRoleDefinition,
+  validateImpersonation,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateTeam,
+  validateTeamUpdate,
+  validateMemberRole,
+  validateInvitation,
+  validateInvitationToken,
+  validateOwnershipTransfer,
   // Custom validators
   validateUnique,
 };
\ No newline at end of file
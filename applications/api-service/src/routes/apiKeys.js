@@ -0,0 +1,146 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const authMiddleware = require('../middleware/auth');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { validateApiKeyCreate, validateApiKeyRotate, validateApiKeyList } = require('../middleware/validation');
+const ApiKeyDatabase = require('../db/apiKeys');
+const { getPagination } = require('../utils/pagination');
+
+const router = express.Router();
+const apiKeyDb = new ApiKeyDatabase();
+
+router.use(authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('api-keys:manage'));
+
+// Create API key
+router.post('/', authMiddleware.requireVerifiedEmail, validateApiKeyCreate, async (req, res) => {
+  try {
+    const { name, ownerId, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await apiKeyDb.createKey({
+      name,
+      ownerId,
+      scopes,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      createdBy: req.user.id,
+    });
+
+    recordMetric('api_key_created', 1);
+    logger.info({ keyId: apiKey.id, ownerId, adminId: req.user.id }, 'API key created by admin');
+
+    // The plaintext key is only ever returned here
+    res.status(201).json({
+      message: 'API key created successfully',
+      key,
+      apiKey,
+    });
+
+  } catch (error) {
+    recordMetric('api_key_create_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error creating API key');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create API key',
+    });
+  }
+});
+
+// List API keys
+router.get('/', validateApiKeyList, async (req, res, next) => {
+  try {
+    const { ownerId, cursor, limit } = req.query;
+
+    const result = await apiKeyDb.listKeys({
+      ownerId: ownerId || null,
+      limit,
+      cursor,
+    });
+
+    res.json({
+      apiKeys: result.items,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    recordMetric('api_key_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error listing API keys');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list API keys',
+    });
+  }
+});
+
+// Rotate API key
+router.post('/:id/rotate', validateApiKeyRotate, async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyDb.rotateKey(req.params.id, {
+      gracePeriodSeconds: req.body.gracePeriodSeconds,
+      rotatedBy: req.user.id,
+    });
+
+    recordMetric('api_key_rotated', 1);
+    logger.info({ keyId: req.params.id, newKeyId: apiKey.id, adminId: req.user.id }, 'API key rotated by admin');
+
+    res.status(201).json({
+      message: 'API key rotated successfully',
+      key,
+      apiKey,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('api_key_rotate_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error rotating API key');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to rotate API key',
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await apiKeyDb.revokeKey(req.params.id, { revokedBy: req.user.id });
+
+    recordMetric('api_key_revoked', 1);
+    logger.info({ keyId: req.params.id, adminId: req.user.id }, 'API key revoked by admin');
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'API key not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('api_key_revoke_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error revoking API key');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke API key',
+    });
+  }
+});
+
+module.exports = router;
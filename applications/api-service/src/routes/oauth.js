@@ -0,0 +1,109 @@
+const express = require('express');
+const ms = require('ms');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const authMiddleware = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const OAuthClientDatabase = require('../db/oauthClients');
+
+const router = express.Router();
+const oauthClientDb = new OAuthClientDatabase();
+
+// Errors use the OAuth2 format (RFC 6749, section 5.2) so standard client libraries understand them
+const sendOAuthError = (res, status, error, description) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+
+  return res.status(status).json({
+    error,
+    error_description: description,
+  });
+};
+
+// Client credentials from HTTP Basic auth (client_secret_basic) or the body (client_secret_post)
+const getClientCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return {};
+    }
+
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return {
+    clientId: req.body.client_id,
+    clientSecret: req.body.client_secret,
+  };
+};
+
+// Token endpoint, client credentials grant only
+router.post('/token', async (req, res) => {
+  try {
+    const { grant_type: grantType, scope } = req.body;
+
+    if (!grantType) {
+      return sendOAuthError(res, 400, 'invalid_request', 'grant_type is required');
+    }
+
+    if (grantType !== 'client_credentials') {
+      return sendOAuthError(res, 400, 'unsupported_grant_type', 'Only the client_credentials grant is supported');
+    }
+
+    const { clientId, clientSecret } = getClientCredentials(req);
+    const client = await oauthClientDb.verifyClient(clientId, clientSecret);
+
+    if (!client) {
+      recordMetric('oauth_token_invalid_client', 1);
+      logger.warn({ clientId, ip: req.ip }, 'OAuth client authentication failed');
+      return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    // Without a scope parameter the client gets every scope it is allowed
+    const requestedScopes = typeof scope === 'string' ? scope.split(' ').filter(Boolean) : [];
+    const scopes = requestedScopes.length > 0 ? [...new Set(requestedScopes)] : client.scopes;
+
+    const deniedScopes = scopes.filter(requested => !hasPermission(client.scopes, requested));
+    if (deniedScopes.length > 0) {
+      recordMetric('oauth_token_invalid_scope', 1);
+      return sendOAuthError(res, 400, 'invalid_scope', `Scopes not allowed for this client: ${deniedScopes.join(' ')}`);
+    }
+
+    const accessToken = authMiddleware.generateToken(client, { clientCredentials: true, scopes });
+
+    oauthClientDb.touchLastUsed(client.id);
+
+    recordMetric('oauth_token_issued', 1);
+    logger.info({ clientId: client.id, scopes }, 'OAuth client token issued');
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: Math.floor(ms(config.oauth.tokenExpiresIn) / 1000),
+      scope: scopes.join(' '),
+    });
+
+  } catch (error) {
+    recordMetric('oauth_token_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error issuing OAuth token');
+
+    sendOAuthError(res, 500, 'server_error', 'Failed to issue token');
+  }
+});
+
+module.exports = router;
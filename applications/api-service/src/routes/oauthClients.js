@@ -0,0 +1,142 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const authMiddleware = require('../middleware/auth');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { validateOAuthClientCreate, validatePagination } = require('../middleware/validation');
+const OAuthClientDatabase = require('../db/oauthClients');
+const RevocationDatabase = require('../db/revocations');
+const { getPagination } = require('../utils/pagination');
+
+const router = express.Router();
+const oauthClientDb = new OAuthClientDatabase();
+const revocationDb = new RevocationDatabase();
+
+router.use(authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('oauth-clients:manage'));
+
+// Register OAuth client
+router.post('/', authMiddleware.requireVerifiedEmail, validateOAuthClientCreate, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const { client, clientSecret } = await oauthClientDb.createClient({
+      name,
+      scopes,
+      createdBy: req.user.id,
+    });
+
+    recordMetric('oauth_client_created', 1);
+    logger.info({ clientId: client.id, adminId: req.user.id }, 'OAuth client created by admin');
+
+    // The plaintext secret is only ever returned here and on rotation
+    res.status(201).json({
+      message: 'OAuth client created successfully',
+      clientId: client.id,
+      clientSecret,
+      client,
+    });
+
+  } catch (error) {
+    recordMetric('oauth_client_create_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error creating OAuth client');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create OAuth client',
+    });
+  }
+});
+
+// List OAuth clients
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const result = await oauthClientDb.listClients({ limit, cursor });
+
+    res.json({
+      clients: result.items,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    recordMetric('oauth_client_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error listing OAuth clients');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list OAuth clients',
+    });
+  }
+});
+
+// Rotate OAuth client secret
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const { client, clientSecret } = await oauthClientDb.rotateSecret(req.params.id, { rotatedBy: req.user.id });
+
+    recordMetric('oauth_client_rotated', 1);
+    logger.info({ clientId: req.params.id, adminId: req.user.id }, 'OAuth client secret rotated by admin');
+
+    res.json({
+      message: 'OAuth client secret rotated successfully',
+      clientId: client.id,
+      clientSecret,
+      client,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'OAuth client not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('oauth_client_rotate_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error rotating OAuth client secret');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to rotate OAuth client secret',
+    });
+  }
+});
+
+// Revoke OAuth client and every token issued to it
+router.delete('/:id', async (req, res) => {
+  try {
+    const client = await oauthClientDb.revokeClient(req.params.id, { revokedBy: req.user.id });
+    await revocationDb.revokeAllForClient(req.params.id);
+
+    recordMetric('oauth_client_revoked', 1);
+    logger.info({ clientId: req.params.id, adminId: req.user.id }, 'OAuth client revoked by admin');
+
+    res.json({
+      message: 'OAuth client revoked successfully',
+      client,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'OAuth client not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('oauth_client_revoke_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error revoking OAuth client');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to revoke OAuth client',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,509 @@
+const express = require('express');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const { sendMail } = require('../utils/mailer');
+const authMiddleware = require('../middleware/auth');
+const {
+  NotFoundError,
+  ConflictError,
+  ValidationError,
+} = require('../middleware/errorHandler');
+const {
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateTeam,
+  validateTeamUpdate,
+  validateMemberRole,
+  validateInvitation,
+  validateInvitationToken,
+  validateOwnershipTransfer,
+  validatePagination,
+} = require('../middleware/validation');
+const OrganizationDatabase = require('../db/organizations');
+const MembershipDatabase = require('../db/memberships');
+const TeamDatabase = require('../db/teams');
+const InvitationDatabase = require('../db/invitations');
+const AuditLogDatabase = require('../db/auditLog');
+const { getPagination } = require('../utils/pagination');
+
+const router = express.Router();
+const organizationDb = new OrganizationDatabase();
+const membershipDb = new MembershipDatabase();
+const teamDb = new TeamDatabase();
+const invitationDb = new InvitationDatabase();
+const auditDb = new AuditLogDatabase();
+
+const { requireOrganizationRole } = authMiddleware;
+
+router.use(authMiddleware.authenticate);
+
+// Map the known errors of the organization databases to responses
+const handleError = (res, error, { metric, message }) => {
+  if (error instanceof NotFoundError) {
+    return res.status(404).json({ error: 'Not found', message: error.message });
+  }
+
+  if (error instanceof ConflictError) {
+    return res.status(409).json({ error: 'Conflict', message: error.message });
+  }
+
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: 'Invalid request', message: error.message });
+  }
+
+  recordMetric(metric, 1);
+  logger.error({ error: error.message, stack: error.stack }, `Error: ${message}`);
+
+  return res.status(500).json({
+    error: 'Internal server error',
+    message: `Failed to ${message}`,
+  });
+};
+
+// Only owners, and callers with organizations:manage, may hand out the admin role
+const canGrantRole = (req, role) => {
+  return role !== 'admin' || !req.membership || membershipDb.hasRole(req.membership, 'owner');
+};
+
+// Email an invitation link
+const sendInvitation = async (organization, invitation, token) => {
+  const link = new URL(config.organizations.invitationUrl);
+  link.searchParams.set('token', token);
+
+  await sendMail({
+    to: invitation.email,
+    subject: `You have been invited to join ${organization.name}`,
+    text: [
+      `You have been invited to join ${organization.name} as ${invitation.role === 'admin' ? 'an admin' : 'a member'}.`,
+      `Use the link below within ${config.organizations.invitationExpiresIn} to accept or decline:`,
+      '',
+      link.toString(),
+      '',
+      'If you were not expecting this invitation, you can ignore this email.',
+    ].join('\n'),
+  });
+};
+
+// Accept an invitation addressed to the caller's email
+router.post('/invitations/accept', authMiddleware.denyImpersonation, authMiddleware.requireVerifiedEmail, validateInvitationToken, async (req, res) => {
+  try {
+    const invitation = await invitationDb.respond(req.body.token, req.user.email, 'accepted');
+
+    const organization = await organizationDb.getOrganization(invitation.organizationId);
+    if (!organization) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    const membership = await membershipDb.addMember(organization.id, req.user.id, {
+      role: invitation.role,
+      addedBy: invitation.invitedBy,
+    });
+
+    recordMetric('organization_invitation_accepted', 1);
+    logger.info({ organizationId: organization.id, userId: req.user.id }, 'Organization invitation accepted');
+
+    res.json({
+      message: 'Invitation accepted',
+      organization,
+      membership,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_invitation_accept_error', message: 'accept invitation' });
+  }
+});
+
+// Decline an invitation addressed to the caller's email
+router.post('/invitations/decline', authMiddleware.denyImpersonation, validateInvitationToken, async (req, res) => {
+  try {
+    await invitationDb.respond(req.body.token, req.user.email, 'declined');
+
+    recordMetric('organization_invitation_declined', 1);
+
+    res.json({
+      message: 'Invitation declined',
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_invitation_decline_error', message: 'decline invitation' });
+  }
+});
+
+// Create an organization owned by the caller
+router.post('/', authMiddleware.denyImpersonation, authMiddleware.requireVerifiedEmail, validateOrganization, async (req, res) => {
+  try {
+    const organization = await organizationDb.createOrganization({
+      ...req.body,
+      ownerId: req.user.id,
+    });
+
+    recordMetric('organization_created', 1);
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_create_error', message: 'create organization' });
+  }
+});
+
+// List the caller's organizations
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const result = await membershipDb.listForUser(req.user.id, { limit, cursor });
+    const organizations = await Promise.all(result.items.map(async (membership) => {
+      const organization = await organizationDb.getOrganization(membership.organizationId);
+      return organization && { ...organization, role: membership.role };
+    }));
+
+    res.json({
+      organizations: organizations.filter(Boolean),
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_list_error', message: 'list organizations' });
+  }
+});
+
+// Get an organization
+router.get('/:orgId', requireOrganizationRole('member'), async (req, res) => {
+  try {
+    const organization = await organizationDb.getOrganization(req.params.orgId);
+    if (!organization) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    res.json({
+      organization,
+      role: req.membership ? req.membership.role : null,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_get_error', message: 'get organization' });
+  }
+});
+
+// Update an organization
+router.patch('/:orgId', requireOrganizationRole('admin'), validateOrganizationUpdate, async (req, res) => {
+  try {
+    const organization = await organizationDb.updateOrganization(req.params.orgId, req.body);
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_update_error', message: 'update organization' });
+  }
+});
+
+// Delete an organization with its members and teams
+router.delete('/:orgId', authMiddleware.denyImpersonation, requireOrganizationRole('owner'), async (req, res) => {
+  try {
+    await organizationDb.deleteOrganization(req.params.orgId);
+
+    await auditDb.record('organization.deleted', {
+      actorId: req.user.id,
+      subjectId: req.params.orgId,
+      details: { ip: req.ip },
+    });
+
+    recordMetric('organization_deleted', 1);
+
+    res.json({
+      message: 'Organization deleted successfully',
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_delete_error', message: 'delete organization' });
+  }
+});
+
+// Hand the organization over to another member
+router.post('/:orgId/transfer-ownership', authMiddleware.denyImpersonation, requireOrganizationRole('owner'), validateOwnershipTransfer, async (req, res) => {
+  try {
+    const organization = await organizationDb.transferOwnership(req.params.orgId, req.body.userId);
+
+    await auditDb.record('organization.ownership_transferred', {
+      actorId: req.user.id,
+      subjectId: req.params.orgId,
+      details: { newOwnerId: req.body.userId, ip: req.ip },
+    });
+
+    recordMetric('organization_ownership_transferred', 1);
+
+    res.json({
+      message: 'Ownership transferred successfully',
+      organization,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_transfer_error', message: 'transfer ownership' });
+  }
+});
+
+// List members
+router.get('/:orgId/members', requireOrganizationRole('member'), validatePagination, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const result = await membershipDb.listMembers(req.params.orgId, { limit, cursor });
+
+    res.json({
+      members: result.items,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_member_list_error', message: 'list members' });
+  }
+});
+
+// Change a member's role
+router.patch('/:orgId/members/:userId', requireOrganizationRole('owner'), validateMemberRole, async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+
+    const membership = await membershipDb.getMembership(orgId, userId);
+    if (!membership) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (membership.role === 'owner') {
+      throw new ConflictError('The owner\'s role can only change through an ownership transfer');
+    }
+
+    const updated = await membershipDb.setRole(orgId, userId, req.body.role);
+
+    res.json({
+      message: 'Member role updated successfully',
+      membership: updated,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_member_update_error', message: 'update member' });
+  }
+});
+
+// Remove a member, or leave the organization
+router.delete('/:orgId/members/:userId', requireOrganizationRole('member'), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    const isSelf = userId === req.user.id;
+
+    const membership = await membershipDb.getMembership(orgId, userId);
+    if (!membership) {
+      throw new NotFoundError('Member not found');
+    }
+
+    if (membership.role === 'owner') {
+      throw new ConflictError('The owner cannot leave or be removed; transfer ownership first');
+    }
+
+    // Admins remove members; removing an admin takes the owner
+    const requiredRole = membership.role === 'admin' ? 'owner' : 'admin';
+    if (!isSelf && req.membership && !membershipDb.hasRole(req.membership, requiredRole)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `Required organization role: ${requiredRole}`,
+      });
+    }
+
+    await membershipDb.removeMember(orgId, userId);
+    await teamDb.removeMemberFromAll(orgId, userId);
+
+    recordMetric('organization_member_removed', 1);
+    logger.info({ organizationId: orgId, userId, removedBy: req.user.id }, 'Organization member removed');
+
+    res.json({
+      message: isSelf ? 'You left the organization' : 'Member removed successfully',
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_member_remove_error', message: 'remove member' });
+  }
+});
+
+// List teams
+router.get('/:orgId/teams', requireOrganizationRole('member'), validatePagination, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const result = await teamDb.listTeams(req.params.orgId, { limit, cursor });
+
+    res.json({
+      teams: result.items,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_list_error', message: 'list teams' });
+  }
+});
+
+// Create a team
+router.post('/:orgId/teams', requireOrganizationRole('admin'), validateTeam, async (req, res) => {
+  try {
+    const team = await teamDb.createTeam(req.params.orgId, {
+      ...req.body,
+      createdBy: req.user.id,
+    });
+
+    recordMetric('team_created', 1);
+
+    res.status(201).json({
+      message: 'Team created successfully',
+      team,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_create_error', message: 'create team' });
+  }
+});
+
+// Update a team
+router.patch('/:orgId/teams/:teamId', requireOrganizationRole('admin'), validateTeamUpdate, async (req, res) => {
+  try {
+    const team = await teamDb.updateTeam(req.params.orgId, req.params.teamId, req.body);
+
+    res.json({
+      message: 'Team updated successfully',
+      team,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_update_error', message: 'update team' });
+  }
+});
+
+// Delete a team
+router.delete('/:orgId/teams/:teamId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    await teamDb.deleteTeam(req.params.orgId, req.params.teamId);
+
+    recordMetric('team_deleted', 1);
+
+    res.json({
+      message: 'Team deleted successfully',
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_delete_error', message: 'delete team' });
+  }
+});
+
+// Add an organization member to a team
+router.put('/:orgId/teams/:teamId/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const { orgId, teamId, userId } = req.params;
+
+    const membership = await membershipDb.getMembership(orgId, userId);
+    if (!membership) {
+      throw new ValidationError('Only members of the organization can join its teams');
+    }
+
+    const team = await teamDb.addMember(orgId, teamId, userId);
+
+    res.json({
+      message: 'Team member added successfully',
+      team,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_member_add_error', message: 'add team member' });
+  }
+});
+
+// Remove a member from a team
+router.delete('/:orgId/teams/:teamId/members/:userId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    const { orgId, teamId, userId } = req.params;
+
+    const team = await teamDb.removeMember(orgId, teamId, userId);
+
+    res.json({
+      message: 'Team member removed successfully',
+      team,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'team_member_remove_error', message: 'remove team member' });
+  }
+});
+
+// List pending invitations
+router.get('/:orgId/invitations', requireOrganizationRole('admin'), validatePagination, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+
+    const result = await invitationDb.listPending(req.params.orgId, { limit, cursor });
+
+    res.json({
+      invitations: result.items,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_invitation_list_error', message: 'list invitations' });
+  }
+});
+
+// Invite someone by email
+router.post('/:orgId/invitations', authMiddleware.denyImpersonation, requireOrganizationRole('admin'), validateInvitation, async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!canGrantRole(req, role)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only the owner can invite admins',
+      });
+    }
+
+    const organization = await organizationDb.getOrganization(req.params.orgId);
+    if (!organization) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    const { invitation, token } = await invitationDb.createInvitation(organization.id, {
+      email,
+      role,
+      invitedBy: req.user.id,
+    });
+
+    await sendInvitation(organization, invitation, token);
+
+    recordMetric('organization_invitation_sent', 1);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invitation,
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_invitation_create_error', message: 'send invitation' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:orgId/invitations/:invitationId', requireOrganizationRole('admin'), async (req, res) => {
+  try {
+    await invitationDb.revokeInvitation(req.params.orgId, req.params.invitationId, { revokedBy: req.user.id });
+
+    res.json({
+      message: 'Invitation revoked successfully',
+    });
+
+  } catch (error) {
+    handleError(res, error, { metric: 'organization_invitation_revoke_error', message: 'revoke invitation' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const permissions = require('../utils/permissions');
+const authMiddleware = require('../middleware/auth');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { validateRoleName, validateRoleDefinition } = require('../middleware/validation');
+const RoleDatabase = require('../db/roles');
+
+const router = express.Router();
+const roleDb = new RoleDatabase();
+
+router.use(authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('roles:manage'));
+
+// List roles and the permission catalog
+router.get('/', async (req, res) => {
+  try {
+    await permissions.loadRoles();
+
+    res.json({
+      roles: permissions.getRoles(),
+      permissions: permissions.PERMISSIONS,
+    });
+
+  } catch (error) {
+    recordMetric('role_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error listing roles');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list roles',
+    });
+  }
+});
+
+// Create or replace a role
+router.put('/:name', validateRoleName, validateRoleDefinition, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (permissions.BUILT_IN_ROLES[name]) {
+      return res.status(403).json({
+        error: 'Built-in role',
+        message: 'Built-in roles cannot be modified',
+      });
+    }
+
+    const role = await roleDb.saveRole(name, req.body, req.user.id);
+    permissions.setRole(name, role);
+
+    recordMetric('role_saved', 1);
+    logger.info({ role: name, adminId: req.user.id }, 'Role saved by admin');
+
+    res.json({
+      message: 'Role saved successfully',
+      role,
+    });
+
+  } catch (error) {
+    recordMetric('role_save_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error saving role');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to save role',
+    });
+  }
+});
+
+// Delete a role
+router.delete('/:name', validateRoleName, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (permissions.BUILT_IN_ROLES[name]) {
+      return res.status(403).json({
+        error: 'Built-in role',
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    await roleDb.deleteRole(name);
+    permissions.removeRole(name);
+
+    recordMetric('role_deleted', 1);
+    logger.info({ role: name, adminId: req.user.id }, 'Role deleted by admin');
+
+    res.json({
+      message: 'Role deleted successfully',
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'Role not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('role_delete_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error deleting role');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete role',
+    });
+  }
+});
+
+module.exports = router;
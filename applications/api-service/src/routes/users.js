@@ -1,21 +1,279 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const ms = require('ms');
 const config = require('../config');
-const db = require('../db');
 const logger = require('../utils/logger');
 const { recordMetric } = require('../utils/metrics');
 const authMiddleware = require('../middleware/auth');
-const cache = require('../utils/cache');
+const {
+  UnauthorizedError,
+  RefreshTokenReuseError,
+  ConflictError,
+  ValidationError,
+  NotFoundError,
+  PasswordPolicyError,
+  VersionConflictError,
+} = require('../middleware/errorHandler');
+const {
+  validateRefreshToken,
+  validateMfaCode,
+  validateMfaVerification,
+  validateMfaLogin,
+  validateFederatedLoginStart,
+  validateFederatedLoginCallback,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateImpersonation,
+  validateUserList,
+  validateUserSearch,
+} = require('../middleware/validation');
+const UserDatabase = require('../db/users');
+const RefreshTokenDatabase = require('../db/refreshTokens');
+const RevocationDatabase = require('../db/revocations');
+const PasswordResetDatabase = require('../db/passwordResets');
+const EmailVerificationDatabase = require('../db/emailVerifications');
+const SessionDatabase = require('../db/sessions');
+const LoginAttemptDatabase = require('../db/loginAttempts');
+const FederationStateDatabase = require('../db/federationStates');
+const FederatedIdentityDatabase = require('../db/federatedIdentities');
+const AuditLogDatabase = require('../db/auditLog');
+const { sendMail } = require('../utils/mailer');
+const oidc = require('../utils/oidc');
+const { getETag, getExpectedVersion, isNotModified } = require('../utils/etag');
+const { getPagination } = require('../utils/pagination');
+const { verifyPassword } = require('../utils/passwords');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
 
 const router = express.Router();
+const userDb = new UserDatabase();
+const refreshTokenDb = new RefreshTokenDatabase();
+const revocationDb = new RevocationDatabase();
+const passwordResetDb = new PasswordResetDatabase();
+const emailVerificationDb = new EmailVerificationDatabase();
+const sessionDb = new SessionDatabase();
+const loginAttemptDb = new LoginAttemptDatabase();
+const federationStateDb = new FederationStateDatabase();
+const federatedIdentityDb = new FederatedIdentityDatabase();
+const auditDb = new AuditLogDatabase();
+
+// User attributes a response may show; credentials, MFA secrets, lockout state and metadata stay internal
+const USER_RESPONSE_FIELDS = [
+  'id',
+  'email',
+  'firstName',
+  'lastName',
+  'phone',
+  'bio',
+  'roles',
+  'isActive',
+  'emailVerified',
+  'profilePicture',
+  'preferences',
+  'lastLoginAt',
+  'deactivatedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+const toUserResponse = (user) => ({
+  ...Object.fromEntries(USER_RESPONSE_FIELDS.filter(field => user[field] !== undefined).map(field => [field, user[field]])),
+  mfaEnabled: !!(user.mfa && user.mfa.enabled),
+});
+
+// Start a refresh token family and its session, and issue the token pair for a completed login
+const issueLoginTokens = async (user, req) => {
+  const metadata = {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  };
+
+  const family = await refreshTokenDb.createFamily(user.id, metadata);
+  await sessionDb.createSession(family.familyId, user.id, metadata);
+
+  return {
+    token: authMiddleware.generateToken(user, family),
+    refreshToken: authMiddleware.generateRefreshToken(user, family),
+  };
+};
+
+// Answer 429 while the failed login limiter has locked the login
+const rejectThrottled = (res, throttle) => {
+  recordMetric('user_login_throttled', 1);
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    error: 'Too many login attempts',
+    message: `Too many failed login attempts. Try again in ${throttle.retryAfter} seconds.`,
+    retryAfter: throttle.retryAfter,
+    captchaRequired: throttle.captchaRequired,
+  });
+};
+
+// Count a failed login and answer 401, asking for a CAPTCHA once the account draws repeated failures
+const rejectCredentials = async (req, res) => {
+  const throttle = await loginAttemptDb.recordFailure(req.body.email, req.ip);
+
+  recordMetric('user_login_invalid_credentials', 1);
+  return res.status(401).json({
+    error: 'Invalid credentials',
+    message: 'Email or password is incorrect',
+    captchaRequired: throttle.captchaRequired,
+  });
+};
+
+// Store a pending authorization request and build the provider URL that completes it
+const startFederation = async (provider, redirectUri, { linkUserId = null } = {}) => {
+  const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+  const nonce = uuidv4();
+  const state = await federationStateDb.createState({ providerId: provider.id, codeVerifier, nonce, redirectUri, linkUserId });
+  const authorizationUrl = await oidc.buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeChallenge });
+
+  return { authorizationUrl, state };
+};
+
+// Exchange the code the provider sent to the redirect URI for the verified ID token claims
+const completeFederation = async (provider, { code, state }, { linkUserId = null } = {}) => {
+  const pending = await federationStateDb.consumeState(state, provider.id, { linkUserId });
+
+  try {
+    const providerTokens = await oidc.exchangeCode(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      redirectUri: pending.redirectUri,
+    });
+    return await oidc.verifyIdToken(provider, providerTokens.id_token, { nonce: pending.nonce });
+  } catch (error) {
+    logger.warn({ error: error.message, providerId: provider.id }, 'Identity provider sign-in rejected');
+    throw new UnauthorizedError('Sign-in with the identity provider failed');
+  }
+};
+
+// Find the user for a verified ID token: the linked user, else a new account when the
+// provider allows just-in-time provisioning. An existing account with the same email is
+// never linked here; its owner links the provider after signing in (POST /me/identities).
+const resolveFederatedUser = async (provider, claims, req) => {
+  const identity = await federatedIdentityDb.findIdentity(provider.id, claims.sub);
+  if (identity) {
+    await federatedIdentityDb.touchIdentity(identity.id);
+    return userDb.findById(identity.userId, false);
+  }
+
+  const profile = provider.mapClaims(claims);
+  if (!profile.email || !profile.emailVerified) {
+    throw new UnauthorizedError('The identity provider did not supply a verified email address');
+  }
+
+  const domain = profile.email.split('@').pop().toLowerCase();
+  if (provider.allowedDomains.length > 0 && !provider.allowedDomains.includes(domain)) {
+    throw new UnauthorizedError('Email domain is not allowed for this identity provider');
+  }
+
+  if (await userDb.findByEmail(profile.email)) {
+    recordMetric('user_federated_link_required', 1);
+    throw new UnauthorizedError('An account with this email already exists. Sign in to it and link the identity provider from your account.');
+  }
+
+  if (!provider.jitProvisioning) {
+    throw new UnauthorizedError('No account exists for this identity');
+  }
+
+  const user = await userDb.createUser({
+    ...profile,
+    federated: true,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+  recordMetric('user_federated_provisioned', 1);
+
+  await federatedIdentityDb.linkIdentity(provider.id, claims.sub, user.id, { email: profile.email });
+
+  return user;
+};
+
+// End a session: no further refreshes, and its access tokens are rejected in every region
+const endSession = async (sessionId, userId, { reason, terminatedBy = null }) => {
+  const session = await sessionDb.terminateSession(sessionId, userId, { reason, terminatedBy });
+
+  await Promise.all([
+    refreshTokenDb.revokeFamily(sessionId, reason),
+    revocationDb.revokeSession(sessionId, { userId, reason }),
+  ]);
+
+  return session;
+};
+
+// Email a reset link if an active account exists for the address
+const sendPasswordResetLink = async (email, metadata) => {
+  const user = await userDb.findByEmail(email);
+  if (!user || !user.isActive) {
+    recordMetric('password_reset_unknown_email', 1);
+    return;
+  }
+
+  const token = await passwordResetDb.createToken(user.id, metadata);
+  const link = new URL(config.passwordReset.url);
+  link.searchParams.set('token', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      'We received a request to reset the password for your account.',
+      `Use the link below within ${config.passwordReset.expiresIn} to choose a new password:`,
+      '',
+      link.toString(),
+      '',
+      'If you did not request this, you can ignore this email.',
+    ].join('\n'),
+  });
+
+  recordMetric('password_reset_requested', 1);
+  logger.info({ userId: user.id }, 'Password reset link sent');
+};
+
+// Email a verification link for the user's current address
+const sendVerificationLink = async (user) => {
+  const token = await emailVerificationDb.createToken(user.id, user.email);
+  const link = new URL(config.emailVerification.url);
+  link.searchParams.set('token', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      'Please confirm that this is your email address.',
+      `Use the link below within ${config.emailVerification.expiresIn}:`,
+      '',
+      link.toString(),
+      '',
+      'If you did not create an account or change your email, you can ignore this email.',
+    ].join('\n'),
+  });
+
+  recordMetric('email_verification_sent', 1);
+  logger.info({ userId: user.id }, 'Email verification link sent');
+};
+
+// Sending must not fail the request that triggered it
+const sendVerificationLinkInBackground = (user) => {
+  sendVerificationLink(user).catch((error) => {
+    recordMetric('email_verification_send_error', 1);
+    logger.error({ error: error.message, stack: error.stack, userId: user.id }, 'Error sending email verification link');
+  });
+};
+
+// The first word of a full name is the first name, the rest the last name
+function splitName(name) {
+  const [firstName, ...lastNames] = name.split(/\s+/);
+
+  return { firstName, lastName: lastNames.join(' ') };
+}
 
 // Validation schemas
 const createUserValidation = [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }).matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/),
+  body('password').isString(),
   body('name').isLength({ min: 2, max: 50 }).trim(),
 ];
 
@@ -26,6 +284,8 @@ const loginValidation = [
 
 const updateUserValidation = [
   body('name').optional().isLength({ min: 2, max: 50 }).trim(),
+  body('firstName').optional().isLength({ min: 1, max: 50 }).trim(),
+  body('lastName').optional().isLength({ max: 50 }).trim(),
   body('email').optional().isEmail().normalizeEmail(),
 ];
 
@@ -43,47 +303,44 @@ router.post('/', createUserValidation, async (req, res) => {
     }
 
     const { email, password, name } = req.body;
-    const userId = uuidv4();
-
-    // Check if user already exists
-    const existingUser = await db.getUserByEmail(email);
-    if (existingUser) {
-      recordMetric('user_creation_duplicate_email', 1);
-      return res.status(409).json({
-        error: 'User already exists',
-        message: 'A user with this email already exists',
-      });
-    }
 
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create user
-    const userData = {
-      id: userId,
+    // Checks the password policy, and claims the email in the same transaction as the user
+    const user = await userDb.createUser({
       email,
-      name,
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      isActive: true,
-    };
-
-    await db.createUser(userData);
+      password,
+      ...splitName(name),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
 
-    // Remove password from response
-    const { password: _, ...userResponse } = userData;
+    sendVerificationLinkInBackground(user);
 
     recordMetric('user_created', 1);
-    logger.info({ userId, email }, 'User created successfully');
+    logger.info({ userId: user.id, email }, 'User created successfully');
 
     res.status(201).json({
       message: 'User created successfully',
-      user: userResponse,
+      user: toUserResponse(user),
     });
 
   } catch (error) {
+    if (error instanceof ConflictError) {
+      recordMetric('user_creation_duplicate_email', 1);
+      return res.status(409).json({
+        error: 'User already exists',
+        message: 'A user with this email already exists',
+      });
+    }
+
+    if (error instanceof PasswordPolicyError) {
+      recordMetric('user_creation_weak_password', 1);
+      return res.status(400).json({
+        error: 'Password policy not met',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
     recordMetric('user_creation_error', 1);
     logger.error({ error: error.message, stack: error.stack }, 'Error creating user');
     
@@ -109,14 +366,16 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Refuse locked logins before looking at the password, for unknown emails too
+    const throttle = await loginAttemptDb.getStatus(email, req.ip);
+    if (throttle.locked) {
+      return rejectThrottled(res, throttle);
+    }
+
     // Get user by email
-    const user = await db.getUserByEmail(email);
+    const user = await userDb.findByEmail(email, true);
     if (!user) {
-      recordMetric('user_login_invalid_credentials', 1);
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect',
-      });
+      return rejectCredentials(req, res);
     }
 
     // Check if user is active
@@ -129,31 +388,31 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 
     // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = await verifyPassword(password, user.password);
     if (!isPasswordValid) {
-      recordMetric('user_login_invalid_credentials', 1);
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect',
+      return rejectCredentials(req, res);
+    }
+
+    // Upgrade hashes below the current policy while the plaintext is at hand
+    await userDb.upgradePasswordHash(user.id, password, user.password);
+
+    // Accounts with MFA must pass the second step before any token is issued,
+    // and keep their failure counters until it is passed
+    if (user.mfa && user.mfa.enabled) {
+      recordMetric('user_login_mfa_required', 1);
+      return res.json({
+        message: 'MFA verification required',
+        mfaRequired: true,
+        mfaToken: authMiddleware.generateMfaChallengeToken(user),
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        name: user.name,
-      },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
+    await loginAttemptDb.recordSuccess(email, req.ip);
 
-    // Update last login
-    await db.updateUserLastLogin(user.id);
+    const { token, refreshToken } = await issueLoginTokens(user, req);
 
-    // Remove password from response
-    const { password: _, ...userResponse } = user;
+    // Update last login
+    await userDb.updateById(user.id, { lastLoginAt: new Date().toISOString() });
 
     recordMetric('user_login_success', 1);
     logger.info({ userId: user.id, email }, 'User logged in successfully');
@@ -161,7 +420,9 @@ router.post('/login', loginValidation, async (req, res) => {
     res.json({
       message: 'Login successful',
       token,
-      user: userResponse,
+      refreshToken,
+      passwordExpired: isPasswordExpired(user),
+      user: toUserResponse(user),
     });
 
   } catch (error) {
@@ -175,189 +436,1182 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// Get current user
-router.get('/me', authMiddleware, async (req, res) => {
+// Complete login with an MFA code
+router.post('/login/mfa', validateMfaLogin, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const { mfaToken, code, recoveryCode } = req.body;
 
-    // Try to get from cache first
-    const cacheKey = `user:${userId}`;
-    let user = cache.get(cacheKey);
+    let decoded;
+    try {
+      decoded = authMiddleware.verifyMfaChallengeToken(mfaToken);
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'MFA challenge has expired' : 'MFA challenge is not valid');
+    }
 
-    if (!user) {
-      user = await db.getUserById(userId);
-      if (!user) {
-        return res.status(404).json({
-          error: 'User not found',
-          message: 'User does not exist',
-        });
-      }
+    const user = await userDb.findById(decoded.id, false);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Account is not active');
+    }
 
-      // Cache user data for 5 minutes
-      cache.set(cacheKey, user, 300);
+    // Wrong codes count towards the same limits as wrong passwords
+    const throttle = await loginAttemptDb.getStatus(user.email, req.ip);
+    if (throttle.locked) {
+      return rejectThrottled(res, throttle);
     }
 
-    // Remove password from response
-    const { password: _, ...userResponse } = user;
+    const isValid = await userDb.verifyMfa(user.id, { code, recoveryCode });
+    if (!isValid) {
+      await loginAttemptDb.recordFailure(user.email, req.ip);
+      throw new UnauthorizedError('Invalid verification code');
+    }
 
-    recordMetric('user_profile_accessed', 1);
+    const consumed = await revocationDb.consumeToken(decoded.jti, {
+      userId: user.id,
+      exp: decoded.exp,
+      reason: 'mfa_challenge_used',
+    });
+    if (!consumed) {
+      throw new UnauthorizedError('MFA challenge has already been used');
+    }
+
+    await loginAttemptDb.recordSuccess(user.email, req.ip);
+
+    const { token, refreshToken } = await issueLoginTokens(user, req);
+
+    // Update last login
+    await userDb.updateById(user.id, { lastLoginAt: new Date().toISOString() });
+
+    recordMetric('user_login_success', 1);
+    if (recoveryCode) {
+      recordMetric('user_mfa_recovery_code_used', 1);
+    }
+    logger.info({ userId: user.id }, 'User logged in successfully with MFA');
 
     res.json({
-      user: userResponse,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      passwordExpired: isPasswordExpired(user),
+      user: toUserResponse(user),
     });
 
   } catch (error) {
-    recordMetric('user_profile_error', 1);
-    logger.error({ error: error.message, stack: error.stack }, 'Error getting user profile');
-    
+    if (error instanceof UnauthorizedError) {
+      recordMetric('user_login_mfa_failed', 1);
+      return res.status(401).json({
+        error: 'MFA verification failed',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_login_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error during MFA login');
+
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to get user profile',
+      message: 'Failed to process login',
     });
   }
 });
 
-// Update user
-router.put('/me', authMiddleware, updateUserValidation, async (req, res) => {
+// Identity providers available for federated sign-in
+router.get('/login/federated', (req, res) => {
+  res.json({ providers: oidc.listProviders() });
+});
+
+// Start a federated sign-in; the client sends the browser to the returned URL
+router.post('/login/federated/:providerId', validateFederatedLoginStart, async (req, res) => {
   try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      recordMetric('user_update_validation_error', 1);
+    const provider = oidc.getProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        message: 'Unknown identity provider',
+      });
+    }
+
+    const redirectUri = req.body.redirectUri || provider.redirectUris[0];
+    if (!provider.redirectUris.includes(redirectUri)) {
       return res.status(400).json({
-        error: 'Validation failed',
-        details: errors.array(),
+        error: 'Invalid redirect URI',
+        message: 'The redirect URI is not registered for this identity provider',
       });
     }
 
-    const userId = req.user.userId;
-    const { name, email } = req.body;
+    const { authorizationUrl, state } = await startFederation(provider, redirectUri);
 
-    // Get current user
-    const currentUser = await db.getUserById(userId);
-    if (!currentUser) {
+    recordMetric('user_federated_login_started', 1);
+
+    res.json({
+      authorizationUrl,
+      state,
+    });
+
+  } catch (error) {
+    recordMetric('user_federated_login_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error starting federated sign-in');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start sign-in',
+    });
+  }
+});
+
+// Complete a federated sign-in with the code the provider sent to the redirect URI
+router.post('/login/federated/:providerId/callback', validateFederatedLoginCallback, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.providerId);
+    if (!provider) {
       return res.status(404).json({
-        error: 'User not found',
-        message: 'User does not exist',
+        error: 'Provider not found',
+        message: 'Unknown identity provider',
       });
     }
 
-    // Check if email is being changed and if it's already taken
-    if (email && email !== currentUser.email) {
-      const existingUser = await db.getUserByEmail(email);
-      if (existingUser) {
-        recordMetric('user_update_duplicate_email', 1);
-        return res.status(409).json({
-          error: 'Email already exists',
-          message: 'A user with this email already exists',
-        });
-      }
-    }
+    const claims = await completeFederation(provider, req.body);
 
-    // Update user data
-    const updateData = {
-      ...(name && { name }),
-      ...(email && { email }),
-      updatedAt: new Date().toISOString(),
-    };
+    const user = await resolveFederatedUser(provider, claims, req);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('Account is not active');
+    }
 
-    const updatedUser = await db.updateUser(userId, updateData);
+    // Accounts with MFA must pass the second step before any token is issued
+    if (user.mfa && user.mfa.enabled) {
+      recordMetric('user_login_mfa_required', 1);
+      return res.json({
+        message: 'MFA verification required',
+        mfaRequired: true,
+        mfaToken: authMiddleware.generateMfaChallengeToken(user),
+      });
+    }
 
-    // Clear cache
-    cache.del(`user:${userId}`);
+    const { token, refreshToken } = await issueLoginTokens(user, req);
 
-    // Remove password from response
-    const { password: _, ...userResponse } = updatedUser;
+    // Update last login
+    await userDb.updateById(user.id, { lastLoginAt: new Date().toISOString() });
 
-    recordMetric('user_updated', 1);
-    logger.info({ userId, updateData }, 'User updated successfully');
+    recordMetric('user_federated_login_success', 1);
+    logger.info({ userId: user.id, providerId: provider.id }, 'User logged in through identity provider');
 
     res.json({
-      message: 'User updated successfully',
-      user: userResponse,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      passwordExpired: false,
+      user: toUserResponse(user),
     });
 
   } catch (error) {
-    recordMetric('user_update_error', 1);
-    logger.error({ error: error.message, stack: error.stack }, 'Error updating user');
-    
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Invalid sign-in request',
+        message: error.message,
+      });
+    }
+
+    if (error instanceof UnauthorizedError) {
+      recordMetric('user_federated_login_failed', 1);
+      return res.status(401).json({
+        error: 'Federated sign-in failed',
+        message: error.message,
+      });
+    }
+
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        error: 'Sign-in conflict',
+        message: 'The account was changed by a concurrent sign-in, please try again',
+      });
+    }
+
+    recordMetric('user_federated_login_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error completing federated sign-in');
+
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to update user',
+      message: 'Failed to process login',
     });
   }
 });
 
-// Delete user
-router.delete('/me', authMiddleware, async (req, res) => {
+// Refresh access token
+router.post('/token/refresh', validateRefreshToken, async (req, res) => {
   try {
-    const userId = req.user.userId;
+    let decoded;
+    try {
+      decoded = authMiddleware.verifyRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Refresh token has expired' : 'Refresh token is not valid');
+    }
 
-    // Soft delete by deactivating account
-    await db.updateUser(userId, {
-      isActive: false,
-      deactivatedAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
+    // Rotate first so a replayed token is detected before anything is issued
+    let family;
+    try {
+      family = await refreshTokenDb.rotateToken(decoded.fid, decoded.id, decoded.jti);
+    } catch (error) {
+      // Either holder of a replayed token may be an attacker, so the session
+      // ends and its access tokens are rejected too
+      if (error instanceof RefreshTokenReuseError) {
+        await Promise.all([
+          revocationDb.revokeSession(decoded.fid, { userId: decoded.id, reason: 'reuse_detected' }),
+          sessionDb.terminateSession(decoded.fid, decoded.id, { reason: 'reuse_detected' }).catch((terminateError) => {
+            if (!(terminateError instanceof NotFoundError)) {
+              throw terminateError;
+            }
+          }),
+        ]);
+      }
+      throw error;
+    }
+
+    const user = await userDb.findById(decoded.id, false);
+    if (!user || !user.isActive) {
+      await refreshTokenDb.revokeFamily(decoded.fid, 'account_inactive');
+      throw new UnauthorizedError('Account is not active');
+    }
+
+    await sessionDb.touchSession(family.familyId, { ip: req.ip });
+
+    const token = authMiddleware.generateToken(user, family);
+    const refreshToken = authMiddleware.generateRefreshToken(user, family);
+
+    recordMetric('token_refresh_success', 1);
+    logger.info({ userId: user.id, familyId: family.familyId }, 'Access token refreshed');
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token,
+      refreshToken,
     });
 
-    // Clear cache
-    cache.del(`user:${userId}`);
+  } catch (error) {
+    if (error instanceof UnauthorizedError) {
+      recordMetric('token_refresh_rejected', 1);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: error.message,
+      });
+    }
+
+    recordMetric('token_refresh_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error refreshing token');
 
-    recordMetric('user_deleted', 1);
-    logger.info({ userId }, 'User account deactivated');
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to refresh token',
+    });
+  }
+});
+
+// Logout current session
+router.post('/logout', authMiddleware.authenticate, async (req, res) => {
+  try {
+    const { id: userId, jti, exp, fid } = req.user;
+
+    // Revoke the presented access token and the refresh tokens of its login
+    if (jti) {
+      await revocationDb.revokeToken(jti, { userId, exp, reason: 'logout' });
+    }
+    if (fid) {
+      await Promise.all([
+        refreshTokenDb.revokeFamily(fid, 'logout'),
+        sessionDb.terminateSession(fid, userId, { reason: 'logout' }).catch((error) => {
+          if (!(error instanceof NotFoundError)) {
+            throw error;
+          }
+        }),
+      ]);
+    }
+
+    recordMetric('user_logout', 1);
+    logger.info({ userId }, 'User logged out');
 
     res.json({
-      message: 'Account deactivated successfully',
+      message: 'Logged out successfully',
     });
 
   } catch (error) {
-    recordMetric('user_delete_error', 1);
-    logger.error({ error: error.message, stack: error.stack }, 'Error deleting user');
-    
+    recordMetric('user_logout_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error during logout');
+
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to delete user',
+      message: 'Failed to logout',
     });
   }
 });
 
-// List users (admin endpoint)
-router.get('/', authMiddleware, async (req, res) => {
+// Logout all sessions in every region
+router.post('/logout/all', authMiddleware.authenticate, authMiddleware.denyImpersonation, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '' } = req.query;
-    const offset = (page - 1) * limit;
+    const userId = req.user.id;
 
-    const { users, total } = await db.getUsersList({
-      limit: parseInt(limit, 10),
-      offset: parseInt(offset, 10),
-      search,
+    await Promise.all([
+      revocationDb.revokeAllForUser(userId, 'logout_all'),
+      refreshTokenDb.revokeAllForUser(userId, 'logout_all'),
+      sessionDb.terminateAllForUser(userId, 'logout_all'),
+    ]);
+
+    recordMetric('user_logout_all', 1);
+    logger.info({ userId }, 'User logged out of all sessions');
+
+    res.json({
+      message: 'Logged out of all sessions successfully',
     });
 
-    // Remove passwords from response
-    const usersResponse = users.map(user => {
-      const { password: _, ...userWithoutPassword } = user;
-      return userWithoutPassword;
+  } catch (error) {
+    recordMetric('user_logout_all_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error during logout of all sessions');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to logout of all sessions',
     });
+  }
+});
 
-    recordMetric('users_list_accessed', 1);
+// Request a password reset link
+router.post('/password/forgot', validatePasswordResetRequest, (req, res) => {
+  const { email } = req.body;
+
+  // Respond before looking the account up so neither the response nor its
+  // timing reveals whether the email is registered
+  sendPasswordResetLink(email, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  }).catch((error) => {
+    recordMetric('password_reset_request_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error sending password reset link');
+  });
+
+  res.status(202).json({
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+// Reset password with a reset token
+router.post('/password/reset', validatePasswordReset, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await passwordResetDb.consumeToken(token);
+
+    try {
+      await userDb.resetPassword(userId, password);
+    } catch (error) {
+      // Let the user try another password with the same link
+      if (error instanceof PasswordPolicyError) {
+        await passwordResetDb.releaseToken(token);
+      }
+      throw error;
+    }
+
+    // Sign out every existing session and drop any other outstanding reset links
+    await Promise.all([
+      revocationDb.revokeAllForUser(userId, 'password_reset'),
+      refreshTokenDb.revokeAllForUser(userId, 'password_reset'),
+      sessionDb.terminateAllForUser(userId, 'password_reset'),
+      passwordResetDb.invalidateForUser(userId),
+    ]);
+
+    recordMetric('password_reset_completed', 1);
+    logger.info({ userId }, 'User password reset');
 
     res.json({
-      users: usersResponse,
-      pagination: {
-        page: parseInt(page, 10),
-        limit: parseInt(limit, 10),
-        total,
-        pages: Math.ceil(total / limit),
-      },
+      message: 'Password reset successfully. Please log in with your new password.',
     });
 
   } catch (error) {
-    recordMetric('users_list_error', 1);
-    logger.error({ error: error.message, stack: error.stack }, 'Error getting users list');
-    
+    if (error instanceof PasswordPolicyError) {
+      recordMetric('password_reset_weak_password', 1);
+      return res.status(400).json({
+        error: 'Password policy not met',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      recordMetric('password_reset_invalid_token', 1);
+      return res.status(400).json({
+        error: 'Password reset failed',
+        message: 'Reset token is invalid or has expired',
+      });
+    }
+
+    recordMetric('password_reset_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error resetting password');
+
     res.status(500).json({
       error: 'Internal server error',
-      message: 'Failed to get users list',
+      message: 'Failed to reset password',
+    });
+  }
+});
+
+// Verify email address with a verification token
+router.post('/email/verify', validateEmailVerification, async (req, res) => {
+  try {
+    const { userId, email } = await emailVerificationDb.consumeToken(req.body.token);
+
+    // A token sent to a previous address must not verify the current one
+    const user = await userDb.findById(userId, false);
+    if (!user || user.email !== email) {
+      throw new ValidationError('Verification token is invalid or has expired');
+    }
+
+    await userDb.verifyEmail(userId);
+    await emailVerificationDb.invalidateForUser(userId);
+
+    recordMetric('email_verified', 1);
+    logger.info({ userId }, 'User email verified');
+
+    res.json({
+      message: 'Email verified successfully',
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof NotFoundError) {
+      recordMetric('email_verification_invalid_token', 1);
+      return res.status(400).json({
+        error: 'Email verification failed',
+        message: 'Verification token is invalid or has expired',
+      });
+    }
+
+    recordMetric('email_verification_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error verifying email');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to verify email',
+    });
+  }
+});
+
+// Resend the email verification link
+router.post('/me/email/verification', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await userDb.findById(req.user.id, false);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User does not exist',
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(409).json({
+        error: 'Email already verified',
+        message: 'Your email address is already verified',
+      });
+    }
+
+    const allowed = await emailVerificationDb.acquireResendSlot(user.id);
+    if (!allowed) {
+      recordMetric('email_verification_resend_throttled', 1);
+      res.set('Retry-After', String(Math.ceil(ms(config.emailVerification.resendCooldown) / 1000)));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: 'A verification email was sent recently. Please wait before requesting another.',
+      });
+    }
+
+    await sendVerificationLink(user);
+
+    res.status(202).json({
+      message: 'Verification email sent',
+    });
+
+  } catch (error) {
+    recordMetric('email_verification_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error resending email verification');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to send verification email',
+    });
+  }
+});
+
+// Start MFA enrollment
+router.post('/me/mfa/enroll', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), authMiddleware.requireVerifiedEmail, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await userDb.startMfaEnrollment(req.user.id);
+
+    recordMetric('user_mfa_enrollment_started', 1);
+
+    res.json({
+      message: 'Scan the provisioning URI with an authenticator app, then confirm with a code',
+      secret,
+      otpauthUri,
+    });
+
+  } catch (error) {
+    if (error instanceof ConflictError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({
+        error: 'MFA enrollment failed',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_mfa_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error starting MFA enrollment');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start MFA enrollment',
+    });
+  }
+});
+
+// Confirm MFA enrollment
+router.post('/me/mfa/confirm', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), validateMfaCode, async (req, res) => {
+  try {
+    const { recoveryCodes } = await userDb.confirmMfaEnrollment(req.user.id, req.body.code);
+
+    recordMetric('user_mfa_enabled', 1);
+
+    // Recovery codes are only ever returned here
+    res.json({
+      message: 'MFA enabled successfully',
+      recoveryCodes,
+    });
+
+  } catch (error) {
+    if (error instanceof ConflictError || error instanceof ValidationError || error instanceof NotFoundError) {
+      return res.status(error.statusCode).json({
+        error: 'MFA confirmation failed',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_mfa_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error confirming MFA enrollment');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to confirm MFA enrollment',
+    });
+  }
+});
+
+// Disable MFA
+router.delete('/me/mfa', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), validateMfaVerification, async (req, res) => {
+  try {
+    const result = await userDb.disableMfa(req.user.id, req.body);
+
+    recordMetric('user_mfa_disabled', 1);
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'MFA verification failed',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_mfa_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error disabling MFA');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to disable MFA',
+    });
+  }
+});
+
+// Start linking an identity provider to the signed-in account
+router.post('/me/identities/:providerId', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), validateFederatedLoginStart, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        message: 'Unknown identity provider',
+      });
+    }
+
+    const redirectUri = req.body.redirectUri || provider.redirectUris[0];
+    if (!provider.redirectUris.includes(redirectUri)) {
+      return res.status(400).json({
+        error: 'Invalid redirect URI',
+        message: 'The redirect URI is not registered for this identity provider',
+      });
+    }
+
+    const { authorizationUrl, state } = await startFederation(provider, redirectUri, { linkUserId: req.user.id });
+
+    recordMetric('user_federated_link_started', 1);
+
+    res.json({
+      authorizationUrl,
+      state,
+    });
+
+  } catch (error) {
+    recordMetric('user_federated_link_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error starting identity provider link');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to start linking',
+    });
+  }
+});
+
+// Link the identity the provider signed in to the signed-in account
+router.post('/me/identities/:providerId/callback', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), validateFederatedLoginCallback, async (req, res) => {
+  try {
+    const provider = oidc.getProvider(req.params.providerId);
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        message: 'Unknown identity provider',
+      });
+    }
+
+    const userId = req.user.id;
+    const claims = await completeFederation(provider, req.body, { linkUserId: userId });
+
+    const existing = await federatedIdentityDb.findIdentity(provider.id, claims.sub);
+    if (existing && existing.userId !== userId) {
+      throw new ConflictError('Identity is already linked to another user');
+    }
+
+    const identity = existing || await federatedIdentityDb.linkIdentity(provider.id, claims.sub, userId, { email: claims.email || null });
+
+    recordMetric('user_federated_identity_linked', 1);
+    logger.info({ userId, providerId: provider.id }, 'Identity provider linked to account');
+
+    res.json({
+      message: 'Identity provider linked successfully',
+      identity: {
+        providerId: identity.providerId,
+        email: identity.email,
+        linkedAt: identity.createdAt,
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: 'Invalid link request',
+        message: error.message,
+      });
+    }
+
+    if (error instanceof UnauthorizedError) {
+      recordMetric('user_federated_link_failed', 1);
+      return res.status(401).json({
+        error: 'Linking failed',
+        message: error.message,
+      });
+    }
+
+    if (error instanceof ConflictError) {
+      return res.status(409).json({
+        error: 'Identity already linked',
+        message: 'This identity is already linked to another account',
+      });
+    }
+
+    recordMetric('user_federated_link_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error linking identity provider');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to link identity provider',
+    });
+  }
+});
+
+// List own sessions
+router.get('/me/sessions', authMiddleware.authenticate, authMiddleware.requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const sessions = await sessionDb.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({ ...session, current: session.id === req.user.fid })),
+    });
+
+  } catch (error) {
+    recordMetric('session_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error listing sessions');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list sessions',
+    });
+  }
+});
+
+// Terminate one of own sessions
+router.delete('/me/sessions/:sessionId', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('sessions:terminate'), async (req, res) => {
+  try {
+    const session = await endSession(req.params.sessionId, req.user.id, {
+      reason: 'terminated_by_user',
+      terminatedBy: req.user.id,
+    });
+
+    recordMetric('session_terminated', 1);
+    logger.info({ userId: req.user.id, sessionId: session.id }, 'Session terminated by user');
+
+    res.json({
+      message: 'Session terminated successfully',
+      session,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('session_terminate_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error terminating session');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to terminate session',
+    });
+  }
+});
+
+// Get current user
+router.get('/me', authMiddleware.authenticate, authMiddleware.requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await userDb.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User does not exist',
+      });
+    }
+
+    recordMetric('user_profile_accessed', 1);
+
+    res.set('ETag', getETag(user));
+    if (isNotModified(req, user)) {
+      return res.status(304).end();
+    }
+
+    res.json({
+      user: toUserResponse(user),
+    });
+
+  } catch (error) {
+    recordMetric('user_profile_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error getting user profile');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get user profile',
+    });
+  }
+});
+
+// Update user
+router.put('/me', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:write'), updateUserValidation, async (req, res, next) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      recordMetric('user_update_validation_error', 1);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array(),
+      });
+    }
+
+    const userId = req.user.id;
+    const { name, firstName, lastName, email } = req.body;
+
+    const expectedVersion = getExpectedVersion(req);
+
+    // Get current user
+    const currentUser = await userDb.findById(userId, false);
+    if (!currentUser) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User does not exist',
+      });
+    }
+
+    // A new address has to be verified again
+    const emailChanged = !!email && email.toLowerCase().trim() !== currentUser.email;
+
+    // Update user data
+    // Name changes go through the tracked update, which rewrites the user's search items
+    const updateData = {
+      ...(name ? splitName(name) : { firstName, lastName }),
+      updatedAt: new Date().toISOString(),
+    };
+
+    // Without If-Match, still refuse to overwrite a change made since the user was read
+    const options = {
+      expectedVersion: expectedVersion === null ? userDb.getVersion(currentUser) : expectedVersion,
+    };
+
+    // The email moves together with its claim, which fails if another user holds it
+    const updatedUser = emailChanged
+      ? await userDb.changeEmail(userId, email, { ...options, updates: updateData })
+      : await userDb.updateById(userId, updateData, options);
+
+    if (emailChanged) {
+      sendVerificationLinkInBackground(updatedUser);
+    }
+
+    recordMetric('user_updated', 1);
+    logger.info({ userId, updateData, emailChanged }, 'User updated successfully');
+
+    res.set('ETag', getETag(updatedUser));
+    res.json({
+      message: 'User updated successfully',
+      user: toUserResponse(updatedUser),
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      recordMetric('user_update_conflict', 1);
+      return next(error);
+    }
+
+    if (error instanceof ConflictError) {
+      recordMetric('user_update_duplicate_email', 1);
+      return res.status(409).json({
+        error: 'Email already exists',
+        message: 'A user with this email already exists',
+      });
+    }
+
+    recordMetric('user_update_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error updating user');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update user',
+    });
+  }
+});
+
+// Delete user
+router.delete('/me', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:deactivate'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    // Soft delete by deactivating account, then sign it out everywhere
+    await userDb.deactivateUser(userId, { expectedVersion: getExpectedVersion(req) });
+
+    await Promise.all([
+      revocationDb.revokeAllForUser(userId, 'account_deactivated'),
+      refreshTokenDb.revokeAllForUser(userId, 'account_deactivated'),
+      sessionDb.terminateAllForUser(userId, 'account_deactivated'),
+    ]);
+
+    recordMetric('user_deleted', 1);
+    logger.info({ userId }, 'User account deactivated');
+
+    res.json({
+      message: 'Account deactivated successfully',
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      recordMetric('user_update_conflict', 1);
+      return next(error);
+    }
+
+    recordMetric('user_delete_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error deleting user');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete user',
+    });
+  }
+});
+
+// List users (admin endpoint)
+router.get('/', authMiddleware.authenticate, authMiddleware.requirePermission('users:list'), validateUserList, async (req, res, next) => {
+  try {
+    const {
+      cursor,
+      limit,
+      search = null,
+      role = null,
+      isActive = null,
+      scan,
+    } = req.query;
+
+    const result = await userDb.getUsers({ limit, cursor, search, role, isActive, scan });
+
+    // Remove passwords and MFA secrets from response
+    const usersResponse = result.items.map(toUserResponse);
+
+    recordMetric('users_list_accessed', 1);
+
+    res.json({
+      users: usersResponse,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    recordMetric('users_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error getting users list');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get users list',
+    });
+  }
+});
+
+// Search users by name or email (admin endpoint)
+router.get('/search', authMiddleware.authenticate, authMiddleware.requirePermission('users:list'), validateUserSearch, async (req, res, next) => {
+  try {
+    const { q, limit, cursor } = req.query;
+
+    const result = await userDb.searchUsers({ query: q, limit, cursor });
+
+    recordMetric('users_search_accessed', 1);
+
+    res.json({
+      users: result.items.map(toUserResponse),
+      total: result.total,
+      pagination: getPagination(req, res, result),
+    });
+
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
+
+    recordMetric('users_search_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error searching users');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to search users',
+    });
+  }
+});
+
+// User counts from the maintained counters (admin endpoint)
+router.get('/stats', authMiddleware.authenticate, authMiddleware.requirePermission('users:list'), async (req, res) => {
+  try {
+    const stats = await userDb.getStats();
+
+    recordMetric('users_stats_accessed', 1);
+
+    res.json({ stats });
+
+  } catch (error) {
+    logger.error({ error: error.message, stack: error.stack }, 'Error getting user stats');
+    
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get user stats',
+    });
+  }
+});
+
+// List a user's sessions (admin endpoint)
+router.get('/:id/sessions', authMiddleware.authenticate, authMiddleware.requirePermission('sessions:read'), async (req, res) => {
+  try {
+    const sessions = await sessionDb.listSessions(req.params.id);
+
+    res.json({
+      sessions,
+    });
+
+  } catch (error) {
+    recordMetric('session_list_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error listing user sessions');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list sessions',
+    });
+  }
+});
+
+// Terminate a user's session (admin endpoint)
+router.delete('/:id/sessions/:sessionId', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('sessions:terminate'), async (req, res) => {
+  try {
+    const session = await endSession(req.params.sessionId, req.params.id, {
+      reason: 'terminated_by_admin',
+      terminatedBy: req.user.id,
+    });
+
+    recordMetric('session_terminated_by_admin', 1);
+    logger.info({ userId: req.params.id, sessionId: session.id, adminId: req.user.id }, 'Session terminated by admin');
+
+    res.json({
+      message: 'Session terminated successfully',
+      session,
+    });
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('session_terminate_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error terminating user session');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to terminate session',
+    });
+  }
+});
+
+// Impersonate a user (admin endpoint)
+router.post('/:id/impersonate', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:impersonate'), validateImpersonation, async (req, res) => {
+  try {
+    const actor = req.user;
+    const target = await userDb.findById(req.params.id, false);
+
+    if (!target || !target.isActive) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'User does not exist or is not active',
+      });
+    }
+
+    if (target.id === actor.id || (target.roles || []).includes('admin')) {
+      return res.status(403).json({
+        error: 'Impersonation not allowed',
+        message: 'You cannot impersonate yourself or another administrator',
+      });
+    }
+
+    const tokenId = uuidv4();
+    const token = authMiddleware.generateImpersonationToken(target, actor, { tokenId });
+
+    await auditDb.record('impersonation.issued', {
+      actorId: actor.id,
+      subjectId: target.id,
+      details: {
+        tokenId,
+        reason: req.body.reason,
+        expiresIn: config.impersonation.expiresIn,
+        ip: req.ip,
+      },
+    });
+
+    recordMetric('user_impersonation_issued', 1);
+
+    res.status(201).json({
+      message: 'Impersonation token issued',
+      token,
+      expiresIn: config.impersonation.expiresIn,
+      user: toUserResponse(target),
+    });
+
+  } catch (error) {
+    recordMetric('user_impersonation_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error issuing impersonation token');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to issue impersonation token',
+    });
+  }
+});
+
+// Lift a login lockout (Admin only)
+router.post('/:id/unlock', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const result = await userDb.unlockLogin(req.params.id);
+
+    await auditDb.record('user.unlocked', {
+      actorId: req.user.id,
+      subjectId: req.params.id,
+      details: { ip: req.ip },
+    });
+
+    recordMetric('user_login_unlocked', 1);
+
+    res.json(result);
+
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_unlock_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error unlocking user login');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to unlock user',
+    });
+  }
+});
+
+// Permanently delete a user (admin endpoint)
+router.delete('/:id', authMiddleware.authenticate, authMiddleware.denyImpersonation, authMiddleware.requirePermission('users:delete'), async (req, res, next) => {
+  try {
+    const userId = req.params.id;
+
+    // Also releases the email address for a new account
+    await userDb.deleteUser(userId, { expectedVersion: getExpectedVersion(req) });
+
+    await Promise.all([
+      revocationDb.revokeAllForUser(userId, 'user_deleted'),
+      refreshTokenDb.revokeAllForUser(userId, 'user_deleted'),
+      sessionDb.terminateAllForUser(userId, 'user_deleted'),
+    ]);
+
+    await auditDb.record('user.deleted', {
+      actorId: req.user.id,
+      subjectId: userId,
+      details: { ip: req.ip },
+    });
+
+    recordMetric('user_hard_deleted', 1);
+    logger.info({ userId, adminId: req.user.id }, 'User deleted by admin');
+
+    res.json({
+      message: 'User deleted successfully',
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      recordMetric('user_update_conflict', 1);
+      return next(error);
+    }
+
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: error.message,
+      });
+    }
+
+    recordMetric('user_delete_error', 1);
+    logger.error({ error: error.message, stack: error.stack }, 'Error deleting user');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete user',
     });
   }
 });
@@ -0,0 +1,22 @@
+const express = require('express');
+const keyring = require('../utils/keyring');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Public keys for verifying access tokens issued by any region
+router.get('/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(keyring.getJwks());
+  } catch (error) {
+    logger.error({ error: error.message, stack: error.stack }, 'Error serving JWKS');
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to load signing keys',
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const app = require('./app');
 const config = require('./config');
 const logger = require('./utils/logger');
 const db = require('./db');
+const keyring = require('./utils/keyring');
+const { loadRoles, startRoleRefresh, stopRoleRefresh } = require('./utils/permissions');
+const { startStreamConsumer, stopStreamConsumer } = require('./streams');
 const { initializeMetrics } = require('./utils/metrics');
 
 // Initialize metrics
@@ -10,6 +13,9 @@ initializeMetrics();
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
+  keyring.stopRotation();
+  stopRoleRefresh();
+  stopStreamConsumer();
   
   server.close(() => {
     logger.info('HTTP server closed');
@@ -49,19 +55,30 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-// Start server
-const server = app.listen(config.port, () => {
-  logger.info({
-    message: 'Server started successfully',
-    port: config.port,
-    environment: config.environment,
-    region: config.aws.region,
-    pid: process.pid,
-    nodeVersion: process.version,
-  });
-});
+// Start server once this region has a signing key and roles are loaded
+let server;
 
-// Set server timeout
-server.timeout = 120000; // 2 minutes
+Promise.all([keyring.initialize(), loadRoles()])
+  .then(() => {
+    keyring.startRotation();
+    startRoleRefresh();
+    startStreamConsumer();
 
-module.exports = server;
\ No newline at end of file
+    server = app.listen(config.port, () => {
+      logger.info({
+        message: 'Server started successfully',
+        port: config.port,
+        environment: config.environment,
+        region: config.aws.region,
+        pid: process.pid,
+        nodeVersion: process.version,
+      });
+    });
+
+    // Set server timeout
+    server.timeout = 120000; // 2 minutes
+  })
+  .catch((error) => {
+    logger.error('Failed to initialize signing keys or roles:', error);
+    process.exit(1);
+  });
\ No newline at end of file
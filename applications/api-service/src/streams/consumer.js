@@ -0,0 +1,137 @@
+const AWS = require('aws-sdk');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Stream consumer
+ * Polls the DynamoDB streams of the configured tables and hands each shard's
+ * records to a StreamProcessor. Reading starts after the shard's checkpoint,
+ * or at the oldest record still in the stream (24 hours) for a new shard. A
+ * child shard is only read once its parent is finished, so the changes of an
+ * item are always handled in order.
+ *
+ * Shards are not leased, so exactly one instance per region should run the
+ * consumer (STREAMS_ENABLED).
+ */
+class StreamConsumer {
+  constructor({ processor, tables = config.streams.tables, batchSize = config.streams.batchSize }) {
+    this.processor = processor;
+    this.tables = tables;
+    this.batchSize = batchSize;
+    this.dynamodb = new AWS.DynamoDB({ region: config.aws.region });
+    this.streams = new AWS.DynamoDBStreams({ region: config.aws.region });
+    this.iterators = new Map();
+    this.streamArns = new Map();
+  }
+
+  /**
+   * Read one batch from every readable shard of every table
+   */
+  async poll() {
+    for (const table of this.tables) {
+      const streamArn = await this.getStreamArn(table);
+      if (!streamArn) {
+        continue;
+      }
+
+      const shards = await this.getShards(streamArn);
+      const shardIds = new Set(shards.map(shard => shard.ShardId));
+
+      for (const shard of shards) {
+        const shardKey = `${streamArn}#${shard.ShardId}`;
+        const checkpoint = await this.processor.checkpoints.getCheckpoint(shardKey);
+        if (checkpoint && checkpoint.finished) {
+          continue;
+        }
+
+        // A parent that has been trimmed from the stream cannot be waited for
+        if (shard.ParentShardId && shardIds.has(shard.ParentShardId)) {
+          const parent = await this.processor.checkpoints.getCheckpoint(`${streamArn}#${shard.ParentShardId}`);
+          if (!parent || !parent.finished) {
+            continue;
+          }
+        }
+
+        await this.pollShard(streamArn, shard.ShardId, shardKey, checkpoint);
+      }
+    }
+  }
+
+  async pollShard(streamArn, shardId, shardKey, checkpoint) {
+    try {
+      let iterator = this.iterators.get(shardKey);
+      if (!iterator) {
+        iterator = await this.getShardIterator(streamArn, shardId, checkpoint);
+      }
+
+      const result = await this.streams.getRecords({
+        ShardIterator: iterator,
+        Limit: this.batchSize,
+      }).promise();
+
+      const finished = !result.NextShardIterator;
+      if (finished) {
+        this.iterators.delete(shardKey);
+      } else {
+        this.iterators.set(shardKey, result.NextShardIterator);
+      }
+
+      await this.processor.processRecords(shardKey, result.Records, { finished });
+    } catch (error) {
+      // Start again from the checkpoint on the next poll
+      this.iterators.delete(shardKey);
+
+      logger.error({
+        error: error.message,
+        shardKey,
+      }, 'Failed to read stream shard');
+    }
+  }
+
+  async getShardIterator(streamArn, shardId, checkpoint) {
+    const params = checkpoint && checkpoint.sequenceNumber
+      ? { ShardIteratorType: 'AFTER_SEQUENCE_NUMBER', SequenceNumber: checkpoint.sequenceNumber }
+      : { ShardIteratorType: 'TRIM_HORIZON' };
+
+    const result = await this.streams.getShardIterator({
+      StreamArn: streamArn,
+      ShardId: shardId,
+      ...params,
+    }).promise();
+
+    return result.ShardIterator;
+  }
+
+  async getStreamArn(table) {
+    if (!this.streamArns.has(table)) {
+      const result = await this.dynamodb.describeTable({ TableName: table }).promise();
+      const streamArn = result.Table.LatestStreamArn || null;
+
+      if (!streamArn) {
+        logger.warn({ table }, 'Table has no stream, not consuming it');
+      }
+      this.streamArns.set(table, streamArn);
+    }
+
+    return this.streamArns.get(table);
+  }
+
+  async getShards(streamArn) {
+    const shards = [];
+    let exclusiveStartShardId;
+
+    do {
+      const result = await this.streams.describeStream({
+        StreamArn: streamArn,
+        ...(exclusiveStartShardId && { ExclusiveStartShardId: exclusiveStartShardId }),
+      }).promise();
+
+      shards.push(...result.StreamDescription.Shards);
+      exclusiveStartShardId = result.StreamDescription.LastEvaluatedShardId;
+    } while (exclusiveStartShardId);
+
+    return shards;
+  }
+}
+
+module.exports = StreamConsumer;
@@ -0,0 +1,69 @@
+const ms = require('ms');
+const config = require('../config');
+const logger = require('../utils/logger');
+const StreamCheckpointDatabase = require('../db/streamCheckpoints');
+const DeadLetterDatabase = require('../db/deadLetters');
+const { HandlerRegistry } = require('./registry');
+const { StreamProcessor } = require('./processor');
+const StreamConsumer = require('./consumer');
+const { registerOutboxRelay } = require('../events/relay');
+
+/**
+ * DynamoDB Streams processing
+ * Modules register their change handlers on `registry`, e.g.
+ *
+ *   registry.on('user', ['INSERT', 'MODIFY'], 'search.indexUser', async (event) => { ... });
+ *
+ * The consumer runs in instances with STREAMS_ENABLED, and replay.js runs
+ * the same handlers over a recorded stream file.
+ */
+const registry = new HandlerRegistry();
+
+registerOutboxRelay(registry);
+
+let consumer = null;
+let pollTimer = null;
+let polling = false;
+
+function startStreamConsumer() {
+  if (pollTimer || !config.streams.enabled) {
+    return;
+  }
+
+  consumer = new StreamConsumer({
+    processor: new StreamProcessor({
+      registry,
+      checkpoints: new StreamCheckpointDatabase(),
+      deadLetters: new DeadLetterDatabase(),
+    }),
+  });
+
+  // Skip a tick while the previous poll is still running
+  pollTimer = setInterval(() => {
+    if (polling) {
+      return;
+    }
+
+    polling = true;
+    consumer.poll()
+      .catch(error => logger.error({ error: error.message }, 'Stream poll failed'))
+      .finally(() => {
+        polling = false;
+      });
+  }, ms(config.streams.pollInterval));
+  pollTimer.unref();
+
+  logger.info({ tables: config.streams.tables }, 'Stream consumer started');
+}
+
+function stopStreamConsumer() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  consumer = null;
+}
+
+module.exports = {
+  registry,
+  startStreamConsumer,
+  stopStreamConsumer,
+};
@@ -0,0 +1,121 @@
+const ms = require('ms');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { recordMetric } = require('../utils/metrics');
+const { runWithTenant } = require('../utils/tenantContext');
+const { decodeRecord } = require('./records');
+
+const sleep = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+/**
+ * Stream processor
+ * Runs the registered handlers for a batch of records of one shard, in
+ * order and in the tenant of each record. A failing handler is retried with
+ * exponential backoff; after `maxAttempts` the record is stored as a dead
+ * letter for that handler and processing moves on, so one bad record never
+ * blocks the shard. The checkpoint is written after the batch, so records
+ * are processed at least once.
+ *
+ * `checkpoints` and `deadLetters` are the stream checkpoint and dead letter
+ * databases, or in-memory stand-ins with the same methods (see replay.js).
+ */
+class StreamProcessor {
+  constructor({
+    registry,
+    checkpoints,
+    deadLetters,
+    maxAttempts = config.streams.maxAttempts,
+    retryDelay = ms(config.streams.retryDelay),
+  }) {
+    this.registry = registry;
+    this.checkpoints = checkpoints;
+    this.deadLetters = deadLetters;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * Process records read from a shard and checkpoint the last one. Records
+   * at or before the shard's checkpoint were processed already and are
+   * skipped. Returns counts of processed records and dead letters.
+   */
+  async processRecords(shardKey, records, { finished = false } = {}) {
+    const checkpoint = await this.checkpoints.getCheckpoint(shardKey);
+    const pending = records.filter(record => !checkpoint || !checkpoint.sequenceNumber
+      || compareSequenceNumbers(record.dynamodb.SequenceNumber, checkpoint.sequenceNumber) > 0);
+
+    let deadLettered = 0;
+    for (const record of pending) {
+      deadLettered += await this.processRecord(shardKey, record);
+    }
+
+    const last = records.length > 0 ? records[records.length - 1].dynamodb.SequenceNumber : null;
+    const sequenceNumber = last || (checkpoint && checkpoint.sequenceNumber) || null;
+    if (last || finished) {
+      await this.checkpoints.setCheckpoint(shardKey, sequenceNumber, { finished });
+    }
+
+    if (pending.length > 0) {
+      recordMetric('stream_records_processed', pending.length);
+    }
+
+    return { processed: pending.length, deadLettered };
+  }
+
+  // Run every handler of a record; returns the number of handlers that gave up
+  async processRecord(shardKey, record) {
+    const event = decodeRecord(record);
+    const handlers = this.registry.getHandlers(event.entityType, event.eventName);
+
+    let failed = 0;
+    for (const { name, handler } of handlers) {
+      const result = await this.runHandler(name, handler, event);
+      if (result.error) {
+        await this.deadLetters.addDeadLetter({
+          record,
+          event,
+          handler: name,
+          error: result.error,
+          attempts: result.attempts,
+          shardKey,
+        });
+        recordMetric('stream_records_dead_lettered', 1);
+        failed += 1;
+      }
+    }
+
+    return failed;
+  }
+
+  async runHandler(name, handler, event) {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await runWithTenant(event.tenantId, () => handler(event));
+        return { attempts: attempt };
+      } catch (error) {
+        logger.warn({
+          error: error.message,
+          handler: name,
+          eventId: event.eventId,
+          attempt,
+        }, 'Stream handler failed');
+
+        if (attempt >= this.maxAttempts) {
+          return { attempts: attempt, error };
+        }
+
+        await sleep(this.retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+}
+
+// Sequence numbers are decimal strings of up to 40 digits
+function compareSequenceNumbers(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+module.exports = {
+  StreamProcessor,
+  compareSequenceNumbers,
+};
@@ -0,0 +1,71 @@
+const AWS = require('aws-sdk');
+const config = require('../config');
+
+const TENANT_KEY_PREFIX = 'tenant#';
+
+/**
+ * Stream record decoding
+ * Turns a raw DynamoDB stream record into a change event for handlers:
+ *
+ *   { eventId, eventName, table, entityType, tenantId, id, keys,
+ *     oldImage, newImage, sequenceNumber, approximateCreationTime }
+ *
+ * Images are plain objects (unmarshalled), with the tenant prefix removed
+ * from `id` as BaseDatabase does. The entity type is named after the config
+ * key of the table (`userTable` is `user`); items with a `type` attribute
+ * are `<entity>:<type>`, e.g. `user:email` for an email claim.
+ */
+
+// Entity name of every configured table
+const getTableEntities = () => Object.entries(config.dynamodb)
+  .reduce((acc, [key, table]) => ({ ...acc, [table]: key.replace(/Table$/, '') }), {});
+
+// arn:aws:dynamodb:<region>:<account>:table/<table>/stream/<label>
+function getTableName(eventSourceArn) {
+  const match = /:table\/([^/]+)/.exec(eventSourceArn || '');
+  return match ? match[1] : null;
+}
+
+function unmarshall(image) {
+  return image ? AWS.DynamoDB.Converter.unmarshall(image) : null;
+}
+
+function unscope(item, tenantId) {
+  const prefix = `${TENANT_KEY_PREFIX}${tenantId}#`;
+  return item && typeof item.id === 'string' && item.id.startsWith(prefix)
+    ? { ...item, id: item.id.slice(prefix.length) }
+    : item;
+}
+
+function decodeRecord(record) {
+  const { dynamodb: change = {} } = record;
+  const table = getTableName(record.eventSourceARN);
+  const entity = getTableEntities()[table] || table;
+
+  const newImage = unmarshall(change.NewImage);
+  const oldImage = unmarshall(change.OldImage);
+  const keys = unmarshall(change.Keys) || {};
+  const image = newImage || oldImage || keys;
+  const tenantId = image.tenantId || config.tenancy.defaultTenant;
+
+  return {
+    eventId: record.eventID,
+    eventName: record.eventName,
+    table,
+    entityType: image.type ? `${entity}:${image.type}` : entity,
+    tenantId,
+    id: unscope(keys, tenantId).id,
+    keys,
+    oldImage: unscope(oldImage, tenantId),
+    newImage: unscope(newImage, tenantId),
+    sequenceNumber: change.SequenceNumber,
+    approximateCreationTime: change.ApproximateCreationDateTime
+      ? new Date(change.ApproximateCreationDateTime * 1000).toISOString()
+      : null,
+  };
+}
+
+module.exports = {
+  getTableName,
+  decodeRecord,
+};
@@ -0,0 +1,44 @@
+/**
+ * Stream handler registry
+ * Handlers are registered for an entity type (see records.js) and one or
+ * more of INSERT, MODIFY and REMOVE; `*` matches any entity type or event.
+ * A handler is an async function of the change event. It may be called more
+ * than once for the same event, so it has to be idempotent.
+ */
+const EVENT_NAMES = ['INSERT', 'MODIFY', 'REMOVE'];
+
+class HandlerRegistry {
+  constructor() {
+    this.handlers = [];
+  }
+
+  /**
+   * Register `handler` under a unique `name`, which identifies it in logs
+   * and dead letters
+   */
+  on(entityType, eventNames, name, handler) {
+    const events = eventNames === '*' ? EVENT_NAMES : [].concat(eventNames);
+
+    const unknown = events.filter(eventName => !EVENT_NAMES.includes(eventName));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown stream events: ${unknown.join(', ')}`);
+    }
+    if (this.handlers.some(entry => entry.name === name)) {
+      throw new Error(`Stream handler already registered: ${name}`);
+    }
+
+    this.handlers.push({ entityType, events, name, handler });
+    return this;
+  }
+
+  getHandlers(entityType, eventName) {
+    return this.handlers.filter(entry => (
+      (entry.entityType === '*' || entry.entityType === entityType) && entry.events.includes(eventName)
+    ));
+  }
+}
+
+module.exports = {
+  EVENT_NAMES,
+  HandlerRegistry,
+};
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { StreamProcessor } = require('./processor');
+
+/**
+ * Local stream driver
+ * Replays a recorded stream through the registered handlers without AWS, to
+ * test handlers offline. A recording is a JSON file holding the records of a
+ * GetRecords response or Lambda event (`{ "Records": [...] }`), an array of
+ * records, or one record per line. Checkpoints and dead letters are kept in
+ * memory and returned.
+ *
+ *   node src/streams/replay.js recording.json
+ */
+const REPLAY_SHARD = 'replay';
+
+class MemoryCheckpoints {
+  constructor() {
+    this.checkpoints = new Map();
+  }
+
+  async getCheckpoint(shardKey) {
+    return this.checkpoints.get(shardKey) || null;
+  }
+
+  async setCheckpoint(shardKey, sequenceNumber, { finished = false } = {}) {
+    this.checkpoints.set(shardKey, { id: shardKey, sequenceNumber, finished });
+  }
+}
+
+class MemoryDeadLetters {
+  constructor() {
+    this.deadLetters = [];
+  }
+
+  async addDeadLetter({ record, event, handler, error, attempts, shardKey }) {
+    const deadLetter = {
+      id: `${event.eventId}#${handler}`,
+      eventId: event.eventId,
+      handler,
+      attempts,
+      error: error.message,
+      shardKey,
+      record,
+    };
+    this.deadLetters.push(deadLetter);
+    return deadLetter;
+  }
+}
+
+function parseRecording(text) {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (error) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  if (Array.isArray(recording)) {
+    return recording;
+  }
+  return recording.Records || [recording];
+}
+
+/**
+ * Run `records` through the handlers of `registry` as one shard, in order.
+ * Retries are immediate unless `retryDelay` is given.
+ */
+async function replay(records, { registry, maxAttempts, retryDelay = 0 }) {
+  const checkpoints = new MemoryCheckpoints();
+  const deadLetters = new MemoryDeadLetters();
+  const processor = new StreamProcessor({ registry, checkpoints, deadLetters, maxAttempts, retryDelay });
+
+  const result = await processor.processRecords(REPLAY_SHARD, records, { finished: true });
+
+  return {
+    ...result,
+    checkpoint: await checkpoints.getCheckpoint(REPLAY_SHARD),
+    deadLetters: deadLetters.deadLetters,
+  };
+}
+
+async function replayFile(file, options) {
+  return replay(parseRecording(fs.readFileSync(file, 'utf8')), options);
+}
+
+if (require.main === module) {
+  const [file] = process.argv.slice(2);
+  if (!file) {
+    console.error('Usage: node src/streams/replay.js <recording.json>');
+    process.exit(1);
+  }
+
+  const { registry } = require('./index');
+
+  replayFile(file, { registry })
+    .then((result) => {
+      console.log(JSON.stringify({
+        processed: result.processed,
+        deadLettered: result.deadLettered,
+        deadLetters: result.deadLetters.map(({ record, ...deadLetter }) => deadLetter),
+      }, null, 2));
+      process.exit(result.deadLettered > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseRecording,
+  replay,
+  replayFile,
+};
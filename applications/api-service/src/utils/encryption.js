@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+// Derive a fixed-length key so any configured secret can be used
+const getKey = () => crypto.createHash('sha256').update(config.encryption.key).digest();
+
+/**
+ * Encrypt a string for storage at rest.
+ * Output format: v1:<iv>:<auth tag>:<ciphertext>, all base64.
+ */
+function encrypt(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [VERSION, iv.toString('base64'), authTag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+function decrypt(payload) {
+  const [version, iv, authTag, ciphertext] = String(payload).split(':');
+  if (version !== VERSION || !iv || !authTag || !ciphertext) {
+    throw new Error('Unsupported encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,53 @@
+const { VersionConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Entity tags for versioned items
+ * The ETag of an item is derived from its `version` attribute, so a client
+ * can send it back in `If-Match` to update or delete only the version it has
+ * seen. Items written before versioning have version 0.
+ */
+const ETAG_PATTERN = /^(?:W\/)?"v(\d+)"$/;
+
+function getETag(item) {
+  return `"v${item.version || 0}"`;
+}
+
+/**
+ * The version required by the request's `If-Match` header, or null when the
+ * header is absent or `*`. A tag that is not one of ours, or a list of
+ * several tags, can never match.
+ */
+function getExpectedVersion(req) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return null;
+  }
+
+  const versions = header.split(',')
+    .map(tag => ETAG_PATTERN.exec(tag.trim()))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+
+  if (versions.length !== 1) {
+    throw new VersionConflictError(null, null);
+  }
+
+  return versions[0];
+}
+
+// Whether a GET can be answered with 304 Not Modified
+function isNotModified(req, item) {
+  const header = req.get('If-None-Match');
+  if (!header) {
+    return false;
+  }
+
+  const etag = getETag(item);
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+module.exports = {
+  getETag,
+  getExpectedVersion,
+  isNotModified,
+};
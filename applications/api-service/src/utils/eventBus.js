@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+const AWS = require('aws-sdk');
+const config = require('../config');
+const logger = require('./logger');
+const { recordMetric } = require('./metrics');
+
+/**
+ * Event bus transports
+ * A transport is an object with an async `publish(event)` method. `memory`
+ * and `file` are meant for tests and local development; `eventbridge` and
+ * `sns` publish to AWS. Delivery is at least once: every transport passes
+ * the event `id` on, which consumers use to drop duplicates (SNS FIFO topics
+ * drop them themselves). Other buses can be added with `registerTransport`.
+ */
+const transportFactories = {
+  memory: () => ({
+    published: [],
+
+    async publish(event) {
+      this.published.push(event);
+    },
+  }),
+
+  // One JSON event per line
+  file: () => ({
+    async publish(event) {
+      await fs.mkdir(path.dirname(config.events.outputFile), { recursive: true });
+      await fs.appendFile(config.events.outputFile, `${JSON.stringify(event)}\n`);
+    },
+  }),
+
+  eventbridge: () => {
+    const eventBridge = new AWS.EventBridge({ region: config.aws.region });
+
+    return {
+      async publish(event) {
+        const result = await eventBridge.putEvents({
+          Entries: [{
+            EventBusName: config.events.eventBusName,
+            Source: event.source,
+            DetailType: event.type,
+            Detail: JSON.stringify(event),
+            Time: new Date(event.occurredAt),
+          }],
+        }).promise();
+
+        if (result.FailedEntryCount > 0) {
+          const [entry] = result.Entries;
+          throw new Error(`EventBridge rejected event: ${entry.ErrorCode} ${entry.ErrorMessage}`);
+        }
+      },
+    };
+  },
+
+  sns: () => {
+    const sns = new AWS.SNS({ region: config.aws.region });
+    const fifo = String(config.events.topicArn).endsWith('.fifo');
+
+    return {
+      async publish(event) {
+        await sns.publish({
+          TopicArn: config.events.topicArn,
+          Message: JSON.stringify(event),
+          MessageAttributes: {
+            eventType: { DataType: 'String', StringValue: event.type },
+            eventVersion: { DataType: 'Number', StringValue: String(event.version) },
+          },
+          ...(fifo && {
+            MessageDeduplicationId: event.id,
+            MessageGroupId: `${event.aggregateType}#${event.aggregateId}`,
+          }),
+        }).promise();
+      },
+    };
+  },
+};
+
+let transport = null;
+
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+// Replace the active transport, e.g. with a test double
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+function getTransport() {
+  if (!transport) {
+    const factory = transportFactories[config.events.transport];
+    if (!factory) {
+      throw new Error(`Unknown event transport: ${config.events.transport}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+}
+
+// Publish an event through the configured transport
+async function publishEvent(event) {
+  try {
+    await getTransport().publish(event);
+    recordMetric('event_published', 1);
+
+    logger.debug({ eventId: event.id, type: event.type }, 'Event published');
+  } catch (error) {
+    recordMetric('event_publish_error', 1);
+    logger.error({ error: error.message, eventId: event.id, type: event.type }, 'Failed to publish event');
+    throw error;
+  }
+}
+
+module.exports = {
+  publishEvent,
+  registerTransport,
+  setTransport,
+  getTransport,
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const config = require('../config');
+const logger = require('./logger');
+const { encrypt, decrypt } = require('./encryption');
+const SigningKeyDatabase = require('../db/signingKeys');
+
+const KEY_TYPES = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+};
+
+// Minimum time between on-demand reloads triggered by an unknown kid
+const RELOAD_THROTTLE = 30000;
+
+/**
+ * JWT Signing Keyring
+ * Each region signs access tokens with its own asymmetric key and publishes
+ * the public keys of all regions. Keys are rotated once per rotation period;
+ * a new key is published `activationDelay` before it starts signing, and the
+ * key it replaces stays published until tokens signed with it have expired.
+ */
+class Keyring {
+  constructor() {
+    this.db = new SigningKeyDatabase();
+    this.keys = new Map();
+    this.lastLoadedAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Load keys and make sure this region has a signing key
+   */
+  async initialize() {
+    await this.load();
+    await this.rotateIfDue();
+  }
+
+  /**
+   * Reload all keys from the table
+   */
+  async load() {
+    const items = await this.db.listKeys();
+    const now = Math.floor(Date.now() / 1000);
+    const keys = new Map();
+
+    items
+      .filter(item => !item.expiresAt || item.expiresAt > now)
+      .forEach((item) => {
+        const existing = this.keys.get(item.id);
+        keys.set(item.id, {
+          kid: item.id,
+          alg: item.alg,
+          region: item.region,
+          createdAt: item.createdAt,
+          activatesAt: item.activatesAt,
+          expiresAt: item.expiresAt || null,
+          jwk: item.publicJwk,
+          publicKey: existing ? existing.publicKey : crypto.createPublicKey({ key: item.publicJwk, format: 'jwk' }),
+          encryptedPrivateKey: item.region === config.aws.region ? item.privateKey : null,
+          privateKey: existing ? existing.privateKey : null,
+        });
+      });
+
+    this.keys = keys;
+    this.lastLoadedAt = Date.now();
+
+    logger.debug({ keyCount: keys.size }, 'Signing keys loaded');
+  }
+
+  /**
+   * Create this region's key for the current rotation period if it is missing
+   */
+  async rotateIfDue() {
+    const { algorithm } = config.keyring;
+    const rotationMs = ms(config.keyring.rotationInterval);
+    const period = Math.floor(Date.now() / rotationMs);
+    const kid = `${config.aws.region}-${algorithm.toLowerCase()}-${period}`;
+
+    if (this.keys.has(kid)) {
+      return;
+    }
+
+    const previousKeys = this.getRegionKeys();
+    const now = new Date();
+
+    // The first key of a region signs immediately; later keys wait until
+    // every region has had a chance to load and publish them
+    const activatesAt = previousKeys.length === 0
+      ? now.toISOString()
+      : new Date(now.getTime() + ms(config.keyring.activationDelay)).toISOString();
+
+    const [type, options] = KEY_TYPES[algorithm];
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+
+    const created = await this.db.createKey({
+      id: kid,
+      alg: algorithm,
+      region: config.aws.region,
+      activatesAt,
+      publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' },
+      privateKey: encrypt(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+    });
+
+    if (created) {
+      // Keep replaced keys published until their last tokens have expired
+      const retireAt = Math.floor((new Date(activatesAt).getTime() + ms(config.jwt.expiresIn) + 60000) / 1000);
+      await Promise.all(previousKeys
+        .filter(key => !key.expiresAt)
+        .map(key => this.db.retireKey(key.kid, retireAt)));
+
+      logger.info({ kid, activatesAt }, 'Signing key rotated');
+    }
+
+    await this.load();
+  }
+
+  /**
+   * Periodically reload keys and rotate when a new period starts
+   */
+  startRotation() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.load()
+        .then(() => this.rotateIfDue())
+        .catch(error => logger.error({ error: error.message }, 'Signing key refresh failed'));
+    }, ms(config.keyring.refreshInterval));
+    this.timer.unref();
+  }
+
+  stopRotation() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Key used to sign new tokens in this region
+   */
+  getSigningKey() {
+    const now = new Date().toISOString();
+    const key = this.getRegionKeys()
+      .filter(candidate => candidate.activatesAt <= now)
+      .pop();
+
+    if (!key) {
+      throw new Error('No active signing key available');
+    }
+
+    if (!key.privateKey) {
+      key.privateKey = crypto.createPrivateKey(decrypt(key.encryptedPrivateKey));
+    }
+
+    return key;
+  }
+
+  /**
+   * Key used to verify a token, reloading once if the kid is not known yet
+   */
+  async getVerificationKey(kid) {
+    if (!this.keys.has(kid) && Date.now() - this.lastLoadedAt > RELOAD_THROTTLE) {
+      await this.load();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Public keys of all regions as a JSON Web Key Set
+   */
+  getJwks() {
+    return {
+      keys: Array.from(this.keys.values()).map(key => key.jwk),
+    };
+  }
+
+  /**
+   * Utility methods
+   */
+  getRegionKeys() {
+    return Array.from(this.keys.values())
+      .filter(key => key.region === config.aws.region)
+      .sort((a, b) => a.activatesAt.localeCompare(b.activatesAt));
+  }
+}
+
+module.exports = new Keyring();
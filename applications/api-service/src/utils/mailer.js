@@ -0,0 +1,104 @@
+const fs = require('fs/promises');
+const path = require('path');
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('./logger');
+const { recordMetric } = require('./metrics');
+
+/**
+ * Mail transports
+ * A transport is an object with an async `send(message)` method. `console`
+ * and `file` are meant for local development; `ses` sends through Amazon SES.
+ * Other providers can be added with `registerTransport`.
+ */
+const transportFactories = {
+  console: () => ({
+    async send(message) {
+      logger.info({ to: message.to, subject: message.subject, text: message.text }, 'Email not sent (console transport)');
+    },
+  }),
+
+  file: () => ({
+    async send(message) {
+      await fs.mkdir(config.mail.outputDir, { recursive: true });
+
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+      await fs.writeFile(path.join(config.mail.outputDir, fileName), JSON.stringify(message, null, 2));
+
+      logger.info({ to: message.to, subject: message.subject, fileName }, 'Email written to file');
+    },
+  }),
+
+  ses: () => {
+    const ses = new AWS.SES({ region: config.aws.region });
+
+    return {
+      async send(message) {
+        const body = { Text: { Data: message.text, Charset: 'UTF-8' } };
+        if (message.html) {
+          body.Html = { Data: message.html, Charset: 'UTF-8' };
+        }
+
+        await ses.sendEmail({
+          Source: message.from,
+          Destination: { ToAddresses: [message.to] },
+          Message: {
+            Subject: { Data: message.subject, Charset: 'UTF-8' },
+            Body: body,
+          },
+        }).promise();
+      },
+    };
+  },
+};
+
+let transport = null;
+
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+}
+
+// Replace the active transport, e.g. with a test double
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+function getTransport() {
+  if (!transport) {
+    const factory = transportFactories[config.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+}
+
+// Send a message through the configured transport
+async function sendMail({ to, subject, text, html = null }) {
+  const message = {
+    from: config.mail.from,
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  try {
+    await getTransport().send(message);
+    recordMetric('email_sent', 1);
+  } catch (error) {
+    recordMetric('email_send_error', 1);
+    logger.error({ error: error.message, subject }, 'Failed to send email');
+    throw error;
+  }
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+};
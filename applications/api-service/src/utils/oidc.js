@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * OpenID Connect federation
+ * Signs users in through external identity providers with the authorization
+ * code flow and PKCE (S256). Providers come from `config.federation.providers`
+ * and can be added with `registerProvider`; a provider may supply its own
+ * `mapClaims(claims)` when its ID tokens do not use the standard claims.
+ * Discovery documents and JWKS are cached in-process per issuer.
+ */
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Only refetch a JWKS for an unknown kid this often, so bad tokens cannot hammer the issuer
+const JWKS_REFRESH_INTERVAL = 60000;
+
+const providers = new Map();
+const metadataCache = new Map();
+const jwksCache = new Map();
+let configLoaded = false;
+
+// Standard OIDC claims to our profile fields
+function defaultMapClaims(claims) {
+  return {
+    email: claims.email,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName: claims.given_name || (claims.name ? claims.name.split(' ')[0] : ''),
+    lastName: claims.family_name || (claims.name ? claims.name.split(' ').slice(1).join(' ') : ''),
+  };
+}
+
+function registerProvider(definition) {
+  if (!definition.id || !definition.issuer || !definition.clientId) {
+    throw new Error('An OIDC provider needs an id, issuer and clientId');
+  }
+
+  providers.set(definition.id, {
+    name: definition.id,
+    clientSecret: null,
+    scopes: ['openid', 'email', 'profile'],
+    redirectUris: [config.federation.redirectUri],
+    allowedDomains: [],
+    jitProvisioning: true,
+    mapClaims: defaultMapClaims,
+    ...definition,
+    issuer: definition.issuer.replace(/\/+$/, ''),
+  });
+}
+
+function loadConfiguredProviders() {
+  if (configLoaded) {
+    return;
+  }
+
+  configLoaded = true;
+  config.federation.providers.forEach((definition) => {
+    try {
+      registerProvider(definition);
+    } catch (error) {
+      logger.error({ error: error.message, providerId: definition.id }, 'Invalid OIDC provider configuration');
+    }
+  });
+}
+
+function getProvider(providerId) {
+  loadConfiguredProviders();
+  return providers.get(providerId) || null;
+}
+
+function listProviders() {
+  loadConfiguredProviders();
+  return Array.from(providers.values()).map(({ id, name }) => ({ id, name }));
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(config.federation.httpTimeout),
+  });
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error(`Request to ${url} failed with status ${response.status}`);
+    error.status = response.status;
+    error.body = body;
+    throw error;
+  }
+
+  return body;
+}
+
+// Provider metadata from its discovery document
+async function getMetadata(provider) {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < config.federation.metadataCacheTtl * 1000) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer !== provider.issuer) {
+    throw new Error('Discovery document issuer does not match the configured issuer');
+  }
+
+  metadataCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+// Public key for a kid, refetching the JWKS when the kid is unknown (key rotation)
+async function getSigningKey(provider, kid) {
+  let cached = jwksCache.get(provider.issuer);
+  const isStale = !cached || Date.now() - cached.fetchedAt >= config.federation.metadataCacheTtl * 1000;
+  const mayRefresh = !cached || Date.now() - cached.fetchedAt >= JWKS_REFRESH_INTERVAL;
+
+  if (isStale || (!cached.keys.has(kid) && mayRefresh)) {
+    const metadata = await getMetadata(provider);
+    const jwks = await fetchJson(metadata.jwks_uri);
+
+    cached = {
+      keys: new Map((jwks.keys || [])
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .map(jwk => [jwk.kid, jwk])),
+      fetchedAt: Date.now(),
+    };
+    jwksCache.set(provider.issuer, cached);
+  }
+
+  const jwk = cached.keys.get(kid);
+  return jwk ? { alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) } : null;
+}
+
+// PKCE verifier and its S256 challenge (RFC 7636)
+function createPkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+}
+
+async function buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeChallenge }) {
+  const metadata = await getMetadata(provider);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+}
+
+// Exchange an authorization code for the provider's tokens
+async function exchangeCode(provider, { code, codeVerifier, redirectUri }) {
+  const metadata = await getMetadata(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // Confidential clients use client_secret_basic, public clients identify themselves in the body
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: params.toString(),
+  });
+}
+
+/**
+ * Verify an ID token's signature against the issuer JWKS, its issuer,
+ * audience, expiry and nonce, and return its claims
+ */
+async function verifyIdToken(provider, idToken, { nonce }) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('ID token is malformed');
+  }
+
+  const signingKey = await getSigningKey(provider, decoded.header.kid);
+  if (!signingKey) {
+    throw new jwt.JsonWebTokenError('ID token is signed with an unknown key');
+  }
+
+  const claims = jwt.verify(idToken, signingKey.key, {
+    algorithms: signingKey.alg ? [signingKey.alg] : ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60,
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new jwt.JsonWebTokenError('ID token was issued to another party');
+  }
+
+  if (!nonce || claims.nonce !== nonce) {
+    throw new jwt.JsonWebTokenError('ID token nonce does not match');
+  }
+
+  return claims;
+}
+
+// Forget cached metadata and keys, e.g. after changing providers in tests
+function resetCaches() {
+  metadataCache.clear();
+  jwksCache.clear();
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resetCaches,
+};
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const config = require('../config');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Earlier page keys kept in a cursor, so `prev` can step back this many pages
+const MAX_HISTORY = 20;
+
+/**
+ * Opaque pagination cursors
+ * A cursor is a base64url string of JSON encrypted and authenticated with
+ * AES-256-GCM, so clients can neither read table keys from it nor forge or
+ * edit one. It holds the DynamoDB key the page starts after, the keys of the
+ * pages before it and a hash of the listing it belongs to (table, index,
+ * partition and tenant), so it cannot be replayed against another listing.
+ * Cursors expire after CURSOR_EXPIRES_IN.
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive a fixed-length key so any configured secret can be used
+const getKey = () => crypto.createHash('sha256').update(config.pagination.cursorSecret).digest();
+
+const hashScope = scope => crypto.createHash('sha256').update(JSON.stringify(scope)).digest('base64url').slice(0, 22);
+
+function encodeCursor(data) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const plaintext = JSON.stringify({
+    ...data,
+    exp: Date.now() + ms(config.pagination.cursorExpiresIn),
+  });
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+/**
+ * Decrypt a cursor and return its payload. Throws ValidationError for a
+ * cursor that was tampered with or has expired.
+ */
+function decodeCursor(cursor) {
+  let data;
+  try {
+    const buffer = Buffer.from(String(cursor), 'base64url');
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+
+    data = JSON.parse(Buffer.concat([
+      decipher.update(buffer.subarray(28)),
+      decipher.final(),
+    ]).toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid pagination cursor');
+  }
+
+  if (!data.exp || data.exp <= Date.now()) {
+    throw new ValidationError('Pagination cursor has expired');
+  }
+
+  return data;
+}
+
+/**
+ * The page a cursor points to: `key` is the exclusive start key (null for
+ * the first page) and `history` the start keys of the pages before it
+ */
+function openCursor(cursor, scope) {
+  const data = decodeCursor(cursor);
+  if (data.s !== hashScope(scope)) {
+    throw new ValidationError('Pagination cursor does not belong to this listing');
+  }
+
+  return { key: data.k || null, history: data.h || [] };
+}
+
+/**
+ * Cursors of the pages after and before `page`, given the key it ended at
+ */
+function getPageCursors(scope, page, lastEvaluatedKey) {
+  const s = hashScope(scope);
+  const previous = page.history.length > 0 ? page.history[page.history.length - 1] : undefined;
+
+  return {
+    nextCursor: lastEvaluatedKey
+      ? encodeCursor({ s, k: lastEvaluatedKey, h: [...page.history, page.key].slice(-MAX_HISTORY) })
+      : null,
+    prevCursor: page.key && previous !== undefined
+      ? encodeCursor({ s, k: previous, h: page.history.slice(0, -1) })
+      : null,
+  };
+}
+
+// Link to the same listing at another cursor, keeping the other query parameters
+function getPageUrl(req, cursor) {
+  const query = new URLSearchParams();
+  Object.entries(req.query).forEach(([name, value]) => {
+    if (name !== 'cursor' && value !== undefined && value !== null) {
+      query.set(name, String(value));
+    }
+  });
+  query.set('cursor', cursor);
+
+  const path = req.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.path}`;
+
+  return `${path}?${query}`;
+}
+
+/**
+ * Pagination block of a listing response for a find() or query() result.
+ * Also sets the `Link` header with the `next` and `prev` pages.
+ */
+function getPagination(req, res, result) {
+  const next = result.nextCursor ? getPageUrl(req, result.nextCursor) : null;
+  const prev = result.prevCursor ? getPageUrl(req, result.prevCursor) : null;
+
+  const links = [];
+  if (next) {
+    links.push(`<${next}>; rel="next"`);
+  }
+  if (prev) {
+    links.push(`<${prev}>; rel="prev"`);
+  }
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
+
+  return {
+    count: result.count,
+    hasMore: !!result.nextCursor,
+    nextCursor: result.nextCursor || null,
+    prevCursor: result.prevCursor || null,
+    next,
+    prev,
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  openCursor,
+  getPageCursors,
+  getPagination,
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const ms = require('ms');
+const config = require('../config');
+const logger = require('./logger');
+const { verifyPassword } = require('./passwords');
+const { PasswordPolicyError } = require('../middleware/errorHandler');
+
+/**
+ * Password policy
+ * `checkPassword` applies the rules that need nothing but the password and
+ * so can run during request validation; `assertPasswordPolicy` adds the
+ * reuse check against stored hashes. Every failure is reported as
+ * `{ rule, message }` so clients can show all of them at once.
+ */
+let denylist = null;
+
+// Load the common password list once
+function getDenylist() {
+  if (!denylist) {
+    try {
+      denylist = new Set(fs.readFileSync(config.passwordPolicy.denylistFile, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#')));
+    } catch (error) {
+      logger.error({ error: error.message, file: config.passwordPolicy.denylistFile }, 'Failed to load password denylist');
+      denylist = new Set();
+    }
+  }
+
+  return denylist;
+}
+
+// Common passwords are rejected as-is and with trailing digits or symbols, e.g. "Password123!"
+function isCommonPassword(password) {
+  const normalized = password.toLowerCase();
+  const base = normalized.replace(/[^a-z]+$/, '');
+
+  return getDenylist().has(normalized) || (base.length > 0 && getDenylist().has(base));
+}
+
+// Parts of the user's email and name that must not appear in the password
+function getPersonalTerms({ email, name, firstName, lastName } = {}) {
+  return [email && email.split('@')[0], ...[name, firstName, lastName].join(' ').split(/\s+/)]
+    .filter(term => term && term.length >= 3)
+    .map(term => term.toLowerCase());
+}
+
+function checkPassword(password, userInputs = {}) {
+  const policy = config.passwordPolicy;
+  const failures = [];
+
+  if (password.length < policy.minLength) {
+    failures.push({ rule: 'minLength', message: `Password must be at least ${policy.minLength} characters long` });
+  }
+
+  if (password.length > policy.maxLength) {
+    failures.push({ rule: 'maxLength', message: `Password must not exceed ${policy.maxLength} characters` });
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    failures.push({ rule: 'lowercase', message: 'Password must contain a lowercase letter' });
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    failures.push({ rule: 'uppercase', message: 'Password must contain an uppercase letter' });
+  }
+
+  if (policy.requireDigit && !/\d/.test(password)) {
+    failures.push({ rule: 'digit', message: 'Password must contain a number' });
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    failures.push({ rule: 'symbol', message: 'Password must contain a special character' });
+  }
+
+  if (isCommonPassword(password)) {
+    failures.push({ rule: 'common', message: 'Password is too common' });
+  }
+
+  const lowered = password.toLowerCase();
+  if (getPersonalTerms(userInputs).some(term => lowered.includes(term))) {
+    failures.push({ rule: 'personalInfo', message: 'Password must not contain your name or email address' });
+  }
+
+  return failures;
+}
+
+// Hashes a new password must not match: the current one and its predecessors
+function getRecentHashes(user) {
+  return [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, config.passwordPolicy.historySize);
+}
+
+// History to store after a change, excluding the new current hash
+function getNextPasswordHistory(user) {
+  return [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, Math.max(config.passwordPolicy.historySize - 1, 0));
+}
+
+async function isReusedPassword(password, hashes) {
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Throw a PasswordPolicyError listing every rule the password fails
+async function assertPasswordPolicy(password, { user = null, userInputs = user || {} } = {}) {
+  const failures = checkPassword(password, userInputs);
+
+  // Reuse is only checked once the cheap rules pass, as it costs a hash verification per entry
+  if (failures.length === 0 && user && await isReusedPassword(password, getRecentHashes(user))) {
+    failures.push({
+      rule: 'history',
+      message: `Password must not match any of your last ${config.passwordPolicy.historySize} passwords`,
+    });
+  }
+
+  if (failures.length > 0) {
+    throw new PasswordPolicyError(failures);
+  }
+}
+
+function isPasswordExpired(user) {
+  if (!config.passwordPolicy.maxAge) {
+    return false;
+  }
+
+  const changedAt = Date.parse(user.passwordChangedAt || user.createdAt);
+  return Number.isFinite(changedAt) && Date.now() - changedAt > ms(config.passwordPolicy.maxAge);
+}
+
+module.exports = {
+  checkPassword,
+  assertPasswordPolicy,
+  getNextPasswordHistory,
+  isPasswordExpired,
+};
@@ -0,0 +1,81 @@
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * Password hashing service
+ * Stored hashes are self-describing: argon2 hashes are PHC strings starting
+ * with `$argon2id$` and bcrypt hashes start with `$2a$`, `$2b$` or `$2y$`.
+ * New hashes use the configured algorithm; both formats can be verified.
+ */
+const ARGON2_PATTERN = /^\$argon2id\$v=(\d+)\$m=(\d+),t=(\d+),p=(\d+)\$/;
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+// Identify the algorithm of a stored hash from its prefix
+function getAlgorithm(hash) {
+  if (typeof hash !== 'string') {
+    return null;
+  }
+
+  if (ARGON2_PATTERN.test(hash)) {
+    return 'argon2id';
+  }
+
+  if (BCRYPT_PATTERN.test(hash)) {
+    return 'bcrypt';
+  }
+
+  return null;
+}
+
+async function hashPassword(password) {
+  if (config.passwords.algorithm === 'bcrypt') {
+    return bcrypt.hash(password, config.passwords.bcryptRounds);
+  }
+
+  return argon2.hash(password, {
+    type: argon2.argon2id,
+    ...config.passwords.argon2,
+  });
+}
+
+async function verifyPassword(password, hash) {
+  switch (getAlgorithm(hash)) {
+    case 'argon2id':
+      return argon2.verify(hash, password);
+    case 'bcrypt':
+      return bcrypt.compare(password, hash);
+    default:
+      logger.warn('Stored password hash has an unknown format');
+      return false;
+  }
+}
+
+// Whether a stored hash uses another algorithm or weaker parameters than the current policy
+function needsRehash(hash) {
+  const algorithm = getAlgorithm(hash);
+
+  if (algorithm !== config.passwords.algorithm) {
+    return true;
+  }
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.getRounds(hash) < config.passwords.bcryptRounds;
+  }
+
+  const [, version, memoryCost, timeCost, parallelism] = hash.match(ARGON2_PATTERN).map(Number);
+  const policy = config.passwords.argon2;
+
+  return version < 19 ||
+    memoryCost < policy.memoryCost ||
+    timeCost < policy.timeCost ||
+    parallelism < policy.parallelism;
+}
+
+module.exports = {
+  getAlgorithm,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+};
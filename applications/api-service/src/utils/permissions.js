@@ -0,0 +1,147 @@
+const ms = require('ms');
+const config = require('../config');
+const logger = require('./logger');
+const RoleDatabase = require('../db/roles');
+
+const roleDb = new RoleDatabase();
+
+/**
+ * Permission catalog
+ * A permission ending in `:self` only applies to the caller's own resources.
+ */
+const PERMISSIONS = [
+  'users:read',
+  'users:read:self',
+  'users:write',
+  'users:write:self',
+  'users:deactivate',
+  'users:deactivate:self',
+  'users:delete',
+  'users:list',
+  'users:impersonate',
+  'users:unlock',
+  'sessions:read',
+  'sessions:read:self',
+  'sessions:terminate',
+  'sessions:terminate:self',
+  'roles:manage',
+  'api-keys:manage',
+  'oauth-clients:manage',
+  'organizations:manage',
+];
+
+// Roles that always exist and cannot be changed through the API
+const BUILT_IN_ROLES = {
+  user: {
+    description: 'Regular user',
+    permissions: [
+      'users:read:self',
+      'users:write:self',
+      'users:deactivate:self',
+      'sessions:read:self',
+      'sessions:terminate:self',
+    ],
+  },
+  admin: {
+    description: 'Full access',
+    permissions: ['*'],
+  },
+};
+
+// Admin-defined roles, kept in memory so tokens can be issued synchronously
+let customRoles = {};
+let refreshTimer = null;
+
+// Load admin-defined roles from the table
+async function loadRoles() {
+  const roles = await roleDb.listRoles();
+
+  customRoles = roles.reduce((acc, role) => {
+    acc[role.id] = { description: role.description, permissions: role.permissions || [] };
+    return acc;
+  }, {});
+
+  logger.debug({ roleCount: roles.length }, 'Role definitions loaded');
+}
+
+// Periodically pick up role changes made on other instances and regions
+function startRoleRefresh() {
+  if (refreshTimer) {
+    return;
+  }
+
+  refreshTimer = setInterval(() => {
+    loadRoles().catch(error => logger.error({ error: error.message }, 'Role refresh failed'));
+  }, ms(config.permissions.refreshInterval));
+  refreshTimer.unref();
+}
+
+function stopRoleRefresh() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+// Update the in-memory copy after a local change
+function setRole(name, definition) {
+  customRoles[name] = { description: definition.description, permissions: definition.permissions };
+}
+
+function removeRole(name) {
+  delete customRoles[name];
+}
+
+function getRoles() {
+  return {
+    ...Object.fromEntries(Object.entries(customRoles).map(([name, role]) => [name, { ...role, builtIn: false }])),
+    ...Object.fromEntries(Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, { ...role, builtIn: true }])),
+  };
+}
+
+// Resolve the permissions granted by a list of role names
+function resolvePermissions(roles = []) {
+  const permissions = new Set();
+
+  roles.forEach((name) => {
+    const role = BUILT_IN_ROLES[name] || customRoles[name];
+    if (role) {
+      role.permissions.forEach(permission => permissions.add(permission));
+    }
+  });
+
+  return Array.from(permissions).sort();
+}
+
+// Check a single granted permission, supporting `*` and `resource:*` wildcards
+function matchesPermission(granted, required) {
+  if (granted === '*' || granted === required) {
+    return true;
+  }
+
+  if (granted.endsWith(':*')) {
+    return required.startsWith(granted.slice(0, -1));
+  }
+
+  return false;
+}
+
+// Check whether granted permissions satisfy a requirement; `:self` grants count when acting on oneself
+function hasPermission(grantedPermissions = [], required, { isSelf = false } = {}) {
+  return grantedPermissions.some(granted => (
+    matchesPermission(granted, required) ||
+    (isSelf && matchesPermission(granted, `${required}:self`))
+  ));
+}
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  loadRoles,
+  startRoleRefresh,
+  stopRoleRefresh,
+  setRole,
+  removeRole,
+  getRoles,
+  resolvePermissions,
+  matchesPermission,
+  hasPermission,
+};
@@ -0,0 +1,71 @@
+/**
+ * Text search helpers
+ * Text is folded to lower case without accents ("Zoë" and "ZOE" are both
+ * "zoe") and split into words on anything that is not a letter or digit.
+ * A query matches a document when every query word is a prefix of one of
+ * its words.
+ */
+
+// Shortest indexed and searched word; also the length of an index partition prefix
+const MIN_TERM_LENGTH = 2;
+
+// Words indexed per document and searched per query
+const MAX_TERMS = 12;
+const MAX_QUERY_TERMS = 5;
+
+function normalize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+// Unique words of a text, in order of appearance
+function tokenize(text) {
+  if (text === undefined || text === null) {
+    return [];
+  }
+
+  const words = normalize(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= MIN_TERM_LENGTH);
+
+  return [...new Set(words)];
+}
+
+/**
+ * Index terms of a document as a Map of word to weight, from a map of field
+ * name to weight; a word found in several fields keeps the highest weight
+ */
+function getTerms(document, weights) {
+  const terms = new Map();
+
+  Object.entries(weights).forEach(([field, weight]) => {
+    tokenize(document[field]).forEach((term) => {
+      if (!terms.has(term) && terms.size >= MAX_TERMS) {
+        return;
+      }
+      terms.set(term, Math.max(terms.get(term) || 0, weight));
+    });
+  });
+
+  return terms;
+}
+
+function parseQuery(query) {
+  return tokenize(query).slice(0, MAX_QUERY_TERMS);
+}
+
+// Score of an indexed term for a query word it starts with; whole words rank first
+function scoreMatch(term, weight, queryTerm) {
+  return term === queryTerm ? weight * 2 : weight;
+}
+
+module.exports = {
+  MIN_TERM_LENGTH,
+  normalize,
+  tokenize,
+  getTerms,
+  parseQuery,
+  scoreMatch,
+};
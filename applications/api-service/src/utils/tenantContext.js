@@ -0,0 +1,37 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+/**
+ * Tenant context
+ * The tenant of the current request, carried across async calls with
+ * AsyncLocalStorage so every database call can be scoped without passing it
+ * around. Code running outside a request (startup, background jobs) uses the
+ * default tenant unless it is wrapped in `runWithTenant`.
+ */
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+const storage = new AsyncLocalStorage();
+
+function runWithTenant(tenantId, fn) {
+  return storage.run({ tenantId }, fn);
+}
+
+function getTenantId() {
+  const store = storage.getStore();
+  return store ? store.tenantId : config.tenancy.defaultTenant;
+}
+
+function isDefaultTenant(tenantId = getTenantId()) {
+  return tenantId === config.tenancy.defaultTenant;
+}
+
+function isValidTenantId(tenantId) {
+  return typeof tenantId === 'string' && TENANT_ID_PATTERN.test(tenantId);
+}
+
+module.exports = {
+  runWithTenant,
+  getTenantId,
+  isDefaultTenant,
+  isValidTenantId,
+};
@@ -0,0 +1,29 @@
+const logger = require('./logger');
+const UserDatabase = require('../db/users');
+
+/**
+ * Recompute the user counters and search index from the table, correcting
+ * any drift. Runs as one scheduled job for the whole deployment rather than
+ * in every server, so only one scan reconciles at a time:
+ *
+ *   node src/utils/userCounters.js
+ */
+async function reconcileUserCounters(userDb = new UserDatabase()) {
+  const counters = await userDb.reconcileCounters();
+  const userCount = await userDb.rebuildSearchIndex();
+
+  return { counters, userCount };
+}
+
+if (require.main === module) {
+  reconcileUserCounters()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error({ error: error.message }, 'User counter reconciliation failed');
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  reconcileUserCounters,
+};
@@ -0,0 +1,138 @@
+const ApiKeyDatabase = require('../src/db/apiKeys');
+const config = require('../src/config');
+const { NotFoundError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('ApiKeyDatabase', () => {
+  let apiKeyDb;
+  let mockClient;
+
+  beforeEach(() => {
+    apiKeyDb = new ApiKeyDatabase();
+    mockClient = apiKeyDb.client;
+    jest.clearAllMocks();
+
+    mockClient.put.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({}),
+    });
+    mockClient.update.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({ Attributes: {} }),
+    });
+  });
+
+  const createStoredKey = async (overrides = {}) => {
+    const { key } = await apiKeyDb.createKey({
+      name: 'Partner integration',
+      ownerId: 'partner-acme',
+      scopes: ['users:read'],
+    });
+    const { Item } = mockClient.put.mock.calls[0][0];
+
+    mockClient.get.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({ Item: { ...Item, ...overrides } }),
+    });
+
+    return { key, item: Item };
+  };
+
+  describe('createKey', () => {
+    it('should store only a hash of the secret', async () => {
+      const { key, item } = await createStoredKey();
+
+      expect(key).toMatch(/^mrk_[0-9a-f]{12}_[0-9a-f]{64}$/);
+      expect(item.id).toBe(key.split('_')[1]);
+      expect(item.hash).toBe(apiKeyDb.hashSecret(key.split('_')[2]));
+      expect(JSON.stringify(item)).not.toContain(key.split('_')[2]);
+    });
+  });
+
+  describe('verifyKey', () => {
+    it('should return key metadata for a valid key', async () => {
+      const { key, item } = await createStoredKey();
+
+      const result = await apiKeyDb.verifyKey(key);
+
+      expect(result).toMatchObject({
+        id: item.id,
+        ownerId: 'partner-acme',
+        scopes: ['users:read'],
+      });
+      expect(result).not.toHaveProperty('hash');
+    });
+
+    it('should reject a key with the wrong secret', async () => {
+      const { key } = await createStoredKey();
+      const tampered = `${key.slice(0, -1)}${key.endsWith('0') ? '1' : '0'}`;
+
+      await expect(apiKeyDb.verifyKey(tampered)).resolves.toBeNull();
+    });
+
+    it('should reject revoked and expired keys', async () => {
+      const { key } = await createStoredKey({ status: 'revoked' });
+      await expect(apiKeyDb.verifyKey(key)).resolves.toBeNull();
+
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Item: { ...mockClient.put.mock.calls[0][0].Item, expiresAt: new Date(Date.now() - 1000).toISOString() },
+        }),
+      });
+      await expect(apiKeyDb.verifyKey(key)).resolves.toBeNull();
+    });
+
+    it('should reject malformed keys without a lookup', async () => {
+      await expect(apiKeyDb.verifyKey('not-a-managed-key')).resolves.toBeNull();
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isLegacyKey', () => {
+    const { legacyKey, acceptLegacyKey } = config.apiKeys;
+
+    afterEach(() => {
+      Object.assign(config.apiKeys, { legacyKey, acceptLegacyKey });
+    });
+
+    it('should accept the shared key until it is turned off', () => {
+      Object.assign(config.apiKeys, { legacyKey: 'shared-key', acceptLegacyKey: true });
+
+      expect(apiKeyDb.isLegacyKey('shared-key')).toBe(true);
+      expect(apiKeyDb.isLegacyKey('other-key')).toBe(false);
+
+      config.apiKeys.acceptLegacyKey = false;
+      expect(apiKeyDb.isLegacyKey('shared-key')).toBe(false);
+    });
+
+    it('should accept nothing when no shared key is configured', () => {
+      Object.assign(config.apiKeys, { legacyKey: undefined, acceptLegacyKey: true });
+
+      expect(apiKeyDb.isLegacyKey('undefined')).toBe(false);
+    });
+  });
+
+  describe('rotateKey', () => {
+    it('should throw NotFoundError for unknown keys', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      await expect(apiKeyDb.rotateKey('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 const UserDatabase = require('../src/db/users');
 const BaseDatabase = require('../src/db/base');
-const bcrypt = require('bcrypt');
-const { ConflictError, NotFoundError } = require('../src/middleware/errorHandler');
+const passwords = require('../src/utils/passwords');
+const LoginAttemptDatabase = require('../src/db/loginAttempts');
+const { ConflictError, NotFoundError, VersionConflictError } = require('../src/middleware/errorHandler');
 
 // Mock AWS SDK
 jest.mock('aws-sdk', () => ({
@@ -17,12 +18,27 @@ jest.mock('aws-sdk', () => ({
       scan: jest.fn(() => ({ promise: jest.fn() })),
       query: jest.fn(() => ({ promise: jest.fn() })),
       batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+      transactWrite: jest.fn(() => ({ promise: jest.fn() })),
     })),
   },
 }));
 
-// Mock bcrypt
-jest.mock('bcrypt');
+// Mock password hashing
+jest.mock('../src/utils/passwords', () => ({
+  hashPassword: jest.fn(),
+  verifyPassword: jest.fn(),
+  needsRehash: jest.fn(() => false),
+  getAlgorithm: jest.fn(),
+}));
+
+// Mock password policy
+jest.mock('../src/utils/passwordPolicy', () => ({
+  assertPasswordPolicy: jest.fn(),
+  getNextPasswordHistory: jest.fn(() => []),
+}));
+
+// Mock the failed login limiter
+jest.mock('../src/db/loginAttempts');
 
 // Mock logger
 jest.mock('../src/utils/logger', () => ({
@@ -43,11 +59,16 @@ jest.mock('../src/utils/cache', () => ({
 describe('UserDatabase', () => {
   let userDb;
   let mockClient;
+  let loginAttempts;
 
   beforeEach(() => {
     userDb = new UserDatabase();
     mockClient = userDb.client;
+    loginAttempts = userDb.loginAttempts;
     jest.clearAllMocks();
+    loginAttempts.getStatus.mockResolvedValue({ locked: false, retryAfter: 0, captchaRequired: false });
+    loginAttempts.recordFailure.mockResolvedValue({ locked: false, retryAfter: 0, captchaRequired: false });
+    loginAttempts.unlockAccount.mockResolvedValue(0);
   });
 
   describe('createUser', () => {
@@ -64,11 +85,11 @@ describe('UserDatabase', () => {
         promise: jest.fn().mockResolvedValue({ Items: [] }),
       });
 
-      // Mock bcrypt hash
-      bcrypt.hash.mockResolvedValue('hashedpassword');
+      // Mock password hash
+      passwords.hashPassword.mockResolvedValue('hashedpassword');
 
-      // Mock put operation
-      mockClient.put.mockReturnValue({
+      // Mock transaction
+      mockClient.transactWrite.mockReturnValue({
         promise: jest.fn().mockResolvedValue({}),
       });
 
@@ -84,8 +105,16 @@ describe('UserDatabase', () => {
       });
 
       expect(result).not.toHaveProperty('password');
-      expect(bcrypt.hash).toHaveBeenCalledWith(userData.password, 12);
-      expect(mockClient.put).toHaveBeenCalled();
+      expect(passwords.hashPassword).toHaveBeenCalledWith(userData.password);
+      expect(mockClient.transactWrite.mock.calls[0][0].TransactItems).toEqual([
+        { Put: expect.objectContaining({ Item: expect.objectContaining({ id: result.id, email: 'test@example.com' }) }) },
+        { Put: expect.objectContaining({ Item: expect.objectContaining({ id: 'EMAIL#test@example.com', userId: result.id }) }) },
+        { Update: expect.objectContaining({ Key: { id: 'COUNTER#users' } }) },
+        ...['john', 'doe', 'test', 'example', 'com'].map(term => ({
+          Put: expect.objectContaining({ Item: expect.objectContaining({ id: `SEARCH#${result.id}#${term}`, term }) }),
+        })),
+        { Put: expect.objectContaining({ Item: expect.objectContaining({ eventType: 'user.created' }) }) },
+      ]);
     });
 
     it('should throw ConflictError if email already exists', async () => {
@@ -97,7 +126,24 @@ describe('UserDatabase', () => {
       });
 
       await expect(userDb.createUser(userData)).rejects.toThrow(ConflictError);
-      expect(mockClient.put).not.toHaveBeenCalled();
+      expect(mockClient.transactWrite).not.toHaveBeenCalled();
+    });
+
+    it('should throw ConflictError if the email is claimed concurrently', async () => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [] }),
+      });
+
+      passwords.hashPassword.mockResolvedValue('hashedpassword');
+
+      mockClient.transactWrite.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(Object.assign(
+          new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [None, ConditionalCheckFailed]'),
+          { code: 'TransactionCanceledException' },
+        )),
+      });
+
+      await expect(userDb.createUser(userData)).rejects.toThrow(ConflictError);
     });
 
     it('should handle database errors', async () => {
@@ -105,9 +151,9 @@ describe('UserDatabase', () => {
         promise: jest.fn().mockResolvedValue({ Items: [] }),
       });
 
-      bcrypt.hash.mockResolvedValue('hashedpassword');
+      passwords.hashPassword.mockResolvedValue('hashedpassword');
 
-      mockClient.put.mockReturnValue({
+      mockClient.transactWrite.mockReturnValue({
         promise: jest.fn().mockRejectedValue(new Error('Database error')),
       });
 
@@ -193,110 +239,31 @@ describe('UserDatabase', () => {
     });
   });
 
-  describe('authenticateUser', () => {
-    const email = 'test@example.com';
+  describe('upgradePasswordHash', () => {
     const password = 'password123';
-    const mockUser = {
-      id: 'user-123',
-      email,
-      password: 'hashedpassword',
-      firstName: 'John',
-      lastName: 'Doe',
-      isActive: true,
-      loginAttempts: 0,
-      lockedUntil: null,
-    };
-
-    it('should authenticate user successfully', async () => {
-      mockClient.query.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({
-          Items: [mockUser],
-        }),
-      });
-
-      bcrypt.compare.mockResolvedValue(true);
-
-      mockClient.update.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({}),
-      });
-
-      const result = await userDb.authenticateUser(email, password);
-
-      expect(result).toMatchObject({
-        id: mockUser.id,
-        email: mockUser.email,
-        firstName: mockUser.firstName,
-        lastName: mockUser.lastName,
-      });
-
-      expect(result).not.toHaveProperty('password');
-      expect(bcrypt.compare).toHaveBeenCalledWith(password, mockUser.password);
-      expect(mockClient.update).toHaveBeenCalled(); // Updates lastLoginAt
-    });
-
-    it('should throw NotFoundError for non-existent user', async () => {
-      mockClient.query.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({
-          Items: [],
-        }),
-      });
-
-      await expect(userDb.authenticateUser(email, password)).rejects.toThrow(NotFoundError);
-      expect(bcrypt.compare).not.toHaveBeenCalled();
-    });
 
-    it('should throw NotFoundError for invalid password', async () => {
-      mockClient.query.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({
-          Items: [mockUser],
-        }),
-      });
-
-      bcrypt.compare.mockResolvedValue(false);
-
-      // Mock update for incrementing login attempts
-      mockClient.get.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({ Item: mockUser }),
-      });
+    it('should re-hash a password below the current policy', async () => {
+      passwords.needsRehash.mockReturnValueOnce(true);
+      passwords.hashPassword.mockResolvedValue('$argon2id$upgraded');
 
       mockClient.update.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({}),
+        promise: jest.fn().mockResolvedValue({ Attributes: {} }),
       });
 
-      await expect(userDb.authenticateUser(email, password)).rejects.toThrow(NotFoundError);
-      expect(bcrypt.compare).toHaveBeenCalledWith(password, mockUser.password);
-    });
-
-    it('should throw error for locked account', async () => {
-      const lockedUser = {
-        ...mockUser,
-        lockedUntil: new Date(Date.now() + 30 * 60 * 1000).toISOString(), // 30 minutes from now
-      };
+      await expect(userDb.upgradePasswordHash('user-123', password, 'hashedpassword')).resolves.toBe(true);
 
-      mockClient.query.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({
-          Items: [lockedUser],
-        }),
-      });
-
-      await expect(userDb.authenticateUser(email, password)).rejects.toThrow(/locked/);
-      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(passwords.needsRehash).toHaveBeenCalledWith('hashedpassword');
+      expect(passwords.hashPassword).toHaveBeenCalledWith(password);
+      expect(mockClient.update.mock.calls[0][0].ExpressionAttributeValues).toEqual(
+        expect.objectContaining({ ':val0': '$argon2id$upgraded' })
+      );
     });
 
-    it('should throw error for inactive account', async () => {
-      const inactiveUser = {
-        ...mockUser,
-        isActive: false,
-      };
-
-      mockClient.query.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({
-          Items: [inactiveUser],
-        }),
-      });
+    it('should leave a current hash alone', async () => {
+      await expect(userDb.upgradePasswordHash('user-123', password, '$argon2id$current')).resolves.toBe(false);
 
-      await expect(userDb.authenticateUser(email, password)).rejects.toThrow(/deactivated/);
-      expect(bcrypt.compare).not.toHaveBeenCalled();
+      expect(passwords.hashPassword).not.toHaveBeenCalled();
+      expect(mockClient.update).not.toHaveBeenCalled();
     });
   });
 
@@ -324,10 +291,10 @@ describe('UserDatabase', () => {
       });
 
       // Mock password verification
-      bcrypt.compare.mockResolvedValue(true);
+      passwords.verifyPassword.mockResolvedValue(true);
 
       // Mock password hashing
-      bcrypt.hash.mockResolvedValue('hashednewpassword');
+      passwords.hashPassword.mockResolvedValue('hashednewpassword');
 
       // Mock update
       mockClient.update.mockReturnValue({
@@ -337,8 +304,8 @@ describe('UserDatabase', () => {
       const result = await userDb.updatePassword(userId, currentPassword, newPassword);
 
       expect(result).toEqual({ message: 'Password updated successfully' });
-      expect(bcrypt.compare).toHaveBeenCalledWith(currentPassword, mockUser.password);
-      expect(bcrypt.hash).toHaveBeenCalledWith(newPassword, 12);
+      expect(passwords.verifyPassword).toHaveBeenCalledWith(currentPassword, mockUser.password);
+      expect(passwords.hashPassword).toHaveBeenCalledWith(newPassword);
       expect(mockClient.update).toHaveBeenCalled();
     });
 
@@ -362,7 +329,7 @@ describe('UserDatabase', () => {
         }),
       });
 
-      bcrypt.compare.mockResolvedValue(false);
+      passwords.verifyPassword.mockResolvedValue(false);
 
       await expect(userDb.updatePassword(userId, currentPassword, newPassword))
         .rejects.toThrow(/incorrect/);
@@ -411,67 +378,314 @@ describe('UserDatabase', () => {
     });
   });
 
-  describe('incrementLoginAttempts', () => {
+  describe('unlockLogin', () => {
     const userId = 'user-123';
-    const mockUser = {
-      id: userId,
-      loginAttempts: 2,
-    };
 
-    it('should increment login attempts', async () => {
+    it('should clear the failed login counters of the user', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: { id: userId, email: 'test@example.com' } }),
+      });
+
+      await userDb.unlockLogin(userId);
+
+      expect(loginAttempts.unlockAccount).toHaveBeenCalledWith('test@example.com');
+    });
+
+    it('should throw NotFoundError for non-existent user', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: null }),
+      });
+
+      await expect(userDb.unlockLogin(userId)).rejects.toThrow(NotFoundError);
+      expect(loginAttempts.unlockAccount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email claims', () => {
+    const userId = 'user-123';
+    const mockUser = { id: userId, email: 'old@example.com', version: 3 };
+
+    const cancelled = reasons => Object.assign(
+      new Error(`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(', ')}]`),
+      { code: 'TransactionCanceledException' },
+    );
+
+    beforeEach(() => {
       mockClient.get.mockReturnValue({
         promise: jest.fn().mockResolvedValue({ Item: mockUser }),
       });
+    });
 
-      mockClient.update.mockReturnValue({
+    it('should move the claim together with the email', async () => {
+      mockClient.transactWrite.mockReturnValue({
         promise: jest.fn().mockResolvedValue({}),
       });
 
-      await userDb.incrementLoginAttempts(userId);
+      await userDb.changeEmail(userId, 'New@Example.com');
 
-      expect(mockClient.update).toHaveBeenCalledWith(
-        expect.objectContaining({
-          UpdateExpression: expect.stringContaining('loginAttempts'),
-          ExpressionAttributeValues: expect.objectContaining({
-            ':val0': 3,
-          }),
+      const [update, put, del] = mockClient.transactWrite.mock.calls[0][0].TransactItems;
+      expect(update.Update).toMatchObject({
+        Key: { id: userId },
+        ConditionExpression: 'attribute_exists(id) AND #version = :expectedVersion',
+        ExpressionAttributeValues: expect.objectContaining({ ':expectedVersion': 3 }),
+      });
+      expect(Object.values(update.Update.ExpressionAttributeValues)).toEqual(expect.arrayContaining(['new@example.com', false]));
+      expect(put.Put.Item).toMatchObject({ id: 'EMAIL#new@example.com', userId });
+      expect(del.Delete).toMatchObject({
+        Key: { id: 'EMAIL#old@example.com' },
+        ExpressionAttributeValues: { ':userId': userId },
+      });
+    });
+
+    it('should throw ConflictError if another user holds the email', async () => {
+      mockClient.transactWrite.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(cancelled(['None', 'ConditionalCheckFailed', 'None'])),
+      });
+
+      await expect(userDb.changeEmail(userId, 'taken@example.com')).rejects.toThrow(ConflictError);
+    });
+
+    it('should reject a stale expected version before writing', async () => {
+      await expect(userDb.changeEmail(userId, 'new@example.com', { expectedVersion: 2 })).rejects.toThrow(VersionConflictError);
+      expect(mockClient.transactWrite).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when deleting a user', async () => {
+      mockClient.transactWrite.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      await userDb.deleteUser(userId);
+
+      expect(mockClient.transactWrite.mock.calls[0][0].TransactItems).toEqual([
+        { Delete: expect.objectContaining({ Key: { id: userId } }) },
+        { Delete: expect.objectContaining({ Key: { id: 'EMAIL#old@example.com' } }) },
+        { Update: expect.objectContaining({ Key: { id: 'COUNTER#users' } }) },
+        ...['old', 'example', 'com'].map(term => ({
+          Delete: expect.objectContaining({ Key: { id: `SEARCH#${userId}#${term}` } }),
+        })),
+        { Put: expect.objectContaining({ Item: expect.objectContaining({ eventType: 'user.deleted' }) }) },
+      ]);
+    });
+
+    it('should leave email claims out of user listings', async () => {
+      mockClient.scan.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [], ScannedCount: 0 }),
+      });
+
+      await userDb.getUsers({ scan: true });
+
+      expect(mockClient.scan.mock.calls[0][0]).toMatchObject({
+        FilterExpression: expect.stringContaining('attribute_not_exists(#itemType)'),
+        ExpressionAttributeNames: expect.objectContaining({ '#itemType': 'type' }),
+      });
+    });
+  });
+
+  describe('getUsers', () => {
+    beforeEach(() => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [] }),
+      });
+    });
+
+    it('should list the newest users of the tenant from the tenant index', async () => {
+      await userDb.getUsers({ role: 'admin' });
+
+      expect(mockClient.scan).not.toHaveBeenCalled();
+      expect(mockClient.query.mock.calls[0][0]).toMatchObject({
+        IndexName: 'tenantId-createdAt-index',
+        KeyConditionExpression: '#tenantId = :tenantId',
+        ExpressionAttributeValues: expect.objectContaining({ ':tenantId': 'default', ':role': 'admin' }),
+        ScanIndexForward: false,
+      });
+    });
+
+    it('should query one status partition when filtering by status', async () => {
+      await userDb.getUsers({ isActive: false });
+
+      expect(mockClient.query.mock.calls[0][0]).toMatchObject({
+        IndexName: 'tenantStatus-createdAt-index',
+        ExpressionAttributeValues: expect.objectContaining({ ':tenantStatus': 'default#inactive' }),
+      });
+    });
+
+    it('should look up a whole email address in the email index', async () => {
+      await userDb.getUsers({ search: 'Jane@Example.com' });
+
+      expect(mockClient.query.mock.calls[0][0]).toMatchObject({
+        IndexName: 'email-index',
+        ExpressionAttributeValues: expect.objectContaining({ ':email': 'jane@example.com' }),
+      });
+      expect(mockClient.query.mock.calls[0][0].ExpressionAttributeValues).not.toHaveProperty(':search');
+    });
+
+    it('should keep reading until the page is full', async () => {
+      mockClient.query
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({ Items: [{ id: 'user-1' }], LastEvaluatedKey: { id: 'user-1' } }),
         })
-      );
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({ Items: [{ id: 'user-2' }] }),
+        });
+
+      const result = await userDb.getUsers({ limit: 2, search: 'jane' });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+      expect(result.items.map(user => user.id)).toEqual(['user-1', 'user-2']);
     });
+  });
 
-    it('should lock account after max attempts', async () => {
-      const userWithManyAttempts = {
-        id: userId,
-        loginAttempts: 4, // Next attempt will be 5 (max)
-      };
+  describe('user counters', () => {
+    const userId = 'user-123';
+    const mockUser = { id: userId, email: 'user@example.com', isActive: true, emailVerified: false, roles: ['user'], version: 3 };
+
+    const counterDeltas = (action) => {
+      const { ExpressionAttributeNames: names, ExpressionAttributeValues: values } = action.Update;
+      return Object.keys(names)
+        .filter(name => name.startsWith('#counter'))
+        .reduce((acc, name) => ({ ...acc, [names[name]]: values[name.replace('#counter', ':delta')] }), {});
+    };
 
+    beforeEach(() => {
       mockClient.get.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({ Item: userWithManyAttempts }),
+        promise: jest.fn().mockResolvedValue({ Item: mockUser }),
+      });
+      mockClient.transactWrite.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
       });
+    });
+
+    it('should count a new user in the same transaction', () => {
+      const action = userDb.getCounterAction(null, mockUser);
+
+      expect(action.Update.UpdateExpression).toContain('ADD');
+      expect(counterDeltas(action)).toEqual({ total: 1, active: 1, 'role:user': 1 });
+    });
 
+    it('should move the counters when a user is deactivated', async () => {
+      await userDb.deactivateUser(userId);
+
+      const [update, counter] = mockClient.transactWrite.mock.calls[0][0].TransactItems;
+      expect(update.Update).toMatchObject({
+        Key: { id: userId },
+        ExpressionAttributeValues: expect.objectContaining({ ':expectedVersion': 3 }),
+      });
+      expect(counterDeltas(counter)).toEqual({ active: -1 });
+    });
+
+    it('should count role changes', () => {
+      const action = userDb.getCounterAction(mockUser, { ...mockUser, roles: ['user', 'admin'] });
+
+      expect(counterDeltas(action)).toEqual({ 'role:admin': 1 });
+    });
+
+    it('should not touch the counters for other updates', async () => {
       mockClient.update.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({}),
+        promise: jest.fn().mockResolvedValue({ Attributes: mockUser }),
       });
 
-      await userDb.incrementLoginAttempts(userId);
+      await userDb.updateById(userId, { isActive: true });
 
-      expect(mockClient.update).toHaveBeenCalledWith(
-        expect.objectContaining({
-          ExpressionAttributeValues: expect.objectContaining({
-            ':val0': 5, // attempts
-            ':val1': expect.any(String), // lockedUntil timestamp
+      expect(mockClient.transactWrite).not.toHaveBeenCalled();
+      expect(mockClient.update).toHaveBeenCalled();
+    });
+
+    it('should retry when the user changed since it was read', async () => {
+      mockClient.transactWrite
+        .mockReturnValueOnce({
+          promise: jest.fn().mockRejectedValue(Object.assign(
+            new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]'),
+            { code: 'TransactionCanceledException' },
+          )),
+        });
+
+      await userDb.updateById(userId, { emailVerified: true });
+
+      expect(mockClient.transactWrite).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report stats from the counter item', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Item: { id: 'COUNTER#users', type: 'counter', total: 10, active: 7, verified: 4, 'role:admin': 2 },
+        }),
+      });
+
+      const stats = await userDb.getStats();
+
+      expect(stats).toMatchObject({ total: 10, active: 7, inactive: 3, verified: 4, roles: { admin: 2 } });
+    });
+
+    it('should recompute the counters of every tenant from a scan', async () => {
+      mockClient.scan
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Items: [
+              { isActive: true, emailVerified: true, roles: ['user'] },
+              { tenantId: 'acme', isActive: false, roles: ['admin'] },
+            ],
+            LastEvaluatedKey: { id: 'user-2' },
           }),
         })
-      );
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({ Items: [{ tenantId: 'acme', isActive: true, roles: ['user'] }] }),
+        });
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const result = await userDb.reconcileCounters();
+
+      expect(result.acme).toMatchObject({ total: 2, active: 1, inactive: 1, roles: { admin: 1, user: 1 } });
+      expect(mockClient.put.mock.calls.map(([params]) => params.Item)).toEqual(expect.arrayContaining([
+        expect.objectContaining({ id: 'COUNTER#users', total: 1, active: 1, verified: 1 }),
+        expect.objectContaining({ id: 'tenant#acme#COUNTER#users', tenantId: 'acme', total: 2 }),
+      ]));
     });
 
-    it('should handle missing user gracefully', async () => {
-      mockClient.get.mockReturnValue({
-        promise: jest.fn().mockResolvedValue({ Item: null }),
+    it('should only replace counters that did not change since the scan read them', async () => {
+      mockClient.scan.mockReturnValueOnce({
+        promise: jest.fn().mockResolvedValue({
+          Items: [
+            { type: 'counter', tenantId: 'acme', version: 7 },
+            { tenantId: 'acme', isActive: true, roles: ['user'] },
+            { type: 'counter', tenantId: 'globex', version: 2 },
+            { tenantId: 'globex', isActive: true, roles: ['user'] },
+          ],
+        }),
       });
+      mockClient.put
+        .mockReturnValueOnce({ promise: jest.fn().mockResolvedValue({}) })
+        .mockReturnValueOnce({
+          promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' })),
+        });
 
-      await expect(userDb.incrementLoginAttempts(userId)).resolves.toBeUndefined();
-      expect(mockClient.update).not.toHaveBeenCalled();
+      const result = await userDb.reconcileCounters();
+
+      expect(mockClient.put.mock.calls[0][0]).toMatchObject({
+        Item: { id: 'tenant#acme#COUNTER#users', version: 8, total: 1 },
+        ConditionExpression: '#version = :version',
+        ExpressionAttributeValues: { ':version': 7 },
+      });
+      expect(Object.keys(result)).toEqual(['acme']);
+    });
+
+    it('should reset the counters of a tenant without users', async () => {
+      mockClient.scan.mockReturnValueOnce({
+        promise: jest.fn().mockResolvedValue({ Items: [{ type: 'counter', tenantId: 'acme', version: 3 }] }),
+      });
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const result = await userDb.reconcileCounters();
+
+      expect(mockClient.put.mock.calls[0][0].Item).toEqual(expect.objectContaining({
+        id: 'tenant#acme#COUNTER#users', total: 0, active: 0, verified: 0, version: 4,
+      }));
+      expect(mockClient.put.mock.calls[0][0].Item).not.toHaveProperty('role:user');
+      expect(result.acme).toMatchObject({ total: 0, active: 0, roles: {} });
     });
   });
 
@@ -480,9 +694,11 @@ describe('UserDatabase', () => {
       mockClient.scan.mockReturnValue({
         promise: jest.fn().mockResolvedValue({
           Items: [],
-          ScannedCount: 5,
         }),
       });
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: { id: 'COUNTER#users', total: 5 } }),
+      });
 
       const result = await userDb.healthCheck();
 
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const EmailVerificationDatabase = require('../src/db/emailVerifications');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('EmailVerificationDatabase', () => {
+  let emailVerificationDb;
+  let mockClient;
+
+  const conditionalCheckFailed = () => {
+    const error = new Error('The conditional request failed');
+    error.code = 'ConditionalCheckFailedException';
+    return error;
+  };
+
+  beforeEach(() => {
+    emailVerificationDb = new EmailVerificationDatabase();
+    mockClient = emailVerificationDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('createToken', () => {
+    it('should store a hashed token bound to the address', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const token = await emailVerificationDb.createToken('user-123', 'user@example.com');
+
+      const { Item } = mockClient.put.mock.calls[0][0];
+      expect(Item).toMatchObject({
+        id: crypto.createHash('sha256').update(token).digest('hex'),
+        userId: 'user-123',
+        email: 'user@example.com',
+        status: 'pending',
+      });
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('should return the user and address of a pending token', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Attributes: { userId: 'user-123', email: 'user@example.com' },
+        }),
+      });
+
+      const result = await emailVerificationDb.consumeToken('verification-token');
+
+      expect(result).toEqual({ userId: 'user-123', email: 'user@example.com' });
+    });
+
+    it('should reject used, expired or unknown tokens', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionalCheckFailed()),
+      });
+
+      await expect(emailVerificationDb.consumeToken('verification-token')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('acquireResendSlot', () => {
+    it('should allow a send when no recent send is recorded', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      await expect(emailVerificationDb.acquireResendSlot('user-123')).resolves.toBe(true);
+      expect(mockClient.put).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Item: expect.objectContaining({ id: 'throttle#user-123' }),
+        })
+      );
+    });
+
+    it('should refuse a send within the cooldown', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionalCheckFailed()),
+      });
+
+      await expect(emailVerificationDb.acquireResendSlot('user-123')).resolves.toBe(false);
+    });
+  });
+});
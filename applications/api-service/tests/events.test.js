@@ -0,0 +1,178 @@
+const BaseDatabase = require('../src/db/base');
+const { createEvent } = require('../src/events');
+const { EVENT_CATALOG, validateEventData } = require('../src/events/catalog');
+const { registerOutboxRelay } = require('../src/events/relay');
+const { HandlerRegistry } = require('../src/streams/registry');
+const { replay } = require('../src/streams/replay');
+const { setTransport } = require('../src/utils/eventBus');
+const { runWithTenant } = require('../src/utils/tenantContext');
+
+// Mock AWS SDK, keeping the real attribute value converter
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    Converter: jest.requireActual('aws-sdk').DynamoDB.Converter,
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+      transactWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Domain events', () => {
+  let db;
+  let mockClient;
+
+  beforeEach(() => {
+    db = new BaseDatabase('test-items');
+    mockClient = db.client;
+    jest.clearAllMocks();
+  });
+
+  describe('catalog', () => {
+    it('should wrap validated data in a versioned envelope', () => {
+      const event = runWithTenant('acme', () => createEvent('user.deactivated', { userId: 'user-1' }, { aggregateId: 'user-1' }));
+
+      expect(event).toEqual({
+        id: expect.any(String),
+        type: 'user.deactivated',
+        version: 1,
+        source: 'api-platform.api-service',
+        tenantId: 'acme',
+        aggregateType: 'user',
+        aggregateId: 'user-1',
+        occurredAt: expect.any(String),
+        data: { userId: 'user-1' },
+      });
+    });
+
+    it('should reject unknown events and invalid data', () => {
+      expect(() => createEvent('user.renamed', {}, { aggregateId: 'user-1' })).toThrow('Unknown event type');
+      expect(() => createEvent('user.deleted', {}, { aggregateId: 'user-1' })).toThrow('Invalid user.deleted v1 event');
+      expect(() => validateEventData('user.deleted', 2, { userId: 'user-1' })).toThrow('Unknown version 2');
+    });
+
+    it('should describe every event', () => {
+      Object.values(EVENT_CATALOG).forEach((definition) => {
+        expect(definition).toMatchObject({ aggregate: expect.any(String), description: expect.any(String) });
+        expect(Object.keys(definition.versions)).toContain('1');
+      });
+    });
+  });
+
+  describe('outbox', () => {
+    const event = createEvent('user.activated', { userId: 'item-1' }, { aggregateId: 'item-1' });
+
+    it('should write the outbox item in the same transaction as the update', async () => {
+      mockClient.transactWrite.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+      mockClient.get.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Item: { id: 'item-1', isActive: true } }) });
+
+      const item = await db.updateById('item-1', { isActive: true }, { events: [event] });
+
+      const [update, outbox] = mockClient.transactWrite.mock.calls[0][0].TransactItems;
+      expect(mockClient.update).not.toHaveBeenCalled();
+      expect(update.Update).toMatchObject({ TableName: 'test-items', Key: { id: 'item-1' } });
+      expect(outbox.Put).toMatchObject({
+        TableName: 'dev-api-platform-outbox',
+        Item: { id: event.id, eventType: 'user.activated', event },
+        ConditionExpression: 'attribute_not_exists(id)',
+      });
+      expect(item).toEqual({ id: 'item-1', isActive: true });
+    });
+
+    it('should build events from the created item', async () => {
+      mockClient.transactWrite.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      const item = await db.create({ name: 'Item' }, {
+        events: created => [createEvent('user.deleted', { userId: created.id }, { aggregateId: created.id })],
+      });
+
+      const [, outbox] = mockClient.transactWrite.mock.calls[0][0].TransactItems;
+      expect(outbox.Put.Item.event).toMatchObject({ aggregateId: item.id, data: { userId: item.id } });
+    });
+
+    it('should report a failed write condition as the plain write would', async () => {
+      mockClient.transactWrite.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(Object.assign(
+          new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]'),
+          { code: 'TransactionCanceledException' },
+        )),
+      });
+
+      await expect(db.create({ id: 'item-1' }, { events: [event] })).rejects.toThrow('Item already exists');
+    });
+  });
+
+  describe('relay', () => {
+    let transport;
+    let registry;
+
+    const outboxRecord = (sequenceNumber, event) => ({
+      eventID: `record-${sequenceNumber}`,
+      eventName: 'INSERT',
+      eventSourceARN: 'arn:aws:dynamodb:us-east-1:123456789012:table/dev-api-platform-outbox/stream/2024-01-01T00:00:00.000',
+      dynamodb: {
+        Keys: { id: { S: event.id } },
+        NewImage: jest.requireActual('aws-sdk').DynamoDB.Converter.marshall({ id: event.id, tenantId: event.tenantId, eventType: event.type, event }),
+        SequenceNumber: sequenceNumber,
+      },
+    });
+
+    beforeEach(() => {
+      transport = { publish: jest.fn() };
+      setTransport(transport);
+      registry = new HandlerRegistry();
+      registerOutboxRelay(registry);
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+    });
+
+    afterAll(() => {
+      setTransport(null);
+    });
+
+    it('should publish new outbox items and mark them published', async () => {
+      const event = createEvent('user.deleted', { userId: 'user-1' }, { aggregateId: 'user-1' });
+
+      const result = await replay([outboxRecord('100', event)], { registry });
+
+      expect(result.deadLettered).toBe(0);
+      expect(transport.publish).toHaveBeenCalledWith(event);
+      expect(mockClient.update.mock.calls[0][0]).toMatchObject({
+        TableName: 'dev-api-platform-outbox',
+        Key: { id: event.id },
+      });
+    });
+
+    it('should retry a failed publish with the same event id', async () => {
+      const event = createEvent('user.deleted', { userId: 'user-1' }, { aggregateId: 'user-1' });
+      transport.publish
+        .mockRejectedValueOnce(new Error('Bus unavailable'))
+        .mockResolvedValue();
+
+      await replay([outboxRecord('100', event)], { registry });
+
+      expect(transport.publish).toHaveBeenCalledTimes(2);
+      expect(transport.publish.mock.calls.map(([published]) => published.id)).toEqual([event.id, event.id]);
+    });
+
+    it('should dead-letter an event the bus keeps rejecting', async () => {
+      const event = createEvent('user.deleted', { userId: 'user-1' }, { aggregateId: 'user-1' });
+      transport.publish.mockRejectedValue(new Error('Bus unavailable'));
+
+      const result = await replay([outboxRecord('100', event)], { registry, maxAttempts: 2 });
+
+      expect(result.deadLetters).toEqual([
+        expect.objectContaining({ handler: 'outbox.relay', attempts: 2, error: 'Bus unavailable' }),
+      ]);
+      expect(mockClient.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const jwt = require('jsonwebtoken');
+const { generateImpersonationToken, denyImpersonation } = require('../src/middleware/auth');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+jest.mock('../src/utils/keyring', () => ({
+  getSigningKey: jest.fn(() => ({ kid: 'test-key', alg: 'HS256', privateKey: 'test-signing-secret' })),
+}));
+
+describe('Impersonation', () => {
+  describe('generateImpersonationToken', () => {
+    it('should issue a token for the target user naming the actor', () => {
+      const target = { id: 'user-123', email: 'user@example.com', roles: ['user'] };
+      const actor = { id: 'admin-1', email: 'admin@example.com' };
+
+      const token = generateImpersonationToken(target, actor, { tokenId: 'token-1' });
+      const decoded = jwt.verify(token, 'test-signing-secret');
+
+      expect(decoded).toMatchObject({
+        id: 'user-123',
+        email: 'user@example.com',
+        act: { sub: 'admin-1', email: 'admin@example.com' },
+        jti: 'token-1',
+      });
+      expect(decoded).not.toHaveProperty('fid');
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+  });
+
+  describe('denyImpersonation', () => {
+    const createResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should block requests made with an impersonation token', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      denyImpersonation({ user: { id: 'user-123', act: { sub: 'admin-1' } }, originalUrl: '/api/v1/users/me' }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should allow regular tokens', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      denyImpersonation({ user: { id: 'user-123' } }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
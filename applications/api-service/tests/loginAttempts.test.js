@@ -0,0 +1,175 @@
+const LoginAttemptDatabase = require('../src/db/loginAttempts');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('LoginAttemptDatabase', () => {
+  let loginAttemptDb;
+  let mockClient;
+  const email = 'Test@Example.com';
+  const ip = '203.0.113.7';
+  const future = () => Math.floor(Date.now() / 1000) + 3600;
+
+  beforeEach(() => {
+    loginAttemptDb = new LoginAttemptDatabase();
+    mockClient = loginAttemptDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('recordFailure', () => {
+    it('should atomically count the failure per account, IP and IP+account', async () => {
+      mockClient.update.mockImplementation(params => ({
+        promise: jest.fn().mockResolvedValue({
+          Attributes: { id: params.Key.id, count: 1, lastFailureAt: new Date().toISOString(), expiresAt: future() },
+        }),
+      }));
+
+      const status = await loginAttemptDb.recordFailure(email, ip);
+
+      const keys = mockClient.update.mock.calls.map(([params]) => params.Key.id);
+      expect(keys).toEqual([
+        'account#test@example.com',
+        `ip#${ip}`,
+        `ipAccount#${ip}#test@example.com`,
+      ]);
+      expect(mockClient.update.mock.calls[0][0].UpdateExpression).toMatch(/^ADD #count :one/);
+      expect(status).toEqual({ locked: false, retryAfter: 0, scope: null, captchaRequired: false });
+    });
+
+    it('should lock the IP+account pair once it reaches its threshold', async () => {
+      mockClient.update.mockImplementation(params => ({
+        promise: jest.fn().mockResolvedValue({
+          Attributes: {
+            id: params.Key.id,
+            count: params.Key.id.startsWith('ipAccount#') ? 5 : 1,
+            lastFailureAt: new Date().toISOString(),
+            expiresAt: future(),
+          },
+        }),
+      }));
+
+      const status = await loginAttemptDb.recordFailure(email, ip);
+
+      expect(status).toMatchObject({ locked: true, scope: 'ipAccount', captchaRequired: true });
+      expect(status.retryAfter).toBe(60);
+    });
+
+    it('should start a new counter when the stored one has expired', async () => {
+      const conditionError = new Error('The conditional request failed');
+      conditionError.code = 'ConditionalCheckFailedException';
+
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionError),
+      });
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      await loginAttemptDb.recordFailure(email);
+
+      expect(mockClient.put).toHaveBeenCalledWith(expect.objectContaining({
+        Item: expect.objectContaining({ id: 'account#test@example.com', count: 1 }),
+        ConditionExpression: '#expiresAt <= :epoch',
+      }));
+    });
+
+    it('should add to the counter another failure has just reset', async () => {
+      const conditionError = () => Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+
+      mockClient.update
+        .mockReturnValueOnce({ promise: jest.fn().mockRejectedValue(conditionError()) })
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Attributes: { id: 'account#test@example.com', scope: 'account', count: 2, expiresAt: future() },
+          }),
+        });
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionError()),
+      });
+
+      await loginAttemptDb.recordFailure(email);
+
+      expect(mockClient.put).toHaveBeenCalledTimes(1);
+      expect(mockClient.update).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should double the lockout for each failure past the threshold', async () => {
+      mockClient.get.mockImplementation(params => ({
+        promise: jest.fn().mockResolvedValue({
+          Item: params.Key.id.startsWith('account#')
+            ? { id: params.Key.id, count: 22, lastFailureAt: new Date().toISOString(), expiresAt: future() }
+            : null,
+        }),
+      }));
+
+      const status = await loginAttemptDb.getStatus(email, ip);
+
+      expect(status).toMatchObject({ locked: true, scope: 'account', captchaRequired: true });
+      expect(status.retryAfter).toBe(4 * 60);
+    });
+
+    it('should ignore counters past their expiry', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Item: { count: 50, lastFailureAt: new Date().toISOString(), expiresAt: Math.floor(Date.now() / 1000) - 1 },
+        }),
+      });
+
+      const status = await loginAttemptDb.getStatus(email, ip);
+
+      expect(status.locked).toBe(false);
+    });
+
+    it('should not block logins when the counters cannot be read', async () => {
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(new Error('Service unavailable')),
+      });
+
+      const status = await loginAttemptDb.getStatus(email, ip);
+
+      expect(status.locked).toBe(false);
+    });
+  });
+
+  describe('unlockAccount', () => {
+    it('should delete every counter of the account', async () => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Items: [
+            { id: 'account#test@example.com' },
+            { id: `ipAccount#${ip}#test@example.com` },
+          ],
+        }),
+      });
+      mockClient.delete.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const clearedCount = await loginAttemptDb.unlockAccount(email);
+
+      expect(clearedCount).toBe(2);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.objectContaining({
+        IndexName: 'account-index',
+        ExpressionAttributeValues: expect.objectContaining({ ':account': 'test@example.com' }),
+      }));
+      expect(mockClient.delete).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OIDC issuer for tests
+ * Serves discovery, JWKS and a token endpoint that enforces PKCE. Call
+ * `issueCode` with the nonce and code challenge of an authorization URL to
+ * simulate the user signing in at the provider.
+ */
+async function startMockIssuer({ clientId = 'test-client', clientSecret = 'test-secret' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const codes = new Map();
+  let issuer;
+
+  const signIdToken = (claims, { key = privateKey, keyid = kid, audience = clientId } = {}) => jwt.sign(
+    { email_verified: true, ...claims },
+    key,
+    { algorithm: 'RS256', keyid, issuer, audience, expiresIn: '5m' }
+  );
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const handleToken = (req, res, body) => {
+    const params = new URLSearchParams(body);
+    const expectedAuth = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+    if (req.headers.authorization !== expectedAuth) {
+      return send(res, 401, { error: 'invalid_client' });
+    }
+
+    const pending = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+    if (!pending || params.get('grant_type') !== 'authorization_code' || challenge !== pending.codeChallenge) {
+      return send(res, 400, { error: 'invalid_grant' });
+    }
+
+    return send(res, 200, {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: signIdToken({ ...pending.claims, nonce: pending.nonce }),
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { pathname } = new URL(req.url, issuer);
+
+      if (pathname === '/.well-known/openid-configuration') {
+        return send(res, 200, {
+          issuer,
+          authorization_endpoint: `${issuer}/authorize`,
+          token_endpoint: `${issuer}/token`,
+          jwks_uri: `${issuer}/jwks`,
+          code_challenge_methods_supported: ['S256'],
+        });
+      }
+
+      if (pathname === '/jwks') {
+        return send(res, 200, {
+          keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }],
+        });
+      }
+
+      if (pathname === '/token' && req.method === 'POST') {
+        return handleToken(req, res, body);
+      }
+
+      return send(res, 404, { error: 'not_found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    signIdToken,
+    issueCode({ nonce, codeChallenge, claims = {} }) {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, { nonce, codeChallenge, claims: { sub: 'subject-1', email: 'jane@example.com', ...claims } });
+      return code;
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startMockIssuer };
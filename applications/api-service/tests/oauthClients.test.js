@@ -0,0 +1,113 @@
+const OAuthClientDatabase = require('../src/db/oauthClients');
+const { NotFoundError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('OAuthClientDatabase', () => {
+  let oauthClientDb;
+  let mockClient;
+
+  beforeEach(() => {
+    oauthClientDb = new OAuthClientDatabase();
+    mockClient = oauthClientDb.client;
+    jest.clearAllMocks();
+
+    mockClient.put.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({}),
+    });
+    mockClient.update.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({ Attributes: {} }),
+    });
+  });
+
+  const createStoredClient = async (overrides = {}) => {
+    const { client, clientSecret } = await oauthClientDb.createClient({
+      name: 'Billing service',
+      scopes: ['users:read', 'users:list'],
+    });
+    const { Item } = mockClient.put.mock.calls[0][0];
+
+    mockClient.get.mockReturnValue({
+      promise: jest.fn().mockResolvedValue({ Item: { ...Item, ...overrides } }),
+    });
+
+    return { client, clientSecret, item: Item };
+  };
+
+  describe('createClient', () => {
+    it('should store only a hash of the secret', async () => {
+      const { client, clientSecret, item } = await createStoredClient();
+
+      expect(client.id).toMatch(/^svc_[0-9a-f]{16}$/);
+      expect(client).not.toHaveProperty('secretHash');
+      expect(item.secretHash).toBe(oauthClientDb.hashSecret(clientSecret));
+      expect(JSON.stringify(item)).not.toContain(clientSecret);
+    });
+  });
+
+  describe('verifyClient', () => {
+    it('should return the client for valid credentials', async () => {
+      const { clientSecret, item } = await createStoredClient();
+
+      const result = await oauthClientDb.verifyClient(item.id, clientSecret);
+
+      expect(result).toMatchObject({
+        id: item.id,
+        name: 'Billing service',
+        scopes: ['users:read', 'users:list'],
+      });
+      expect(result).not.toHaveProperty('secretHash');
+    });
+
+    it('should reject a wrong secret', async () => {
+      const { item } = await createStoredClient();
+
+      await expect(oauthClientDb.verifyClient(item.id, 'not-the-secret')).resolves.toBeNull();
+    });
+
+    it('should reject a revoked client', async () => {
+      const { clientSecret, item } = await createStoredClient({ status: 'revoked' });
+
+      await expect(oauthClientDb.verifyClient(item.id, clientSecret)).resolves.toBeNull();
+    });
+
+    it('should reject missing credentials without a lookup', async () => {
+      await expect(oauthClientDb.verifyClient('svc_123', undefined)).resolves.toBeNull();
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateSecret', () => {
+    it('should replace the stored hash with one of the new secret', async () => {
+      const { item } = await createStoredClient();
+
+      const { clientSecret } = await oauthClientDb.rotateSecret(item.id);
+
+      expect(mockClient.update.mock.calls[0][0].ExpressionAttributeValues).toEqual(
+        expect.objectContaining({ ':val0': oauthClientDb.hashSecret(clientSecret) })
+      );
+    });
+
+    it('should throw NotFoundError for a revoked client', async () => {
+      const { item } = await createStoredClient({ status: 'revoked' });
+
+      await expect(oauthClientDb.rotateSecret(item.id)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
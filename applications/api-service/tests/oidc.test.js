@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const oidc = require('../src/utils/oidc');
+const { startMockIssuer } = require('./mockOidcIssuer');
+
+describe('OIDC federation', () => {
+  const redirectUri = 'http://localhost:3000/auth/callback';
+  let issuer;
+  let provider;
+
+  beforeAll(async () => {
+    issuer = await startMockIssuer();
+    oidc.registerProvider({
+      id: 'mock',
+      name: 'Mock IdP',
+      issuer: issuer.issuer,
+      clientId: issuer.clientId,
+      clientSecret: issuer.clientSecret,
+      redirectUris: [redirectUri],
+    });
+    provider = oidc.getProvider('mock');
+  });
+
+  afterAll(async () => {
+    await issuer.close();
+  });
+
+  // Simulate the browser round trip through the provider
+  const signIn = async (claims = {}) => {
+    const { codeVerifier, codeChallenge } = oidc.createPkcePair();
+    const nonce = 'nonce-1';
+    const authorizationUrl = new URL(await oidc.buildAuthorizationUrl(provider, {
+      redirectUri,
+      state: 'state-1',
+      nonce,
+      codeChallenge,
+    }));
+    const code = issuer.issueCode({
+      nonce: authorizationUrl.searchParams.get('nonce'),
+      codeChallenge: authorizationUrl.searchParams.get('code_challenge'),
+      claims,
+    });
+
+    return { code, codeVerifier, nonce, authorizationUrl };
+  };
+
+  describe('buildAuthorizationUrl', () => {
+    it('should request a code with an S256 PKCE challenge', async () => {
+      const { authorizationUrl } = await signIn();
+
+      expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${issuer.issuer}/authorize`);
+      expect(Object.fromEntries(authorizationUrl.searchParams)).toMatchObject({
+        response_type: 'code',
+        client_id: 'test-client',
+        redirect_uri: redirectUri,
+        scope: 'openid email profile',
+        state: 'state-1',
+        nonce: 'nonce-1',
+        code_challenge_method: 'S256',
+      });
+    });
+  });
+
+  describe('exchangeCode and verifyIdToken', () => {
+    it('should return the verified claims of the signed-in user', async () => {
+      const { code, codeVerifier, nonce } = await signIn({ given_name: 'Jane', family_name: 'Doe' });
+
+      const tokens = await oidc.exchangeCode(provider, { code, codeVerifier, redirectUri });
+      const claims = await oidc.verifyIdToken(provider, tokens.id_token, { nonce });
+
+      expect(claims).toMatchObject({ sub: 'subject-1', email: 'jane@example.com', iss: issuer.issuer });
+      expect(provider.mapClaims(claims)).toEqual({
+        email: 'jane@example.com',
+        emailVerified: true,
+        firstName: 'Jane',
+        lastName: 'Doe',
+      });
+    });
+
+    it('should fail the exchange without the matching code verifier', async () => {
+      const { code } = await signIn();
+
+      await expect(oidc.exchangeCode(provider, {
+        code,
+        codeVerifier: oidc.createPkcePair().codeVerifier,
+        redirectUri,
+      })).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject an ID token with another nonce', async () => {
+      const { code, codeVerifier } = await signIn();
+      const tokens = await oidc.exchangeCode(provider, { code, codeVerifier, redirectUri });
+
+      await expect(oidc.verifyIdToken(provider, tokens.id_token, { nonce: 'other' })).rejects.toThrow(/nonce/);
+    });
+
+    it('should reject an ID token issued to another client', async () => {
+      const idToken = issuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1' }, { audience: 'other-client' });
+
+      await expect(oidc.verifyIdToken(provider, idToken, { nonce: 'nonce-1' })).rejects.toThrow(/audience/);
+    });
+
+    it('should reject an ID token signed with a key the issuer does not publish', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const idToken = issuer.signIdToken({ sub: 'subject-1', nonce: 'nonce-1' }, { key: privateKey, keyid: 'forged' });
+
+      await expect(oidc.verifyIdToken(provider, idToken, { nonce: 'nonce-1' })).rejects.toThrow(/unknown key/);
+    });
+  });
+});
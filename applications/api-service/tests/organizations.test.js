@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const OrganizationDatabase = require('../src/db/organizations');
+const MembershipDatabase = require('../src/db/memberships');
+const InvitationDatabase = require('../src/db/invitations');
+const { ConflictError, ValidationError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Organizations', () => {
+  let organizationDb;
+  let mockClient;
+
+  const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    code: 'ConditionalCheckFailedException',
+  });
+
+  beforeEach(() => {
+    organizationDb = new OrganizationDatabase();
+    mockClient = organizationDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('createOrganization', () => {
+    it('should make the creator the owner', async () => {
+      mockClient.put.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      const organization = await organizationDb.createOrganization({ name: 'Acme', ownerId: 'user-1' });
+
+      expect(organization).toMatchObject({ name: 'Acme', ownerId: 'user-1' });
+      expect(mockClient.put.mock.calls[1][0].Item).toMatchObject({
+        id: `${organization.id}#user-1`,
+        organizationId: organization.id,
+        userId: 'user-1',
+        role: 'owner',
+      });
+    });
+  });
+
+  describe('transferOwnership', () => {
+    const mockItems = (items) => {
+      mockClient.get.mockImplementation(({ Key }) => ({
+        promise: jest.fn().mockResolvedValue({ Item: items[Key.id] }),
+      }));
+    };
+
+    beforeEach(() => {
+      mockClient.update.mockImplementation(params => ({
+        promise: jest.fn().mockResolvedValue({ Attributes: { id: params.Key.id } }),
+      }));
+    });
+
+    it('should promote the new owner and keep the previous owner as admin', async () => {
+      mockItems({
+        'org-1': { id: 'org-1', ownerId: 'user-1' },
+        'org-1#user-2': { id: 'org-1#user-2', role: 'member' },
+      });
+
+      await organizationDb.transferOwnership('org-1', 'user-2');
+
+      const updates = mockClient.update.mock.calls.map(([params]) => [params.Key.id, params.ExpressionAttributeValues[':val0']]);
+      expect(updates).toEqual([
+        ['org-1#user-2', 'owner'],
+        ['org-1', 'user-2'],
+        ['org-1#user-1', 'admin'],
+      ]);
+    });
+
+    it('should reject a new owner who is not a member', async () => {
+      mockItems({ 'org-1': { id: 'org-1', ownerId: 'user-1' } });
+
+      await expect(organizationDb.transferOwnership('org-1', 'user-3')).rejects.toThrow(ValidationError);
+      expect(mockClient.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('MembershipDatabase', () => {
+    let membershipDb;
+
+    beforeEach(() => {
+      membershipDb = new MembershipDatabase();
+    });
+
+    it('should rank organization roles', () => {
+      expect(membershipDb.hasRole({ role: 'owner' }, 'admin')).toBe(true);
+      expect(membershipDb.hasRole({ role: 'admin' }, 'admin')).toBe(true);
+      expect(membershipDb.hasRole({ role: 'member' }, 'admin')).toBe(false);
+      expect(membershipDb.hasRole(null, 'member')).toBe(false);
+    });
+
+    it('should throw ConflictError for an existing member', async () => {
+      mockClient.put.mockReturnValue({ promise: jest.fn().mockRejectedValue(conditionFailed()) });
+
+      await expect(membershipDb.addMember('org-1', 'user-1')).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('InvitationDatabase', () => {
+    let invitationDb;
+
+    beforeEach(() => {
+      invitationDb = new InvitationDatabase();
+    });
+
+    it('should store only a hash of the invitation token', async () => {
+      mockClient.put.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      const { token } = await invitationDb.createInvitation('org-1', { email: 'New@Example.com', role: 'admin' });
+
+      expect(mockClient.put.mock.calls[0][0].Item).toMatchObject({
+        id: crypto.createHash('sha256').update(token).digest('hex'),
+        email: 'new@example.com',
+        role: 'admin',
+        status: 'pending',
+      });
+    });
+
+    it('should only accept an invitation for the invited email', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockRejectedValue(conditionFailed()) });
+
+      await expect(invitationDb.respond('token', 'other@example.com', 'accepted')).rejects.toThrow(ValidationError);
+      expect(mockClient.update.mock.calls[0][0]).toMatchObject({
+        ConditionExpression: expect.stringContaining('#email = :email'),
+        ExpressionAttributeValues: expect.objectContaining({ ':email': 'other@example.com' }),
+      });
+    });
+  });
+});
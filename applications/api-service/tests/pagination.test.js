@@ -0,0 +1,111 @@
+const BaseDatabase = require('../src/db/base');
+const { ValidationError } = require('../src/middleware/errorHandler');
+const { encodeCursor, decodeCursor, getPagination } = require('../src/utils/pagination');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Cursor pagination', () => {
+  let db;
+  let mockClient;
+
+  const mockPages = (...pages) => {
+    pages.forEach(page => {
+      mockClient.scan.mockReturnValueOnce({ promise: jest.fn().mockResolvedValue(page) });
+    });
+  };
+
+  beforeEach(() => {
+    db = new BaseDatabase('test-items');
+    mockClient = db.client;
+    jest.clearAllMocks();
+  });
+
+  describe('cursors', () => {
+    it('should hide the key behind an opaque cursor', () => {
+      const cursor = encodeCursor({ k: { id: 'item-2' } });
+
+      expect(cursor).toMatch(/^[\w-]+$/);
+      expect(Buffer.from(cursor, 'base64url').toString()).not.toContain('item-2');
+      expect(decodeCursor(cursor).k).toEqual({ id: 'item-2' });
+    });
+
+    it('should reject a cursor that was tampered with', () => {
+      const buffer = Buffer.from(encodeCursor({ k: { id: 'item-2' } }), 'base64url');
+      buffer[buffer.length - 1] ^= 1;
+
+      expect(() => decodeCursor(buffer.toString('base64url'))).toThrow(ValidationError);
+      expect(() => decodeCursor('not-a-cursor')).toThrow(ValidationError);
+    });
+
+    it('should reject an expired cursor', () => {
+      jest.spyOn(Date, 'now').mockReturnValueOnce(Date.now() - 2 * 60 * 60 * 1000);
+      const cursor = encodeCursor({ k: { id: 'item-2' } });
+
+      expect(() => decodeCursor(cursor)).toThrow('Pagination cursor has expired');
+    });
+  });
+
+  describe('BaseDatabase', () => {
+    it('should page forward and back with cursors', async () => {
+      mockPages(
+        { Items: [{ id: 'item-1' }], LastEvaluatedKey: { id: 'item-1' } },
+        { Items: [{ id: 'item-2' }], LastEvaluatedKey: { id: 'item-2' } },
+      );
+
+      const first = await db.find({ limit: 1 });
+      expect(first.prevCursor).toBeNull();
+
+      const second = await db.find({ limit: 1, cursor: first.nextCursor });
+      expect(mockClient.scan.mock.calls[1][0].ExclusiveStartKey).toEqual({ id: 'item-1' });
+      expect(second.nextCursor).toEqual(expect.any(String));
+
+      mockPages({ Items: [{ id: 'item-1' }], LastEvaluatedKey: { id: 'item-1' } });
+      await db.find({ limit: 1, cursor: second.prevCursor });
+      expect(mockClient.scan.mock.calls[2][0]).not.toHaveProperty('ExclusiveStartKey');
+    });
+
+    it('should not accept a cursor from another listing', async () => {
+      mockPages({ Items: [{ id: 'item-1' }], LastEvaluatedKey: { id: 'item-1' } });
+      const { nextCursor } = await db.find({ limit: 1 });
+
+      const other = new BaseDatabase('other-items');
+      await expect(other.find({ limit: 1, cursor: nextCursor })).rejects.toThrow(ValidationError);
+      expect(mockClient.scan).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getPagination', () => {
+    it('should link the next and previous pages', () => {
+      const req = { baseUrl: '/api/v1/users', path: '/', query: { limit: 10, cursor: 'old' } };
+      const res = { set: jest.fn() };
+
+      const pagination = getPagination(req, res, { count: 10, nextCursor: 'abc', prevCursor: null });
+
+      expect(pagination).toEqual({
+        count: 10,
+        hasMore: true,
+        nextCursor: 'abc',
+        prevCursor: null,
+        next: '/api/v1/users?limit=10&cursor=abc',
+        prev: null,
+      });
+      expect(res.set).toHaveBeenCalledWith('Link', '</api/v1/users?limit=10&cursor=abc>; rel="next"');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const config = require('../src/config');
+const passwords = require('../src/utils/passwords');
+const {
+  checkPassword,
+  assertPasswordPolicy,
+  getNextPasswordHistory,
+  isPasswordExpired,
+} = require('../src/utils/passwordPolicy');
+const { PasswordPolicyError } = require('../src/middleware/errorHandler');
+
+jest.mock('../src/utils/passwords', () => ({
+  verifyPassword: jest.fn(),
+}));
+
+const rulesOf = failures => failures.map(failure => failure.rule);
+
+describe('Password policy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.passwordPolicy.maxAge = null;
+    config.passwordPolicy.historySize = 5;
+  });
+
+  describe('checkPassword', () => {
+    it('should accept a password that meets every rule', () => {
+      expect(checkPassword('Blue-Kettle-42')).toEqual([]);
+    });
+
+    it('should report every failed rule', () => {
+      expect(rulesOf(checkPassword('short'))).toEqual(['minLength', 'uppercase', 'digit', 'symbol']);
+    });
+
+    it('should reject common passwords, including decorated ones', () => {
+      expect(rulesOf(checkPassword('Password123!'))).toEqual(['common']);
+      expect(rulesOf(checkPassword('Qwerty123!'))).toEqual(['common']);
+    });
+
+    it('should reject passwords containing the user name or email', () => {
+      const failures = checkPassword('Johnathan-2024!', { email: 'johnathan@example.com', name: 'Johnathan Doe' });
+
+      expect(rulesOf(failures)).toEqual(['personalInfo']);
+    });
+  });
+
+  describe('assertPasswordPolicy', () => {
+    const user = {
+      password: '$argon2id$current',
+      passwordHistory: ['$argon2id$previous-1', '$argon2id$previous-2'],
+    };
+
+    it('should throw a PasswordPolicyError with the failures', async () => {
+      await expect(assertPasswordPolicy('short')).rejects.toThrow(PasswordPolicyError);
+      await expect(assertPasswordPolicy('short')).rejects.toMatchObject({
+        details: expect.arrayContaining([expect.objectContaining({ rule: 'minLength' })]),
+      });
+    });
+
+    it('should reject reuse of a recent password', async () => {
+      passwords.verifyPassword.mockImplementation(async (password, hash) => hash === '$argon2id$previous-2');
+
+      await expect(assertPasswordPolicy('Blue-Kettle-42', { user })).rejects.toMatchObject({
+        details: [expect.objectContaining({ rule: 'history' })],
+      });
+      expect(passwords.verifyPassword).toHaveBeenCalledTimes(3);
+    });
+
+    it('should accept a new password', async () => {
+      passwords.verifyPassword.mockResolvedValue(false);
+
+      await expect(assertPasswordPolicy('Blue-Kettle-42', { user })).resolves.toBeUndefined();
+    });
+
+    it('should allow reuse when the history size is 0', async () => {
+      config.passwordPolicy.historySize = 0;
+      passwords.verifyPassword.mockResolvedValue(true);
+
+      await expect(assertPasswordPolicy('Blue-Kettle-42', { user })).resolves.toBeUndefined();
+      expect(getNextPasswordHistory(user)).toEqual([]);
+    });
+  });
+
+  describe('getNextPasswordHistory', () => {
+    it('should keep the previous hashes within the history size', () => {
+      const user = {
+        password: 'hash-5',
+        passwordHistory: ['hash-4', 'hash-3', 'hash-2', 'hash-1'],
+      };
+
+      expect(getNextPasswordHistory(user)).toEqual(['hash-5', 'hash-4', 'hash-3', 'hash-2']);
+    });
+  });
+
+  describe('isPasswordExpired', () => {
+    it('should only expire passwords when a maximum age is configured', () => {
+      const user = { passwordChangedAt: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString() };
+
+      expect(isPasswordExpired(user)).toBe(false);
+
+      config.passwordPolicy.maxAge = '90d';
+      expect(isPasswordExpired(user)).toBe(true);
+      expect(isPasswordExpired({ passwordChangedAt: new Date().toISOString() })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const PasswordResetDatabase = require('../src/db/passwordResets');
+const { ValidationError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('PasswordResetDatabase', () => {
+  let passwordResetDb;
+  let mockClient;
+
+  const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+  beforeEach(() => {
+    passwordResetDb = new PasswordResetDatabase();
+    mockClient = passwordResetDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('createToken', () => {
+    it('should store only a hash of the token with a TTL', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const token = await passwordResetDb.createToken('user-123');
+
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+
+      const { Item } = mockClient.put.mock.calls[0][0];
+      expect(Item).toMatchObject({
+        id: sha256(token),
+        userId: 'user-123',
+        status: 'pending',
+      });
+      expect(JSON.stringify(Item)).not.toContain(token);
+      expect(Item.expiresAt).toBeGreaterThan(Math.floor(Date.now() / 1000));
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('should mark a pending token as used and return its user', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Attributes: { userId: 'user-123' } }),
+      });
+
+      const userId = await passwordResetDb.consumeToken('reset-token');
+
+      expect(userId).toBe('user-123');
+      expect(mockClient.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Key: { id: sha256('reset-token') },
+          ConditionExpression: expect.stringContaining('#status = :pending'),
+        })
+      );
+    });
+
+    it('should reject used, expired or unknown tokens', async () => {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(error),
+      });
+
+      await expect(passwordResetDb.consumeToken('reset-token')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('invalidateForUser', () => {
+    it('should invalidate every pending token of the user', async () => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Items: [{ id: 'hash-1' }, { id: 'hash-2' }],
+          Count: 2,
+        }),
+      });
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Attributes: {} }),
+      });
+
+      const count = await passwordResetDb.invalidateForUser('user-123');
+
+      expect(count).toBe(2);
+      expect(mockClient.update).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+const config = require('../src/config');
+const passwords = require('../src/utils/passwords');
+
+jest.mock('argon2', () => ({
+  argon2id: 2,
+  hash: jest.fn(),
+  verify: jest.fn(),
+}));
+
+jest.mock('bcrypt');
+
+const ARGON2_HASH = '$argon2id$v=19$m=19456,t=2,p=1$c2FsdHNhbHQ$aGFzaGhhc2g';
+const WEAK_ARGON2_HASH = '$argon2id$v=19$m=4096,t=2,p=1$c2FsdHNhbHQ$aGFzaGhhc2g';
+const BCRYPT_HASH = '$2b$12$abcdefghijklmnopqrstuuSomeHashValueForTestingOnly12';
+
+describe('Password hashing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.passwords.algorithm = 'argon2id';
+  });
+
+  describe('getAlgorithm', () => {
+    it('should identify hashes by their prefix', () => {
+      expect(passwords.getAlgorithm(ARGON2_HASH)).toBe('argon2id');
+      expect(passwords.getAlgorithm(BCRYPT_HASH)).toBe('bcrypt');
+      expect(passwords.getAlgorithm('plaintext')).toBeNull();
+      expect(passwords.getAlgorithm(undefined)).toBeNull();
+    });
+  });
+
+  describe('hashPassword', () => {
+    it('should hash with argon2id by default', async () => {
+      argon2.hash.mockResolvedValue(ARGON2_HASH);
+
+      await expect(passwords.hashPassword('secret')).resolves.toBe(ARGON2_HASH);
+      expect(argon2.hash).toHaveBeenCalledWith('secret', expect.objectContaining({
+        type: argon2.argon2id,
+        memoryCost: config.passwords.argon2.memoryCost,
+      }));
+    });
+
+    it('should hash with bcrypt when configured', async () => {
+      config.passwords.algorithm = 'bcrypt';
+      bcrypt.hash.mockResolvedValue(BCRYPT_HASH);
+
+      await passwords.hashPassword('secret');
+
+      expect(bcrypt.hash).toHaveBeenCalledWith('secret', config.passwords.bcryptRounds);
+    });
+  });
+
+  describe('verifyPassword', () => {
+    it('should verify with the algorithm of the stored hash', async () => {
+      argon2.verify.mockResolvedValue(true);
+      bcrypt.compare.mockResolvedValue(true);
+
+      await expect(passwords.verifyPassword('secret', ARGON2_HASH)).resolves.toBe(true);
+      await expect(passwords.verifyPassword('secret', BCRYPT_HASH)).resolves.toBe(true);
+
+      expect(argon2.verify).toHaveBeenCalledWith(ARGON2_HASH, 'secret');
+      expect(bcrypt.compare).toHaveBeenCalledWith('secret', BCRYPT_HASH);
+    });
+
+    it('should reject hashes in an unknown format', async () => {
+      await expect(passwords.verifyPassword('secret', 'secret')).resolves.toBe(false);
+    });
+  });
+
+  describe('needsRehash', () => {
+    it('should flag hashes made with another algorithm', () => {
+      expect(passwords.needsRehash(BCRYPT_HASH)).toBe(true);
+    });
+
+    it('should flag argon2 hashes with weaker parameters', () => {
+      expect(passwords.needsRehash(WEAK_ARGON2_HASH)).toBe(true);
+      expect(passwords.needsRehash(ARGON2_HASH)).toBe(false);
+    });
+
+    it('should flag bcrypt hashes with fewer rounds', () => {
+      config.passwords.algorithm = 'bcrypt';
+
+      bcrypt.getRounds.mockReturnValue(10);
+      expect(passwords.needsRehash(BCRYPT_HASH)).toBe(true);
+
+      bcrypt.getRounds.mockReturnValue(12);
+      expect(passwords.needsRehash(BCRYPT_HASH)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const {
+  resolvePermissions,
+  hasPermission,
+  setRole,
+  removeRole,
+} = require('../src/utils/permissions');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Permissions', () => {
+  describe('resolvePermissions', () => {
+    it('should resolve built-in roles', () => {
+      expect(resolvePermissions(['user'])).toEqual([
+        'sessions:read:self',
+        'sessions:terminate:self',
+        'users:deactivate:self',
+        'users:read:self',
+        'users:write:self',
+      ]);
+      expect(resolvePermissions(['admin'])).toEqual(['*']);
+    });
+
+    it('should merge custom roles and ignore unknown ones', () => {
+      setRole('support', { permissions: ['users:read', 'users:list'] });
+
+      expect(resolvePermissions(['user', 'support', 'unknown'])).toEqual([
+        'sessions:read:self',
+        'sessions:terminate:self',
+        'users:deactivate:self',
+        'users:list',
+        'users:read',
+        'users:read:self',
+        'users:write:self',
+      ]);
+
+      removeRole('support');
+      expect(resolvePermissions(['support'])).toEqual([]);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should match exact and wildcard permissions', () => {
+      expect(hasPermission(['users:read'], 'users:read')).toBe(true);
+      expect(hasPermission(['users:*'], 'users:deactivate')).toBe(true);
+      expect(hasPermission(['*'], 'roles:manage')).toBe(true);
+      expect(hasPermission(['users:*'], 'roles:manage')).toBe(false);
+    });
+
+    it('should only honour self permissions for the caller', () => {
+      expect(hasPermission(['users:write:self'], 'users:write', { isSelf: true })).toBe(true);
+      expect(hasPermission(['users:write:self'], 'users:write', { isSelf: false })).toBe(false);
+      expect(hasPermission(['users:read'], 'users:write', { isSelf: true })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const RefreshTokenDatabase = require('../src/db/refreshTokens');
+const { RefreshTokenReuseError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('RefreshTokenDatabase', () => {
+  let refreshTokenDb;
+  let mockClient;
+
+  const conditionalCheckFailed = () => {
+    const error = new Error('The conditional request failed');
+    error.code = 'ConditionalCheckFailedException';
+    return error;
+  };
+
+  beforeEach(() => {
+    refreshTokenDb = new RefreshTokenDatabase();
+    mockClient = refreshTokenDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('createFamily', () => {
+    it('should create an active family with a first token id', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const result = await refreshTokenDb.createFamily('user-123', { ip: '10.0.0.1' });
+
+      expect(result).toEqual({
+        familyId: expect.any(String),
+        tokenId: expect.any(String),
+      });
+
+      const { Item } = mockClient.put.mock.calls[0][0];
+      expect(Item).toMatchObject({
+        id: result.familyId,
+        userId: 'user-123',
+        currentTokenId: result.tokenId,
+        status: 'active',
+        metadata: { ip: '10.0.0.1', userAgent: null },
+      });
+      expect(Item.expiresAt).toBeGreaterThan(Math.floor(Date.now() / 1000));
+    });
+  });
+
+  describe('rotateToken', () => {
+    const family = {
+      id: 'family-1',
+      userId: 'user-123',
+      currentTokenId: 'token-2',
+      status: 'active',
+    };
+
+    it('should issue a new token id when the current token is presented', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const result = await refreshTokenDb.rotateToken('family-1', 'user-123', 'token-2');
+
+      expect(result.familyId).toBe('family-1');
+      expect(result.tokenId).not.toBe('token-2');
+      expect(mockClient.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Key: { id: 'family-1' },
+          ExpressionAttributeValues: expect.objectContaining({
+            ':presented': 'token-2',
+            ':next': result.tokenId,
+          }),
+        })
+      );
+    });
+
+    it('should revoke the family when an already used token is replayed', async () => {
+      mockClient.update
+        .mockReturnValueOnce({
+          promise: jest.fn().mockRejectedValue(conditionalCheckFailed()),
+        })
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({ Attributes: { ...family, status: 'revoked' } }),
+        });
+
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: family }),
+      });
+
+      await expect(refreshTokenDb.rotateToken('family-1', 'user-123', 'token-1'))
+        .rejects.toThrow(RefreshTokenReuseError);
+
+      expect(mockClient.update).toHaveBeenCalledTimes(2);
+      expect(mockClient.update.mock.calls[1][0].ExpressionAttributeValues).toEqual(
+        expect.objectContaining({ ':val0': 'revoked' })
+      );
+    });
+
+    it('should reject tokens from a revoked family without revoking again', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionalCheckFailed()),
+      });
+
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: { ...family, status: 'revoked' } }),
+      });
+
+      await expect(refreshTokenDb.rotateToken('family-1', 'user-123', 'token-2'))
+        .rejects.toThrow('Refresh token has been revoked');
+
+      expect(mockClient.update).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject tokens presented for another user', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(conditionalCheckFailed()),
+      });
+
+      mockClient.get.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Item: family }),
+      });
+
+      await expect(refreshTokenDb.rotateToken('family-1', 'other-user', 'token-2'))
+        .rejects.toThrow('Refresh token is not valid');
+    });
+
+    it('should propagate unexpected database errors', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(new Error('Database error')),
+      });
+
+      await expect(refreshTokenDb.rotateToken('family-1', 'user-123', 'token-2'))
+        .rejects.toThrow('Database error');
+    });
+  });
+});
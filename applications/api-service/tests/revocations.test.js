@@ -0,0 +1,139 @@
+const RevocationDatabase = require('../src/db/revocations');
+const cache = require('../src/utils/cache');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('RevocationDatabase', () => {
+  let revocationDb;
+  let mockClient;
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const mockEntries = (entries) => {
+    mockClient.get.mockImplementation(({ Key }) => ({
+      promise: jest.fn().mockResolvedValue({ Item: entries[Key.id] }),
+    }));
+  };
+
+  beforeEach(() => {
+    revocationDb = new RevocationDatabase();
+    mockClient = revocationDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('isTokenRevoked', () => {
+    const decoded = { id: 'user-123', jti: 'jti-1', iat: now() - 60 };
+
+    it('should return false when no revocation exists', async () => {
+      mockEntries({});
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(false);
+      expect(cache.set).toHaveBeenCalledWith(expect.stringContaining('token#jti-1'), false, expect.any(Number));
+    });
+
+    it('should return true for an individually revoked token', async () => {
+      mockEntries({ 'token#jti-1': { id: 'token#jti-1', expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(true);
+    });
+
+    it('should return true for tokens of a terminated session', async () => {
+      mockEntries({ 'family#family-1': { id: 'family#family-1', expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked({ ...decoded, fid: 'family-1' })).resolves.toBe(true);
+    });
+
+    it('should return true for tokens issued before a user-wide revocation', async () => {
+      mockEntries({ 'user#user-123': { id: 'user#user-123', revokedBefore: now(), expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(true);
+    });
+
+    it('should accept tokens issued after a user-wide revocation', async () => {
+      mockEntries({ 'user#user-123': { id: 'user#user-123', revokedBefore: now() - 120, expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(false);
+    });
+
+    it('should reject tokens issued in the same second as a user-wide revocation', async () => {
+      mockEntries({ 'user#user-123': { id: 'user#user-123', revokedBefore: now(), expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked({ ...decoded, iat: now() })).resolves.toBe(true);
+    });
+
+    it('should check client credentials tokens against their client', async () => {
+      mockEntries({ 'client#svc_1': { id: 'client#svc_1', revokedBefore: now(), expiresAt: now() + 600 } });
+
+      await expect(revocationDb.isTokenRevoked({ client_id: 'svc_1', jti: 'jti-2', iat: now() - 60 })).resolves.toBe(true);
+      expect(mockClient.get).not.toHaveBeenCalledWith(expect.objectContaining({ Key: { id: 'user#undefined' } }));
+    });
+
+    it('should ignore entries past their expiry that TTL has not removed yet', async () => {
+      mockEntries({ 'token#jti-1': { id: 'token#jti-1', expiresAt: now() - 1 } });
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(false);
+    });
+
+    it('should answer from the in-process cache without reading the table', async () => {
+      cache.get.mockReturnValueOnce({ expiresAt: now() + 600 }).mockReturnValueOnce(false);
+
+      await expect(revocationDb.isTokenRevoked(decoded)).resolves.toBe(true);
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('should accept a token once', async () => {
+      mockClient.put
+        .mockReturnValueOnce({ promise: jest.fn().mockResolvedValue({}) })
+        .mockReturnValueOnce({ promise: jest.fn().mockRejectedValue(Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' })) });
+
+      const options = { userId: 'user-123', exp: now() + 300, reason: 'mfa_challenge_used' };
+      await expect(revocationDb.consumeToken('jti-1', options)).resolves.toBe(true);
+      await expect(revocationDb.consumeToken('jti-1', options)).resolves.toBe(false);
+
+      expect(mockClient.put).toHaveBeenCalledWith(expect.objectContaining({
+        Item: expect.objectContaining({ id: 'token#jti-1' }),
+        ConditionExpression: 'attribute_not_exists(id)',
+      }));
+    });
+  });
+
+  describe('revokeToken', () => {
+    it('should store the revocation until the token expires and cache it', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      const exp = now() + 900;
+      await revocationDb.revokeToken('jti-1', { userId: 'user-123', exp });
+
+      expect(mockClient.put).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Item: expect.objectContaining({
+            id: 'token#jti-1',
+            userId: 'user-123',
+            expiresAt: exp,
+          }),
+        })
+      );
+      expect(cache.set).toHaveBeenCalledWith(expect.stringContaining('token#jti-1'), { expiresAt: exp }, expect.any(Number));
+    });
+  });
+});
@@ -0,0 +1,184 @@
+const UserDatabase = require('../src/db/users');
+const { ValidationError } = require('../src/middleware/errorHandler');
+const { tokenize, getTerms, parseQuery } = require('../src/utils/search');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+      transactWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('User search', () => {
+  let userDb;
+  let mockClient;
+
+  const users = {
+    'user-1': { id: 'user-1', firstName: 'Zoë', lastName: 'Smith', email: 'zoe@example.com' },
+    'user-2': { id: 'user-2', firstName: 'Zoltan', lastName: 'Smithers', email: 'zs@example.com', password: 'hash' },
+  };
+
+  // Index items for each query word, as returned by the search index
+  const mockMatches = (matchesByTerm) => {
+    mockClient.query.mockImplementation(({ ExpressionAttributeValues: values }) => ({
+      promise: jest.fn().mockResolvedValue({ Items: matchesByTerm[values[':searchTerm']] || [] }),
+    }));
+  };
+
+  beforeEach(() => {
+    userDb = new UserDatabase();
+    mockClient = userDb.client;
+    jest.clearAllMocks();
+
+    mockClient.get.mockImplementation(({ Key }) => ({
+      promise: jest.fn().mockResolvedValue({ Item: users[Key.id] }),
+    }));
+  });
+
+  describe('tokenizing', () => {
+    it('should fold case and accents and split on punctuation', () => {
+      expect(tokenize('Zoë  Smith-JONES')).toEqual(['zoe', 'smith', 'jones']);
+      expect(tokenize('jane.doe@example.com')).toEqual(['jane', 'doe', 'example', 'com']);
+    });
+
+    it('should keep the highest weight of a word found in several fields', () => {
+      const terms = getTerms({ firstName: 'Jane', email: 'jane@example.com' }, { firstName: 3, email: 1 });
+
+      expect(Array.from(terms)).toEqual([['jane', 3], ['example', 1], ['com', 1]]);
+    });
+
+    it('should ignore single letters in queries', () => {
+      expect(parseQuery('J Smith')).toEqual(['smith']);
+    });
+  });
+
+  describe('index maintenance', () => {
+    it('should only rewrite the words that changed', () => {
+      const actions = userDb.getSearchActions(users['user-1'], { ...users['user-1'], lastName: 'Jones' });
+
+      expect(actions).toEqual([
+        { Delete: { Key: { id: 'SEARCH#user-1#smith' } } },
+        {
+          Put: {
+            Item: expect.objectContaining({
+              id: 'SEARCH#user-1#jones',
+              type: 'search',
+              userId: 'user-1',
+              searchPrefix: 'default#jo',
+              searchTerm: 'jones#user-1',
+            }),
+          },
+        },
+      ]);
+    });
+
+    it('should update the index in the same transaction as a name change', async () => {
+      mockClient.transactWrite.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      await userDb.updateById('user-1', { lastName: 'Jones' });
+
+      const [update, ...indexActions] = mockClient.transactWrite.mock.calls[0][0].TransactItems;
+      expect(update.Update.Key).toEqual({ id: 'user-1' });
+      expect(indexActions).toHaveLength(2);
+    });
+
+    it('should stop matching the old name and match the new one after a rename', async () => {
+      const index = new Map();
+      const apply = actions => actions.forEach(({ Put, Delete }) => {
+        if (Put && Put.Item.type === 'search') {
+          index.set(Put.Item.id, Put.Item);
+        } else if (Delete && Delete.Key.id.startsWith('SEARCH#')) {
+          index.delete(Delete.Key.id);
+        }
+      });
+      apply(userDb.getSearchActions(null, users['user-1']));
+
+      mockClient.transactWrite.mockImplementation(({ TransactItems }) => {
+        apply(TransactItems);
+        return { promise: jest.fn().mockResolvedValue({}) };
+      });
+      mockClient.query.mockImplementation(({ ExpressionAttributeValues: values }) => ({
+        promise: jest.fn().mockResolvedValue({
+          Items: Array.from(index.values()).filter(item => (
+            item.searchPrefix === values[':searchPrefix'] && item.searchTerm.startsWith(values[':searchTerm'])
+          )),
+        }),
+      }));
+
+      await expect(userDb.searchUsers({ query: 'smi' })).resolves.toMatchObject({ total: 1 });
+
+      await userDb.updateById('user-1', { firstName: 'Zoë', lastName: 'Jones' });
+
+      await expect(userDb.searchUsers({ query: 'smi' })).resolves.toMatchObject({ items: [], total: 0 });
+      const result = await userDb.searchUsers({ query: 'jon' });
+      expect(result.items.map(user => user.id)).toEqual(['user-1']);
+    });
+  });
+
+  describe('searchUsers', () => {
+    it('should look up each word by its prefix', async () => {
+      mockMatches({});
+
+      await userDb.searchUsers({ query: 'Zoë' });
+
+      expect(mockClient.query.mock.calls[0][0]).toMatchObject({
+        IndexName: 'searchPrefix-searchTerm-index',
+        KeyConditionExpression: '#searchPrefix = :searchPrefix AND begins_with(#searchTerm, :searchTerm)',
+        ExpressionAttributeValues: expect.objectContaining({ ':searchPrefix': 'default#zo', ':searchTerm': 'zoe' }),
+      });
+    });
+
+    it('should rank users matching every word, whole words first', async () => {
+      mockMatches({
+        zo: [
+          { userId: 'user-2', term: 'zoltan', weight: 3 },
+          { userId: 'user-1', term: 'zoe', weight: 3 },
+        ],
+        smith: [
+          { userId: 'user-2', term: 'smithers', weight: 3 },
+          { userId: 'user-1', term: 'smith', weight: 3 },
+          { userId: 'user-3', term: 'smith', weight: 3 },
+        ],
+      });
+
+      const result = await userDb.searchUsers({ query: 'zo smith' });
+
+      expect(result.items.map(user => user.id)).toEqual(['user-1', 'user-2']);
+      expect(result.items[1]).not.toHaveProperty('password');
+      expect(result.total).toBe(2);
+    });
+
+    it('should page through the ranking with cursors', async () => {
+      mockMatches({
+        zo: [
+          { userId: 'user-1', term: 'zoe', weight: 3 },
+          { userId: 'user-2', term: 'zoltan', weight: 3 },
+        ],
+      });
+
+      const first = await userDb.searchUsers({ query: 'zo', limit: 1 });
+      const second = await userDb.searchUsers({ query: 'zo', limit: 1, cursor: first.nextCursor });
+
+      expect(second.items.map(user => user.id)).toEqual(['user-2']);
+      expect(second.nextCursor).toBeNull();
+      await expect(userDb.searchUsers({ query: 'smith', cursor: first.nextCursor })).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject a query without a searchable word', async () => {
+      await expect(userDb.searchUsers({ query: 'a b' })).rejects.toThrow(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const SessionDatabase = require('../src/db/sessions');
+const { NotFoundError } = require('../src/middleware/errorHandler');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('SessionDatabase', () => {
+  let sessionDb;
+  let mockClient;
+
+  beforeEach(() => {
+    sessionDb = new SessionDatabase();
+    mockClient = sessionDb.client;
+    jest.clearAllMocks();
+  });
+
+  describe('createSession', () => {
+    it('should key the session by its token family and describe the device', async () => {
+      mockClient.put.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({}),
+      });
+
+      await sessionDb.createSession('family-1', 'user-123', {
+        ip: '10.0.0.1',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+      });
+
+      const { Item } = mockClient.put.mock.calls[0][0];
+      expect(Item).toMatchObject({
+        id: 'family-1',
+        userId: 'user-123',
+        status: 'active',
+        device: 'Chrome on macOS',
+        ip: '10.0.0.1',
+        region: 'us-east-1',
+      });
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should return active sessions, most recently used first', async () => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Items: [
+            { id: 'family-1', userId: 'user-123', lastSeenAt: '2024-01-01T00:00:00.000Z', status: 'active' },
+            { id: 'family-2', userId: 'user-123', lastSeenAt: '2024-02-01T00:00:00.000Z', status: 'active' },
+          ],
+          Count: 2,
+        }),
+      });
+
+      const sessions = await sessionDb.listSessions('user-123');
+
+      expect(sessions.map(session => session.id)).toEqual(['family-2', 'family-1']);
+      expect(sessions[0]).not.toHaveProperty('userId');
+    });
+  });
+
+  describe('terminateSession', () => {
+    it('should only terminate an active session of the given user', async () => {
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Attributes: { id: 'family-1', status: 'terminated' } }),
+      });
+
+      const session = await sessionDb.terminateSession('family-1', 'user-123', { reason: 'terminated_by_user' });
+
+      expect(session.status).toBe('terminated');
+      expect(mockClient.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          ConditionExpression: '#userId = :userId AND #status = :active',
+        })
+      );
+    });
+
+    it('should throw NotFoundError for unknown or already terminated sessions', async () => {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      mockClient.update.mockReturnValue({
+        promise: jest.fn().mockRejectedValue(error),
+      });
+
+      await expect(sessionDb.terminateSession('family-1', 'user-999')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -57,6 +57,7 @@ jest.mock('../src/utils/cache', () => ({
 }));
 
 jest.mock('../src/utils/metrics', () => ({
+  recordMetric: jest.fn(),
   recordRequestDuration: jest.fn(),
   recordError: jest.fn(),
   recordCacheHit: jest.fn(),
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { HandlerRegistry } = require('../src/streams/registry');
+const { decodeRecord } = require('../src/streams/records');
+const { StreamProcessor } = require('../src/streams/processor');
+const { replay, replayFile } = require('../src/streams/replay');
+const { getTenantId } = require('../src/utils/tenantContext');
+
+// Mock AWS SDK, keeping the real attribute value converter
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    Converter: jest.requireActual('aws-sdk').DynamoDB.Converter,
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Stream processing', () => {
+  const streamArn = `arn:aws:dynamodb:us-east-1:123456789012:table/${config.dynamodb.userTable}/stream/2024-01-01T00:00:00.000`;
+
+  const userRecord = (sequenceNumber, eventName, { oldImage, newImage }) => ({
+    eventID: `event-${sequenceNumber}`,
+    eventName,
+    eventSourceARN: streamArn,
+    dynamodb: {
+      Keys: { id: { S: (newImage || oldImage).id.S } },
+      ...(oldImage && { OldImage: oldImage }),
+      ...(newImage && { NewImage: newImage }),
+      SequenceNumber: sequenceNumber,
+      ApproximateCreationDateTime: 1704067200,
+    },
+  });
+
+  const created = userRecord('100', 'INSERT', {
+    newImage: { id: { S: 'user-1' }, email: { S: 'jane@example.com' }, isActive: { BOOL: true } },
+  });
+  const deactivated = userRecord('200', 'MODIFY', {
+    oldImage: { id: { S: 'user-1' }, email: { S: 'jane@example.com' }, isActive: { BOOL: true } },
+    newImage: { id: { S: 'user-1' }, email: { S: 'jane@example.com' }, isActive: { BOOL: false } },
+  });
+  const tenantClaim = userRecord('300', 'REMOVE', {
+    oldImage: { id: { S: 'tenant#acme#EMAIL#joe@acme.com' }, type: { S: 'email' }, tenantId: { S: 'acme' } },
+  });
+
+  describe('decodeRecord', () => {
+    it('should decode images and name the entity after its table', () => {
+      expect(decodeRecord(deactivated)).toMatchObject({
+        eventId: 'event-200',
+        eventName: 'MODIFY',
+        table: config.dynamodb.userTable,
+        entityType: 'user',
+        tenantId: 'default',
+        id: 'user-1',
+        oldImage: { isActive: true },
+        newImage: { isActive: false },
+        sequenceNumber: '200',
+        approximateCreationTime: '2024-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('should type items and remove the tenant prefix', () => {
+      expect(decodeRecord(tenantClaim)).toMatchObject({
+        entityType: 'user:email',
+        tenantId: 'acme',
+        id: 'EMAIL#joe@acme.com',
+        oldImage: { id: 'EMAIL#joe@acme.com' },
+        newImage: null,
+      });
+    });
+  });
+
+  describe('HandlerRegistry', () => {
+    it('should match handlers by entity type and event', () => {
+      const registry = new HandlerRegistry()
+        .on('user', ['INSERT', 'MODIFY'], 'users.upsert', jest.fn())
+        .on('*', 'REMOVE', 'audit.removals', jest.fn());
+
+      expect(registry.getHandlers('user', 'MODIFY').map(entry => entry.name)).toEqual(['users.upsert']);
+      expect(registry.getHandlers('user:email', 'REMOVE').map(entry => entry.name)).toEqual(['audit.removals']);
+      expect(() => registry.on('user', 'UPDATE', 'users.bad', jest.fn())).toThrow('Unknown stream events');
+      expect(() => registry.on('user', '*', 'users.upsert', jest.fn())).toThrow('already registered');
+    });
+  });
+
+  describe('replay', () => {
+    it('should run handlers in order, in the tenant of each record', async () => {
+      const seen = [];
+      const registry = new HandlerRegistry()
+        .on('*', '*', 'test.record', async (event) => {
+          seen.push([event.eventName, event.entityType, getTenantId()]);
+        });
+
+      const result = await replay([created, deactivated, tenantClaim], { registry });
+
+      expect(seen).toEqual([
+        ['INSERT', 'user', 'default'],
+        ['MODIFY', 'user', 'default'],
+        ['REMOVE', 'user:email', 'acme'],
+      ]);
+      expect(result).toMatchObject({ processed: 3, deadLettered: 0, checkpoint: { sequenceNumber: '300', finished: true } });
+    });
+
+    it('should retry a failing handler and dead-letter the record', async () => {
+      const flaky = jest.fn()
+        .mockRejectedValueOnce(new Error('Throttled'))
+        .mockResolvedValue();
+      const broken = jest.fn().mockRejectedValue(new Error('Bad record'));
+      const registry = new HandlerRegistry()
+        .on('user', 'INSERT', 'test.flaky', flaky)
+        .on('user', 'MODIFY', 'test.broken', broken);
+
+      const result = await replay([created, deactivated], { registry, maxAttempts: 3 });
+
+      expect(flaky).toHaveBeenCalledTimes(2);
+      expect(broken).toHaveBeenCalledTimes(3);
+      expect(result.deadLetters).toEqual([
+        expect.objectContaining({ id: 'event-200#test.broken', attempts: 3, error: 'Bad record', record: deactivated }),
+      ]);
+      expect(result.checkpoint.sequenceNumber).toBe('200');
+    });
+
+    it('should replay a recorded stream file', async () => {
+      const file = path.join(os.tmpdir(), `stream-${process.pid}.json`);
+      fs.writeFileSync(file, [created, deactivated].map(record => JSON.stringify(record)).join('\n'));
+
+      const handler = jest.fn();
+      const registry = new HandlerRegistry().on('user', '*', 'test.record', handler);
+
+      try {
+        const result = await replayFile(file, { registry });
+        expect(result.processed).toBe(2);
+        expect(handler).toHaveBeenCalledTimes(2);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe('StreamProcessor', () => {
+    it('should skip records up to the checkpoint', async () => {
+      const handler = jest.fn();
+      const checkpoints = {
+        getCheckpoint: jest.fn().mockResolvedValue({ sequenceNumber: '100' }),
+        setCheckpoint: jest.fn(),
+      };
+      const processor = new StreamProcessor({
+        registry: new HandlerRegistry().on('user', '*', 'test.record', handler),
+        checkpoints,
+        deadLetters: { addDeadLetter: jest.fn() },
+      });
+
+      const result = await processor.processRecords('shard-1', [created, deactivated]);
+
+      expect(result.processed).toBe(1);
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ eventId: 'event-200' }));
+      expect(checkpoints.setCheckpoint).toHaveBeenCalledWith('shard-1', '200', { finished: false });
+    });
+  });
+});
@@ -0,0 +1,284 @@
+const jwt = require('jsonwebtoken');
+const BaseDatabase = require('../src/db/base');
+const config = require('../src/config');
+const { runWithTenant, getTenantId } = require('../src/utils/tenantContext');
+const { resolveTenant } = require('../src/middleware/tenant');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Tenant isolation', () => {
+  let db;
+  let mockClient;
+
+  beforeEach(() => {
+    db = new BaseDatabase('test-items');
+    mockClient = db.client;
+    jest.clearAllMocks();
+  });
+
+  describe('keys', () => {
+    beforeEach(() => {
+      mockClient.get.mockImplementation(({ Key }) => ({
+        promise: jest.fn().mockResolvedValue({ Item: { id: Key.id, name: 'Item' } }),
+      }));
+    });
+
+    it('should use plain ids in the default tenant', async () => {
+      const item = await db.findById('item-1', false);
+
+      expect(mockClient.get.mock.calls[0][0].Key).toEqual({ id: 'item-1' });
+      expect(item.id).toBe('item-1');
+    });
+
+    it('should prefix ids with the tenant and return them unprefixed', async () => {
+      const item = await runWithTenant('acme', () => db.findById('item-1', false));
+
+      expect(mockClient.get.mock.calls[0][0].Key).toEqual({ id: 'tenant#acme#item-1' });
+      expect(item.id).toBe('item-1');
+    });
+
+    it('should not let the default tenant address another tenant\'s key', async () => {
+      await db.findById('tenant#acme#item-1', false);
+
+      expect(mockClient.get.mock.calls[0][0].Key).toEqual({ id: 'tenant#default#tenant#acme#item-1' });
+    });
+
+    it('should store the tenant with created items', async () => {
+      mockClient.put.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      const item = await runWithTenant('acme', () => db.create({ id: 'item-1', name: 'Item' }));
+
+      expect(mockClient.put.mock.calls[0][0].Item).toEqual(expect.objectContaining({
+        id: 'tenant#acme#item-1',
+        tenantId: 'acme',
+      }));
+      expect(item.id).toBe('item-1');
+    });
+
+    it('should leave keys of platform-wide tables unchanged', async () => {
+      const platformDb = new BaseDatabase('test-platform', { tenantScoped: false });
+
+      await runWithTenant('acme', () => platformDb.findById('item-1', false));
+
+      expect(mockClient.get.mock.calls[0][0].Key).toEqual({ id: 'item-1' });
+    });
+  });
+
+  describe('listing', () => {
+    it('should only return items of the current tenant', async () => {
+      mockClient.scan.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [{ id: 'tenant#acme#item-1', tenantId: 'acme' }] }),
+      });
+
+      const result = await runWithTenant('acme', () => db.find({ limit: 10 }));
+
+      expect(mockClient.scan).toHaveBeenCalledWith(expect.objectContaining({
+        FilterExpression: '#tenantScope = :tenantScope',
+        ExpressionAttributeValues: { ':tenantScope': 'acme' },
+      }));
+      expect(result.items).toEqual([{ id: 'item-1', tenantId: 'acme' }]);
+    });
+
+    it('should include items written before tenancy in the default tenant', async () => {
+      mockClient.query.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [] }),
+      });
+
+      await db.query('#email = :email', {
+        indexName: 'email-index',
+        expressionAttributeNames: { '#email': 'email' },
+        expressionAttributeValues: { ':email': 'test@example.com' },
+      });
+
+      expect(mockClient.query).toHaveBeenCalledWith(expect.objectContaining({
+        FilterExpression: '(attribute_not_exists(#tenantScope) OR #tenantScope = :tenantScope)',
+        ExpressionAttributeNames: { '#email': 'email', '#tenantScope': 'tenantId' },
+        ExpressionAttributeValues: { ':email': 'test@example.com', ':tenantScope': 'default' },
+      }));
+    });
+
+    it('should combine the tenant filter with the caller\'s filter', async () => {
+      mockClient.scan.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({ Items: [] }),
+      });
+
+      await runWithTenant('acme', () => db.find({
+        filterExpression: '#status = :status',
+        expressionAttributeNames: { '#status': 'status' },
+        expressionAttributeValues: { ':status': 'active' },
+      }));
+
+      expect(mockClient.scan.mock.calls[0][0].FilterExpression).toBe('(#status = :status) AND #tenantScope = :tenantScope');
+    });
+
+    it('should read further pages until the limit is filled', async () => {
+      mockClient.scan
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Items: [{ id: 'tenant#acme#item-1', tenantId: 'acme' }],
+            LastEvaluatedKey: { id: 'tenant#acme#item-1' },
+          }),
+        })
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Items: [{ id: 'tenant#acme#item-2', tenantId: 'acme' }],
+            LastEvaluatedKey: { id: 'tenant#acme#item-2' },
+          }),
+        });
+
+      const result = await runWithTenant('acme', () => db.find({ limit: 2 }));
+
+      expect(mockClient.scan).toHaveBeenCalledTimes(2);
+      expect(mockClient.scan.mock.calls[1][0]).toEqual(expect.objectContaining({
+        Limit: 100,
+        ExclusiveStartKey: { id: 'tenant#acme#item-1' },
+      }));
+      expect(result.items.map(item => item.id)).toEqual(['item-1', 'item-2']);
+      expect(result.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should continue after the last item returned when a read matches more than the limit', async () => {
+      mockClient.query.mockReturnValueOnce({
+        promise: jest.fn().mockResolvedValue({
+          Items: [
+            { id: 'tenant#acme#item-1', tenantId: 'acme', createdAt: '2024-01-03' },
+            { id: 'tenant#acme#item-2', tenantId: 'acme', createdAt: '2024-01-02' },
+            { id: 'tenant#acme#item-3', tenantId: 'acme', createdAt: '2024-01-01' },
+          ],
+        }),
+      });
+
+      const result = await runWithTenant('acme', () => db.query('#tenantId = :tenantId', {
+        limit: 2,
+        indexName: 'tenantId-createdAt-index',
+        expressionAttributeNames: { '#tenantId': 'tenantId' },
+        expressionAttributeValues: { ':tenantId': 'acme' },
+      }));
+
+      expect(result.items.map(item => item.id)).toEqual(['item-1', 'item-2']);
+
+      mockClient.query.mockReturnValueOnce({ promise: jest.fn().mockResolvedValue({ Items: [] }) });
+      await runWithTenant('acme', () => db.query('#tenantId = :tenantId', {
+        limit: 2,
+        cursor: result.nextCursor,
+        indexName: 'tenantId-createdAt-index',
+        expressionAttributeNames: { '#tenantId': 'tenantId' },
+        expressionAttributeValues: { ':tenantId': 'acme' },
+      }));
+      expect(mockClient.query.mock.calls[1][0].ExclusiveStartKey).toEqual({ id: 'tenant#acme#item-2', tenantId: 'acme', createdAt: '2024-01-02' });
+    });
+
+    it('should not return the key of another tenant\'s item a scan stopped at', async () => {
+      mockClient.scan
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Items: [{ id: 'tenant#acme#item-1', tenantId: 'acme' }],
+            ScannedCount: 100,
+            LastEvaluatedKey: { id: 'tenant#globex#item-7' },
+          }),
+        })
+        .mockReturnValueOnce({
+          promise: jest.fn().mockResolvedValue({
+            Items: [{ id: 'tenant#acme#item-2', tenantId: 'acme' }],
+            ScannedCount: 100,
+          }),
+        });
+
+      const first = await runWithTenant('acme', () => db.find({ limit: 1 }));
+      const second = await runWithTenant('acme', () => db.find({ limit: 1, cursor: first.nextCursor }));
+
+      expect(first).not.toHaveProperty('lastEvaluatedKey');
+      expect(JSON.stringify(first)).not.toContain('globex');
+      expect(mockClient.scan.mock.calls[1][0].ExclusiveStartKey).toEqual({ id: 'tenant#globex#item-7' });
+      expect(second.items.map(item => item.id)).toEqual(['item-2']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('should stop reading once the evaluation cap is reached', async () => {
+      mockClient.scan.mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          Items: [],
+          ScannedCount: 100,
+          LastEvaluatedKey: { id: 'tenant#globex#item-9' },
+        }),
+      });
+
+      const result = await runWithTenant('acme', () => db.find({ limit: 10 }));
+
+      expect(mockClient.scan).toHaveBeenCalledTimes(10);
+      expect(result.items).toEqual([]);
+      expect(result.nextCursor).toEqual(expect.any(String));
+
+      // The cursor resumes at the other tenant's item the read stopped at
+      await runWithTenant('acme', () => db.find({ limit: 10, cursor: result.nextCursor }));
+      expect(mockClient.scan.mock.calls[10][0].ExclusiveStartKey).toEqual({ id: 'tenant#globex#item-9' });
+    });
+  });
+
+  describe('resolveTenant', () => {
+    const originalTenancy = { ...config.tenancy };
+
+    const runMiddleware = (req) => new Promise((resolve) => {
+      const res = {
+        status: jest.fn(() => res),
+        json: jest.fn(() => resolve({ res })),
+      };
+      resolveTenant({ headers: {}, get: () => undefined, ...req }, res, () => resolve({ tenantId: getTenantId() }));
+    });
+
+    beforeEach(() => {
+      config.tenancy.baseDomain = 'api.example.com';
+    });
+
+    afterEach(() => {
+      Object.assign(config.tenancy, originalTenancy);
+    });
+
+    it('should resolve the tenant from the host', async () => {
+      const { tenantId } = await runMiddleware({ hostname: 'acme.api.example.com' });
+
+      expect(tenantId).toBe('acme');
+    });
+
+    it('should fall back to the default tenant', async () => {
+      const { tenantId } = await runMiddleware({ hostname: 'api.example.com' });
+
+      expect(tenantId).toBe('default');
+    });
+
+    it('should reject a token presented to another tenant\'s host', async () => {
+      const token = jwt.sign({ id: 'user-123', tid: 'globex' }, 'secret');
+
+      const { res } = await runMiddleware({
+        hostname: 'acme.api.example.com',
+        headers: { authorization: `Bearer ${token}` },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should reject tenants that are not allowed', async () => {
+      config.tenancy.tenants = ['acme'];
+
+      const { res } = await runMiddleware({ hostname: 'globex.api.example.com' });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const totp = require('../src/utils/totp');
+
+// RFC 6238 test secret "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1111111109 * 1000;
+
+    it('should return the matched time step', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { timestamp })).toBe(totp.getTimeStep(timestamp));
+    });
+
+    it('should tolerate one step of clock drift', () => {
+      expect(totp.verifyCode(RFC_SECRET, '081804', { timestamp: timestamp + 30 * 1000 })).not.toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, '081804', { timestamp: timestamp + 90 * 1000 })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(totp.verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    });
+  });
+
+  describe('getOtpauthUri', () => {
+    it('should build a provisioning URI', () => {
+      const uri = totp.getOtpauthUri({ secret: 'ABC', accountName: 'user@example.com', issuer: 'API' });
+
+      expect(uri).toBe('otpauth://totp/API:user%40example.com?secret=ABC&issuer=API&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+});
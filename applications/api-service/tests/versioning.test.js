@@ -0,0 +1,127 @@
+const BaseDatabase = require('../src/db/base');
+const { VersionConflictError } = require('../src/middleware/errorHandler');
+const { getETag, getExpectedVersion, isNotModified } = require('../src/utils/etag');
+
+// Mock AWS SDK
+jest.mock('aws-sdk', () => ({
+  config: {
+    update: jest.fn(),
+  },
+  DynamoDB: {
+    DocumentClient: jest.fn(() => ({
+      put: jest.fn(() => ({ promise: jest.fn() })),
+      get: jest.fn(() => ({ promise: jest.fn() })),
+      update: jest.fn(() => ({ promise: jest.fn() })),
+      delete: jest.fn(() => ({ promise: jest.fn() })),
+      scan: jest.fn(() => ({ promise: jest.fn() })),
+      query: jest.fn(() => ({ promise: jest.fn() })),
+      batchWrite: jest.fn(() => ({ promise: jest.fn() })),
+    })),
+  },
+}));
+
+describe('Optimistic concurrency', () => {
+  let db;
+  let mockClient;
+
+  const conditionFailed = () => Object.assign(new Error('The conditional request failed'), {
+    code: 'ConditionalCheckFailedException',
+  });
+
+  beforeEach(() => {
+    db = new BaseDatabase('test-items');
+    mockClient = db.client;
+    jest.clearAllMocks();
+  });
+
+  describe('BaseDatabase', () => {
+    it('should create items at version 1', async () => {
+      mockClient.put.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      const item = await db.create({ name: 'Item' });
+
+      expect(item.version).toBe(1);
+    });
+
+    it('should increment the version on every update', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Attributes: { id: 'item-1', version: 2 } }) });
+
+      await db.updateById('item-1', { name: 'Renamed', version: 7 });
+
+      const params = mockClient.update.mock.calls[0][0];
+      expect(params.UpdateExpression).toContain('#version = if_not_exists(#version, :versionZero) + :versionOne');
+      expect(params.ConditionExpression).toBe('attribute_exists(id)');
+      expect(Object.values(params.ExpressionAttributeNames)).toEqual(expect.arrayContaining(['name', 'version']));
+      expect(Object.values(params.ExpressionAttributeValues)).not.toContain(7);
+    });
+
+    it('should return the updated item without reading it back', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Attributes: { id: 'item-1', name: 'Renamed', version: 2 } }) });
+
+      const item = await db.updateById('item-1', { name: 'Renamed' });
+
+      expect(item).toEqual({ id: 'item-1', name: 'Renamed', version: 2 });
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should only update the expected version', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Attributes: { id: 'item-1', version: 3 } }) });
+
+      await db.updateById('item-1', { name: 'Renamed' }, { expectedVersion: 2 });
+
+      expect(mockClient.update.mock.calls[0][0]).toMatchObject({
+        ConditionExpression: 'attribute_exists(id) AND #version = :expectedVersion',
+        ExpressionAttributeValues: expect.objectContaining({ ':expectedVersion': 2 }),
+      });
+    });
+
+    it('should treat items without a version as version 0', async () => {
+      mockClient.delete.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Attributes: { id: 'item-1' } }) });
+
+      await db.deleteById('item-1', { expectedVersion: 0 });
+
+      expect(mockClient.delete.mock.calls[0][0].ConditionExpression).toBe('attribute_exists(id) AND attribute_not_exists(#version)');
+    });
+
+    it('should throw VersionConflictError when the item has changed', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockRejectedValue(conditionFailed()) });
+      mockClient.get.mockReturnValue({ promise: jest.fn().mockResolvedValue({ Item: { id: 'item-1', version: 4 } }) });
+
+      const error = await db.updateById('item-1', { name: 'Renamed' }, { expectedVersion: 2 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(VersionConflictError);
+      expect(error).toMatchObject({ expectedVersion: 2, currentVersion: 4 });
+    });
+
+    it('should report a missing item as not found', async () => {
+      mockClient.update.mockReturnValue({ promise: jest.fn().mockRejectedValue(conditionFailed()) });
+      mockClient.get.mockReturnValue({ promise: jest.fn().mockResolvedValue({}) });
+
+      await expect(db.updateById('item-1', { name: 'Renamed' }, { expectedVersion: 2 })).rejects.toThrow('Item not found');
+    });
+  });
+
+  describe('ETags', () => {
+    const requestWith = headers => ({ get: name => headers[name] });
+
+    it('should derive the ETag from the version', () => {
+      expect(getETag({ version: 3 })).toBe('"v3"');
+      expect(getETag({})).toBe('"v0"');
+    });
+
+    it('should read the expected version from If-Match', () => {
+      expect(getExpectedVersion(requestWith({ 'If-Match': '"v3"' }))).toBe(3);
+      expect(getExpectedVersion(requestWith({ 'If-Match': '*' }))).toBeNull();
+      expect(getExpectedVersion(requestWith({}))).toBeNull();
+    });
+
+    it('should reject an If-Match tag that is not ours', () => {
+      expect(() => getExpectedVersion(requestWith({ 'If-Match': '"abc"' }))).toThrow(VersionConflictError);
+    });
+
+    it('should answer If-None-Match for the current version', () => {
+      expect(isNotModified(requestWith({ 'If-None-Match': 'W/"v3"' }), { version: 3 })).toBe(true);
+      expect(isNotModified(requestWith({ 'If-None-Match': '"v2"' }), { version: 3 })).toBe(false);
+    });
+  });
+});
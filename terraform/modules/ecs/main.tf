@@ -433,6 +433,16 @@ resource "aws_iam_role_policy" "ecs_task" {
         ]
         Resource = var.dynamodb_table_arns
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "dynamodb:DescribeTable",
+          "dynamodb:DescribeStream",
+          "dynamodb:GetShardIterator",
+          "dynamodb:GetRecords"
+        ]
+        Resource = concat(var.dynamodb_table_arns, [for arn in var.dynamodb_table_arns : "${arn}/stream/*"])
+      },
       {
         Effect = "Allow"
         Action = [
@@ -441,6 +451,14 @@ resource "aws_iam_role_policy" "ecs_task" {
         ]
         Resource = "*"
       },
+      {
+        Effect = "Allow"
+        Action = [
+          "events:PutEvents",
+          "sns:Publish"
+        ]
+        Resource = "*"
+      },
       {
         Effect = "Allow"
         Action = [
@@ -450,4 +468,95 @@ resource "aws_iam_role_policy" "ecs_task" {
       }
     ]
   })
-}
\ No newline at end of file
+}
+
+# Scheduled User Counter Reconciliation
+# One task per schedule recomputes the user counters from a table scan. The
+# tables are global, so enable it in a single region only.
+resource "aws_cloudwatch_event_rule" "counter_reconcile" {
+  count = var.enable_counter_reconcile ? 1 : 0
+
+  name                = "${var.environment}-${var.name_prefix}-counter-reconcile"
+  description         = "Recompute the user counters and search index"
+  schedule_expression = var.counter_reconcile_schedule
+
+  tags = local.common_tags
+}
+
+resource "aws_cloudwatch_event_target" "counter_reconcile" {
+  count = var.enable_counter_reconcile ? 1 : 0
+
+  rule     = aws_cloudwatch_event_rule.counter_reconcile[0].name
+  arn      = aws_ecs_cluster.main.arn
+  role_arn = aws_iam_role.scheduled_task[0].arn
+
+  ecs_target {
+    task_definition_arn = aws_ecs_task_definition.app.arn
+    task_count          = 1
+    launch_type         = "FARGATE"
+    platform_version    = var.platform_version
+
+    network_configuration {
+      security_groups  = [aws_security_group.ecs_service.id]
+      subnets          = var.private_subnet_ids
+      assign_public_ip = false
+    }
+  }
+
+  input = jsonencode({
+    containerOverrides = [
+      {
+        name    = "app"
+        command = ["node", "src/utils/userCounters.js"]
+      }
+    ]
+  })
+}
+
+# IAM Role for EventBridge to run scheduled tasks
+resource "aws_iam_role" "scheduled_task" {
+  count = var.enable_counter_reconcile ? 1 : 0
+
+  name = "${var.environment}-${var.name_prefix}-scheduled-task-role"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRole"
+        Effect = "Allow"
+        Principal = {
+          Service = "events.amazonaws.com"
+        }
+      }
+    ]
+  })
+
+  tags = local.common_tags
+}
+
+resource "aws_iam_role_policy" "scheduled_task" {
+  count = var.enable_counter_reconcile ? 1 : 0
+
+  name = "${var.environment}-${var.name_prefix}-scheduled-task-policy"
+  role = aws_iam_role.scheduled_task[0].id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["ecs:RunTask"]
+        Resource = aws_ecs_task_definition.app.arn
+      },
+      {
+        Effect = "Allow"
+        Action = ["iam:PassRole"]
+        Resource = [
+          aws_iam_role.ecs_task_execution.arn,
+          aws_iam_role.ecs_task.arn
+        ]
+      }
+    ]
+  })
+}
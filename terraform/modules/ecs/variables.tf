@@ -257,6 +257,18 @@ variable "dynamodb_table_arns" {
   default     = []
 }
 
+variable "enable_counter_reconcile" {
+  description = "Run the scheduled user counter reconciliation task; enable in one region only"
+  type        = bool
+  default     = true
+}
+
+variable "counter_reconcile_schedule" {
+  description = "EventBridge schedule expression of the user counter reconciliation task"
+  type        = string
+  default     = "rate(1 day)"
+}
+
 variable "kms_key_id" {
   description = "KMS key ID for encryption"
   type        = string